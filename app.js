@@ -3,11 +3,15 @@
 // Global Variables
 let db;
 let allTrades = [];
-let portfolioSettings = { startingCapital: 10000, currentBalance: 10000 };
+let accounts = [];
+let activeAccountId = 'all';
 let currentSortColumn = '';
 let currentSortDirection = 'asc';
 let chartInstances = {};
 
+const DB_NAME = 'TradingJournalDB';
+const DB_VERSION = 11;
+
 // Initialize the application
 document.addEventListener('DOMContentLoaded', async function() {
     console.log('Initializing Trading Journal v3.0...');
@@ -15,6 +19,12 @@ document.addEventListener('DOMContentLoaded', async function() {
     try {
         await initDB();
         await loadPortfolioSettings();
+        await loadAppSettings();
+        loadActiveAccount();
+        await loadImportMappings();
+        await loadLedger();
+        await loadJournal();
+        await loadLimitBreaches();
         await loadTrades();
         setupEventListeners();
         updateDashboard();
@@ -48,7 +58,7 @@ console.log('✅ Helper functions loaded');
 // IndexedDB Setup
 async function initDB() {
     try {
-        db = await idb.openDB('TradingJournalDB', 3, {
+        db = await idb.openDB(DB_NAME, DB_VERSION, {
             upgrade(db, oldVersion, newVersion, transaction) {
                 console.log(`Upgrading database from version ${oldVersion} to ${newVersion}`);
                 
@@ -76,6 +86,68 @@ async function initDB() {
                     });
                     historyStore.createIndex('date', 'date');
                 }
+                
+                // Create saved import mappings store
+                if (!db.objectStoreNames.contains('importMappings')) {
+                    db.createObjectStore('importMappings', { keyPath: 'name' });
+                }
+                
+                // Create app settings store
+                if (!db.objectStoreNames.contains('appSettings')) {
+                    db.createObjectStore('appSettings', { keyPath: 'id' });
+                }
+                
+                // Create balance ledger store
+                if (!db.objectStoreNames.contains('ledger')) {
+                    const ledgerStore = db.createObjectStore('ledger', {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+                    ledgerStore.createIndex('date', 'date');
+                    ledgerStore.createIndex('type', 'type');
+                }
+                
+                // Create trade attachments store
+                if (!db.objectStoreNames.contains('attachments')) {
+                    const attachmentsStore = db.createObjectStore('attachments', {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+                    attachmentsStore.createIndex('trade_id', 'trade_id');
+                }
+                
+                // Create daily journal store, one entry per date
+                if (!db.objectStoreNames.contains('journal')) {
+                    db.createObjectStore('journal', { keyPath: 'date' });
+                }
+                
+                // Create loss limit breach history store
+                if (!db.objectStoreNames.contains('limitBreaches')) {
+                    db.createObjectStore('limitBreaches', {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+                }
+                
+                if (!transaction.objectStore('trades').indexNames.contains('account_id')) {
+                    transaction.objectStore('trades').createIndex('account_id', 'account_id');
+                }
+                
+                // Record migrations run one after another inside the upgrade
+                // transaction. openDB doesn't wait on them, so a failure aborts the
+                // transaction: the version rolls back and they run again next time.
+                if (oldVersion > 0) {
+                    (async () => {
+                        // v4: single-leg records become trades with a legs array
+                        if (oldVersion < 4) await migrateTradesToLegs(transaction.objectStore('trades'));
+                        // v8: records written before accounts existed belong to the main account
+                        if (oldVersion < 8) await migrateRecordsToAccounts(transaction);
+                    })().catch(error => {
+                        console.error('Database migration failed:', error);
+                        transaction.abort();
+                        transaction.done.catch(() => {});
+                    });
+                }
             }
         });
         console.log('Database initialized successfully');
@@ -86,34 +158,52 @@ async function initDB() {
 }
 
 // Portfolio Management
+// Every account is one record in the portfolioSettings store. Trades, ledger
+// entries and balance history carry an account_id; records from before accounts
+// existed belong to the 'main' account.
+const DEFAULT_ACCOUNT_ID = 'main';
+const ALL_ACCOUNTS = 'all';
+const ACCOUNT_TYPES = { margin: 'Margin', cash: 'Cash', ira: 'IRA', paper: 'Paper' };
+const DEFAULT_ACCOUNT = { id: DEFAULT_ACCOUNT_ID, name: 'Main Account', type: 'margin', startingCapital: 10000, currentBalance: 10000 };
+
 async function loadPortfolioSettings() {
     try {
-        const settings = await db.get('portfolioSettings', 'main');
-        if (settings) {
-            portfolioSettings = settings;
-        } else {
+        accounts = await db.getAll('portfolioSettings');
+        if (accounts.length === 0) {
             // Save default settings
-            await db.put('portfolioSettings', { id: 'main', ...portfolioSettings });
+            accounts = [{ ...DEFAULT_ACCOUNT }];
+            await db.put('portfolioSettings', accounts[0]);
         }
+        accounts = accounts
+            .map(account => account.id === DEFAULT_ACCOUNT_ID ? { ...DEFAULT_ACCOUNT, ...account } : account)
+            .sort((a, b) => (a.id === DEFAULT_ACCOUNT_ID ? -1 : b.id === DEFAULT_ACCOUNT_ID ? 1 : a.name.localeCompare(b.name)));
     } catch (error) {
         console.error('Failed to load portfolio settings:', error);
     }
 }
 
-async function savePortfolioSettings() {
+async function savePortfolioSettings(account) {
     try {
-        await db.put('portfolioSettings', { id: 'main', ...portfolioSettings });
-        await savePortfolioHistory();
+        await db.put('portfolioSettings', account);
+        const index = accounts.findIndex(a => a.id === account.id);
+        if (index === -1) {
+            accounts.push(account);
+        } else {
+            accounts[index] = account;
+        }
+        await savePortfolioHistory(account.id);
     } catch (error) {
         console.error('Failed to save portfolio settings:', error);
+        throw error;
     }
 }
 
-async function savePortfolioHistory() {
+async function savePortfolioHistory(accountId = DEFAULT_ACCOUNT_ID) {
     try {
         await db.add('portfolioHistory', {
+            account_id: accountId,
             date: new Date().toISOString(),
-            balance: portfolioSettings.currentBalance,
+            balance: calculateAccountBalance(accountId),
             timestamp: Date.now()
         });
     } catch (error) {
@@ -121,6 +211,351 @@ async function savePortfolioHistory() {
     }
 }
 
+// v8: tag existing records with the default account
+async function migrateRecordsToAccounts(transaction) {
+    for (const storeName of ['trades', 'ledger', 'portfolioHistory']) {
+        let cursor = await transaction.objectStore(storeName).openCursor();
+        while (cursor) {
+            if (!cursor.value.account_id) {
+                await cursor.update({ ...cursor.value, account_id: DEFAULT_ACCOUNT_ID });
+            }
+            cursor = await cursor.continue();
+        }
+    }
+    console.log('Assigned existing records to the default account');
+}
+
+// Account Scope
+// The account switcher narrows the dashboard, history, filters, charts and
+// CSV export; 'all' is the consolidated view across every account.
+function getAccount(accountId) {
+    return accounts.find(account => account.id === accountId);
+}
+
+function getRecordAccountId(record) {
+    return record.account_id || DEFAULT_ACCOUNT_ID;
+}
+
+function getAccountName(accountId) {
+    return getAccount(accountId || DEFAULT_ACCOUNT_ID)?.name || 'Unknown Account';
+}
+
+function isConsolidatedView() {
+    return activeAccountId === ALL_ACCOUNTS;
+}
+
+// Where new trades and imports go when no account is chosen explicitly
+function getDefaultAccountId() {
+    return isConsolidatedView() ? DEFAULT_ACCOUNT_ID : activeAccountId;
+}
+
+function getScopedAccounts() {
+    return isConsolidatedView() ? accounts : accounts.filter(account => account.id === activeAccountId);
+}
+
+function getScopedTrades(trades = allTrades) {
+    return isConsolidatedView() ? trades : trades.filter(trade => getRecordAccountId(trade) === activeAccountId);
+}
+
+function getScopedLedgerEntries() {
+    return isConsolidatedView() ? ledgerEntries : ledgerEntries.filter(entry => getRecordAccountId(entry) === activeAccountId);
+}
+
+function getScopedStartingCapital() {
+    return getScopedAccounts().reduce((sum, account) => sum + (parseFloat(account.startingCapital) || 0), 0);
+}
+
+function getAccountTrades(accountId) {
+    return allTrades.filter(trade => getRecordAccountId(trade) === accountId);
+}
+
+function getAccountLedgerEntries(accountId) {
+    return ledgerEntries.filter(entry => getRecordAccountId(entry) === accountId);
+}
+
+function loadActiveAccount() {
+    const savedAccountId = getAppSetting('activeAccount', ALL_ACCOUNTS);
+    activeAccountId = savedAccountId === ALL_ACCOUNTS || getAccount(savedAccountId) ? savedAccountId : ALL_ACCOUNTS;
+}
+
+function renderAccountOptions(select, selectedId, includeAll = false) {
+    if (!select) return;
+    
+    const options = accounts.map(account =>
+        `<option value="${escapeHtml(account.id)}">${escapeHtml(account.name)} (${ACCOUNT_TYPES[account.type] || account.type})</option>`
+    );
+    if (includeAll) {
+        options.unshift(`<option value="${ALL_ACCOUNTS}">All Accounts (consolidated)</option>`);
+    }
+    select.innerHTML = options.join('');
+    select.value = selectedId;
+}
+
+function renderAccountSelects() {
+    renderAccountOptions(document.getElementById('accountSwitcher'), activeAccountId, true);
+    renderAccountOptions(document.getElementById('tradeAccount'), getDefaultAccountId());
+    renderAccountOptions(document.getElementById('importAccountSelect'), getDefaultAccountId());
+}
+
+async function switchAccount(accountId) {
+    activeAccountId = accountId;
+    await saveAppSetting('activeAccount', accountId);
+    
+    renderAccountSelects();
+    invalidateImportReport();
+    renderTradeHistory();
+    updateDashboard();
+    if (document.getElementById('analytics').classList.contains('active')) {
+        updateAnalyticsCharts();
+    }
+}
+
+// App Settings
+// Preferences that are not tied to a portfolio, cached in memory after startup
+let appSettings = {};
+
+async function loadAppSettings() {
+    try {
+        const entries = await db.getAll('appSettings');
+        appSettings = Object.fromEntries(entries.map(entry => [entry.id, entry.value]));
+    } catch (error) {
+        console.error('Failed to load app settings:', error);
+        appSettings = {};
+    }
+}
+
+function getAppSetting(id, defaultValue) {
+    return appSettings[id] !== undefined ? appSettings[id] : defaultValue;
+}
+
+async function saveAppSetting(id, value) {
+    appSettings[id] = value;
+    try {
+        await db.put('appSettings', { id, value });
+    } catch (error) {
+        console.error(`Failed to save setting ${id}:`, error);
+    }
+}
+
+// Balance Ledger
+// The portfolio balance is never stored as a running total. It is derived from
+// starting capital, every trade's net P&L and the ledger entries below, so
+// editing or deleting a trade can't leave it out of step.
+const LEDGER_ENTRY_TYPES = {
+    deposit: { label: 'Deposit', plural: 'Deposits', sign: 1, external: true },
+    withdrawal: { label: 'Withdrawal', plural: 'Withdrawals', sign: -1, external: true },
+    dividend: { label: 'Dividend', plural: 'Dividends', sign: 1 },
+    interest: { label: 'Interest', plural: 'Interest', signed: true },
+    adjustment: { label: 'Adjustment', plural: 'Adjustments', signed: true, external: true }
+};
+
+let ledgerEntries = [];
+
+async function loadLedger() {
+    try {
+        ledgerEntries = await db.getAll('ledger');
+        ledgerEntries.sort((a, b) => new Date(b.date) - new Date(a.date));
+    } catch (error) {
+        console.error('Failed to load ledger:', error);
+        ledgerEntries = [];
+    }
+}
+
+// Deposits, withdrawals and dividends are entered as positive amounts;
+// interest (credited or charged) and adjustments carry their own sign
+function getLedgerAmount(entry) {
+    const type = LEDGER_ENTRY_TYPES[entry.type];
+    const amount = parseFloat(entry.amount) || 0;
+    if (!type) return 0;
+    return type.signed ? amount : Math.abs(amount) * type.sign;
+}
+
+function summarizeLedger(trades = getScopedTrades(), entries = getScopedLedgerEntries(), startingCapital = getScopedStartingCapital()) {
+    const summary = {
+        startingCapital: parseFloat(startingCapital) || 0,
+        tradePL: trades.reduce((sum, trade) => sum + (parseFloat(trade.net_pl) || 0), 0)
+    };
+    Object.keys(LEDGER_ENTRY_TYPES).forEach(type => {
+        summary[type] = entries.filter(entry => entry.type === type).reduce((sum, entry) => sum + getLedgerAmount(entry), 0);
+    });
+    summary.balance = roundMoney(summary.startingCapital + summary.tradePL +
+        Object.keys(LEDGER_ENTRY_TYPES).reduce((sum, type) => sum + summary[type], 0));
+    return summary;
+}
+
+function calculateBalance(trades = getScopedTrades(), entries = getScopedLedgerEntries(), startingCapital = getScopedStartingCapital()) {
+    return summarizeLedger(trades, entries, startingCapital).balance;
+}
+
+function summarizeAccountLedger(accountId) {
+    return summarizeLedger(getAccountTrades(accountId), getAccountLedgerEntries(accountId), getAccount(accountId)?.startingCapital);
+}
+
+function calculateAccountBalance(accountId) {
+    return summarizeAccountLedger(accountId).balance;
+}
+
+async function addLedgerEntry(entryData) {
+    const entry = { ...entryData, created_at: new Date().toISOString() };
+    entry.id = await db.add('ledger', entry);
+    ledgerEntries.unshift(entry);
+    ledgerEntries.sort((a, b) => new Date(b.date) - new Date(a.date));
+    await savePortfolioHistory(entry.account_id);
+    return entry;
+}
+
+async function deleteLedgerEntry(entryId) {
+    if (!confirm('Delete this ledger entry?')) return;
+    
+    try {
+        const entry = ledgerEntries.find(e => e.id === entryId);
+        await db.delete('ledger', entryId);
+        ledgerEntries = ledgerEntries.filter(e => e.id !== entryId);
+        await savePortfolioHistory(getRecordAccountId(entry));
+        renderLedger();
+        renderReconciliation();
+        updateDashboard();
+    } catch (error) {
+        console.error('Failed to delete ledger entry:', error);
+        showMessage('Failed to delete ledger entry. Please try again.', 'error');
+    }
+}
+
+async function handleLedgerSubmit(e) {
+    e.preventDefault();
+    
+    const type = document.getElementById('ledgerType').value;
+    const amount = parseFloat(document.getElementById('ledgerAmount').value);
+    if (!amount || (!LEDGER_ENTRY_TYPES[type].signed && amount < 0)) {
+        showMessage(`Enter a positive amount for ${LEDGER_ENTRY_TYPES[type].plural.toLowerCase()}.`, 'error');
+        return;
+    }
+    
+    try {
+        await addLedgerEntry({
+            account_id: getSettingsAccountId(),
+            type,
+            date: document.getElementById('ledgerDate').value,
+            amount,
+            note: document.getElementById('ledgerNote').value.trim()
+        });
+        
+        document.getElementById('ledgerAmount').value = '';
+        document.getElementById('ledgerNote').value = '';
+        renderLedger();
+        renderReconciliation();
+        updateDashboard();
+    } catch (error) {
+        console.error('Failed to add ledger entry:', error);
+        showMessage('Failed to add ledger entry. Please try again.', 'error');
+    }
+}
+
+function renderLedger() {
+    const tbody = document.getElementById('ledgerTableBody');
+    const entries = getAccountLedgerEntries(getSettingsAccountId());
+    
+    if (entries.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="text-center">No cash flows recorded</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = entries.map(entry => {
+        const amount = getLedgerAmount(entry);
+        return `
+            <tr>
+                <td>${formatDate(entry.date)}</td>
+                <td>${LEDGER_ENTRY_TYPES[entry.type]?.label || escapeHtml(entry.type)}</td>
+                <td class="${amount >= 0 ? 'pl-positive' : 'pl-negative'}">${formatCurrency(amount)}</td>
+                <td>${escapeHtml(entry.note || '')}</td>
+                <td><button type="button" class="btn btn--sm btn--danger" onclick="deleteLedgerEntry(${entry.id})">Delete</button></td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// Reconciliation
+// An account's currentBalance is kept only as a recorded balance (e.g. from a
+// broker statement or an older version of the app that mutated it directly)
+function getBalanceMismatch(accountId) {
+    const derived = calculateAccountBalance(accountId);
+    const recorded = parseFloat(getAccount(accountId).currentBalance);
+    return {
+        derived,
+        recorded: Number.isFinite(recorded) ? recorded : null,
+        difference: Number.isFinite(recorded) ? roundMoney(recorded - derived) : 0
+    };
+}
+
+function renderReconciliation() {
+    const accountId = getSettingsAccountId();
+    const summary = summarizeAccountLedger(accountId);
+    const { recorded, difference } = getBalanceMismatch(accountId);
+    const inSync = Math.abs(difference) < 0.005;
+    const rows = [
+        ['Starting Capital', summary.startingCapital],
+        ['Trade P&L', summary.tradePL],
+        ...Object.entries(LEDGER_ENTRY_TYPES).map(([type, { plural }]) => [plural, summary[type]]),
+        ['Derived Balance', summary.balance],
+        ['Recorded Balance', recorded]
+    ];
+    
+    document.getElementById('reconciliationReport').innerHTML = `
+        <div class="detail-grid">
+            ${rows.map(([label, value]) => `
+                <div class="detail-item">
+                    <div class="detail-label">${label}</div>
+                    <div class="detail-value">${value === null ? 'N/A' : formatCurrency(value)}</div>
+                </div>
+            `).join('')}
+        </div>
+        <p class="reconciliation-status ${inSync ? 'pl-positive' : 'pl-negative'}">
+            ${inSync ? 'Recorded balance matches the ledger.' : `Recorded balance is off by ${formatCurrency(difference)}.`}
+        </p>
+    `;
+    document.getElementById('recordAdjustmentBtn').disabled = inSync;
+    document.getElementById('acceptDerivedBtn').disabled = inSync;
+}
+
+// Keeps the recorded balance and books the difference as an adjustment
+async function reconcileWithAdjustment() {
+    const accountId = getSettingsAccountId();
+    const { difference } = getBalanceMismatch(accountId);
+    if (!confirm(`Record an adjustment of ${formatCurrency(difference)} so the ledger matches the recorded balance?`)) return;
+    
+    try {
+        await addLedgerEntry({
+            account_id: accountId,
+            type: 'adjustment',
+            date: getTodayKey(),
+            amount: difference,
+            note: 'Reconciliation'
+        });
+        renderLedger();
+        renderReconciliation();
+        updateDashboard();
+        showMessage('Adjustment recorded. Balance reconciled.', 'success');
+    } catch (error) {
+        console.error('Failed to record adjustment:', error);
+        showMessage('Failed to record adjustment. Please try again.', 'error');
+    }
+}
+
+// Trusts the ledger and overwrites the recorded balance with the derived one
+async function acceptDerivedBalance() {
+    try {
+        const accountId = getSettingsAccountId();
+        const account = { ...getAccount(accountId), currentBalance: calculateAccountBalance(accountId) };
+        await savePortfolioSettings(account);
+        document.getElementById('currentBalance').value = account.currentBalance;
+        renderReconciliation();
+        showMessage('Recorded balance updated to match the ledger.', 'success');
+    } catch (error) {
+        console.error('Failed to update recorded balance:', error);
+        showMessage('Failed to update recorded balance. Please try again.', 'error');
+    }
+}
+
 // Trade Management
 async function loadTrades() {
     try {
@@ -128,32 +563,36 @@ async function loadTrades() {
         allTrades.sort((a, b) => new Date(b.date) - new Date(a.date));
         console.log(`Loaded ${allTrades.length} trades`);
         displayTrades();
+        displayOpenPositions();
     } catch (error) {
         console.error('Failed to load trades:', error);
         allTrades = [];
     }
 }
 
+// Normalizes a new trade record; IndexedDB assigns the id on insert
+function prepareNewTrade(tradeData) {
+    // Destructure to remove id if it exists
+    const { id, ...cleanData } = tradeData;
+    
+    return {
+        ...applyPositionState(ensureTradeLegs(cleanData)),
+        account_id: cleanData.account_id || DEFAULT_ACCOUNT_ID,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+    };
+}
+
 async function addTrade(tradeData) {
     try {
-        // Destructure to remove id if it exists
-        const { id, ...cleanData } = tradeData;
-        
         // Create trade without id
-        const trade = {
-            ...cleanData,
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-        };
+        const trade = prepareNewTrade(tradeData);
         
         // IndexedDB auto-generates the id
         const newId = await db.add('trades', trade);
         trade.id = newId;
         allTrades.unshift(trade);
-        
-        // Update portfolio
-        portfolioSettings.currentBalance += parseFloat(trade.net_pl) || 0;
-        await savePortfolioSettings();
+        await savePortfolioHistory(trade.account_id);
         
         console.log('Trade added successfully with ID:', newId);
         return trade;
@@ -171,24 +610,20 @@ async function updateTrade(tradeData) {
             throw new Error('Trade not found');
         }
         
-        // Update portfolio balance (remove old P&L, add new P&L)
-        const oldPL = parseFloat(existingTrade.net_pl) || 0;
-        const newPL = parseFloat(tradeData.net_pl) || 0;
-        portfolioSettings.currentBalance = portfolioSettings.currentBalance - oldPL + newPL;
-        
         const updatedTrade = {
             ...tradeData,
+            legs: tradeData.legs || existingTrade.legs,
             updated_at: new Date().toISOString(),
             created_at: existingTrade.created_at
         };
         
         await db.put('trades', updatedTrade);
-        await savePortfolioSettings();
         
         const index = allTrades.findIndex(t => t.id === tradeData.id);
         if (index !== -1) {
             allTrades[index] = updatedTrade;
         }
+        await savePortfolioHistory(getRecordAccountId(updatedTrade));
         
         console.log('Trade updated successfully:', updatedTrade);
         return updatedTrade;
@@ -205,13 +640,10 @@ async function deleteTrade(tradeId) {
             throw new Error('Trade not found');
         }
         
-        // Update portfolio balance
-        portfolioSettings.currentBalance -= parseFloat(trade.net_pl) || 0;
-        
         await db.delete('trades', tradeId);
-        await savePortfolioSettings();
-        
+        await deleteTradeAttachments(tradeId);
         allTrades = allTrades.filter(t => t.id !== tradeId);
+        await savePortfolioHistory(getRecordAccountId(trade));
         
         console.log('Trade deleted successfully');
     } catch (error) {
@@ -220,130 +652,846 @@ async function deleteTrade(tradeId) {
     }
 }
 
-// Event Listeners
-function setupEventListeners() {
-    // Tab navigation
-    document.querySelectorAll('.tab-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const tabName = e.target.dataset.tab;
-            switchTab(tabName);
-        });
-    });
-    
-    // Add trade form
-    document.getElementById('addTradeForm').addEventListener('submit', handleAddTrade);
-    
-    // Edit trade form
-    document.getElementById('editTradeForm').addEventListener('submit', handleEditTrade);
+// Trade Legs
+// Leg and position math lives in trades.js
+async function migrateTradesToLegs(store) {
+    let cursor = await store.openCursor();
+    while (cursor) {
+        if (!Array.isArray(cursor.value.legs)) {
+            await cursor.update(ensureTradeLegs(cursor.value));
+        }
+        cursor = await cursor.continue();
+    }
+    console.log('Migrated trades to multi-leg format');
+}
+
+// Option Pricing
+// Black-Scholes-Merton for European options and a Cox-Ross-Rubinstein binomial
+// tree for American ones, all computed locally. Inputs are the spot price,
+// strike, years to expiration, continuous annual rate and dividend yield, and
+// volatility as a decimal. Greeks are per share, the way they are entered on a
+// leg: theta per calendar day, vega per volatility point.
+const BINOMIAL_STEPS = 200;
+const IV_BOUNDS = { low: 0.0001, high: 5 };
+
+function normalPdf(x) {
+    return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+}
+
+// Abramowitz & Stegun 26.2.17, accurate to about 7.5e-8
+function normalCdf(x) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(x));
+    const poly = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    const tail = normalPdf(x) * poly;
+    return x >= 0 ? 1 - tail : tail;
+}
+
+function getIntrinsicValue(type, spot, strike) {
+    return Math.max(0, type === 'CALL' ? spot - strike : strike - spot);
+}
+
+function blackScholes({ type, spot, strike, years, rate, dividendYield = 0, volatility }) {
+    const isCall = type === 'CALL';
     
-    // Portfolio form
-    document.getElementById('portfolioForm').addEventListener('submit', handlePortfolioUpdate);
+    // At expiration (or with no volatility) the option is worth its intrinsic value
+    if (years <= 0 || volatility <= 0) {
+        const inTheMoney = isCall ? spot > strike : spot < strike;
+        return {
+            price: getIntrinsicValue(type, spot, strike),
+            delta: inTheMoney ? (isCall ? 1 : -1) : 0,
+            gamma: 0,
+            theta: 0,
+            vega: 0
+        };
+    }
     
-    // Portfolio settings modal
-    document.getElementById('portfolioSettingsBtn').addEventListener('click', openPortfolioModal);
-    document.getElementById('closePortfolioModal').addEventListener('click', closePortfolioModal);
+    const sqrtT = Math.sqrt(years);
+    const d1 = (Math.log(spot / strike) + (rate - dividendYield + volatility * volatility / 2) * years) / (volatility * sqrtT);
+    const d2 = d1 - volatility * sqrtT;
+    const dividendDiscount = Math.exp(-dividendYield * years);
+    const rateDiscount = Math.exp(-rate * years);
+    const decay = -spot * dividendDiscount * normalPdf(d1) * volatility / (2 * sqrtT);
     
-    // Edit trade modal
-    document.getElementById('closeEditModal').addEventListener('click', closeEditModal);
+    const price = isCall
+        ? spot * dividendDiscount * normalCdf(d1) - strike * rateDiscount * normalCdf(d2)
+        : strike * rateDiscount * normalCdf(-d2) - spot * dividendDiscount * normalCdf(-d1);
+    const annualTheta = isCall
+        ? decay - rate * strike * rateDiscount * normalCdf(d2) + dividendYield * spot * dividendDiscount * normalCdf(d1)
+        : decay + rate * strike * rateDiscount * normalCdf(-d2) - dividendYield * spot * dividendDiscount * normalCdf(-d1);
     
-    // View trade modal
-    document.getElementById('closeViewModal').addEventListener('click', closeViewModal);
+    return {
+        price,
+        delta: dividendDiscount * (isCall ? normalCdf(d1) : normalCdf(d1) - 1),
+        gamma: dividendDiscount * normalPdf(d1) / (spot * volatility * sqrtT),
+        theta: annualTheta / 365,
+        vega: spot * dividendDiscount * normalPdf(d1) * sqrtT / 100
+    };
+}
+
+// Returns the price plus delta, gamma and theta read off the first nodes of the tree
+function binomialTree({ type, spot, strike, years, rate, dividendYield = 0, volatility }, steps = BINOMIAL_STEPS) {
+    if (years <= 0 || volatility <= 0) {
+        return blackScholes({ type, spot, strike, years: 0, rate, volatility: 0 });
+    }
     
-    // Import/Export
-    document.getElementById('previewCsvBtn').addEventListener('click', previewCSV);
-    document.getElementById('importCsvBtn').addEventListener('click', importCSV);
-    document.getElementById('exportCsvBtn').addEventListener('click', exportToCSV);
+    const dt = years / steps;
+    const up = Math.exp(volatility * Math.sqrt(dt));
+    const down = 1 / up;
+    const probability = (Math.exp((rate - dividendYield) * dt) - down) / (up - down);
+    const discount = Math.exp(-rate * dt);
+    const nodePrice = (step, i) => spot * Math.pow(up, step - 2 * i);
     
-    // Filters
-    document.getElementById('tickerFilter').addEventListener('change', applyFilters);
-    document.getElementById('strategyFilter').addEventListener('change', applyFilters);
-    document.getElementById('fromDate').addEventListener('change', applyFilters);
-    document.getElementById('toDate').addEventListener('change', applyFilters);
-    document.getElementById('clearFilters').addEventListener('click', clearFilters);
+    const values = [];
+    for (let i = 0; i <= steps; i++) {
+        values.push(getIntrinsicValue(type, nodePrice(steps, i), strike));
+    }
     
-    // Modal backgrounds
-    window.addEventListener('click', (e) => {
-        if (e.target.classList.contains('modal')) {
-            closeModals();
+    // Roll back through the tree, exercising early wherever that is worth more
+    let stepTwo = null;
+    let stepOne = null;
+    for (let step = steps - 1; step >= 0; step--) {
+        for (let i = 0; i <= step; i++) {
+            const continuation = discount * (probability * values[i] + (1 - probability) * values[i + 1]);
+            values[i] = Math.max(continuation, getIntrinsicValue(type, nodePrice(step, i), strike));
         }
-    });
+        if (step === 2) stepTwo = values.slice(0, 3);
+        if (step === 1) stepOne = values.slice(0, 2);
+    }
     
-    // Set default date to today
-    document.getElementById('tradeDate').valueAsDate = new Date();
+    const upDelta = (stepTwo[0] - stepTwo[1]) / (nodePrice(2, 0) - nodePrice(2, 1));
+    const downDelta = (stepTwo[1] - stepTwo[2]) / (nodePrice(2, 1) - nodePrice(2, 2));
+    
+    return {
+        price: values[0],
+        delta: (stepOne[0] - stepOne[1]) / (nodePrice(1, 0) - nodePrice(1, 1)),
+        gamma: (upDelta - downDelta) / ((nodePrice(2, 0) - nodePrice(2, 2)) / 2),
+        theta: (stepTwo[1] - values[0]) / (2 * dt) / 365
+    };
 }
 
-// Tab Management
-function switchTab(tabName) {
-    // Update tab buttons
-    document.querySelectorAll('.tab-btn').forEach(btn => {
-        btn.classList.remove('active');
-    });
-    document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
-    
-    // Update tab content
-    document.querySelectorAll('.tab-content').forEach(content => {
-        content.classList.remove('active');
-    });
-    document.getElementById(tabName).classList.add('active');
+// Vega is not on the tree, so it comes from repricing one volatility point either side
+function binomialGreeks(params) {
+    const greeks = binomialTree(params);
+    const bump = Math.min(0.01, params.volatility / 2);
+    const higher = binomialTree({ ...params, volatility: params.volatility + bump }).price;
+    const lower = binomialTree({ ...params, volatility: params.volatility - bump }).price;
     
-    // Load specific tab data
-    if (tabName === 'analytics') {
-        updateAnalyticsCharts();
-    } else if (tabName === 'dashboard') {
-        updateDashboard();
-    }
+    return { ...greeks, vega: (higher - lower) / (2 * bump * 100) };
 }
 
-// Trade Form Handlers
-async function handleAddTrade(event) {
-    event.preventDefault();
-    
-    try {
-        const formData = new FormData(event.target);
+// An American call on a stock paying no dividend is never exercised early,
+// so it takes the exact European value
+function hasClosedFormPrice(params, style) {
+    return style === 'european' || (params.type === 'CALL' && !params.dividendYield);
+}
+
+function priceOption(params, style = 'american') {
+    return hasClosedFormPrice(params, style) ? blackScholes(params) : binomialGreeks(params);
+}
+
+// Price only, skipping the extra trees vega needs
+function priceOptionValue(params, style) {
+    return hasClosedFormPrice(params, style) ? blackScholes(params).price : binomialTree(params).price;
+}
+
+// Price rises with volatility, so bisection always converges when the market
+// price lies between the values at the volatility bounds; otherwise null
+function solveImpliedVolatility(params, marketPrice, style = 'american') {
+    let low = IV_BOUNDS.low;
+    let high = IV_BOUNDS.high;
+    if (!(marketPrice > 0) || params.years <= 0) return null;
+    if (marketPrice < priceOptionValue({ ...params, volatility: low }, style) - 1e-6) return null;
+    if (marketPrice > priceOptionValue({ ...params, volatility: high }, style)) return null;
+    
+    for (let i = 0; i < 100 && high - low > 1e-6; i++) {
+        const mid = (low + high) / 2;
+        if (priceOptionValue({ ...params, volatility: mid }, style) < marketPrice) low = mid;
+        else high = mid;
+    }
+    
+    return (low + high) / 2;
+}
+
+function getYearsToExpiration(expiration, valuationDate) {
+    const days = (new Date(`${expiration}T16:00:00`) - new Date(`${valuationDate}T09:30:00`)) / DAY_MS;
+    return Math.max(days, 0) / 365;
+}
+
+// Legs Editor
+function createLegRow(leg = {}) {
+    const row = document.createElement('div');
+    row.className = 'leg-row';
+    
+    const value = (field) => leg[field] === null || leg[field] === undefined ? '' : leg[field];
+    const option = (field, optionValue) => `<option value="${optionValue}"${leg[field] === optionValue ? ' selected' : ''}>${optionValue}</option>`;
+    
+    row.innerHTML = `
+        <label class="leg-field">
+            <span>Side</span>
+            <select data-field="side" class="form-control">
+                ${option('side', 'BUY')}
+                ${option('side', 'SELL')}
+            </select>
+        </label>
+        <label class="leg-field">
+            <span>Type</span>
+            <select data-field="option_type" class="form-control">
+                ${option('option_type', 'CALL')}
+                ${option('option_type', 'PUT')}
+                ${option('option_type', 'STOCK')}
+            </select>
+        </label>
+        <label class="leg-field">
+            <span>Strike</span>
+            <input type="number" data-field="strike" class="form-control" step="0.01" value="${value('strike')}">
+        </label>
+        <label class="leg-field">
+            <span>Expiration</span>
+            <input type="date" data-field="expiration" class="form-control" value="${value('expiration')}">
+        </label>
+        <label class="leg-field">
+            <span>Qty</span>
+            <input type="number" data-field="quantity" class="form-control" min="1" value="${value('quantity') || 1}">
+        </label>
+        <label class="leg-field">
+            <span>Entry</span>
+            <input type="number" data-field="entry_price" class="form-control" step="0.01" value="${value('entry_price')}">
+        </label>
+        <label class="leg-field">
+            <span>Exit</span>
+            <input type="number" data-field="exit_price" class="form-control" step="0.01" value="${value('exit_price')}">
+        </label>
+        <label class="leg-field">
+            <span>Delta</span>
+            <input type="number" data-field="delta" class="form-control" step="0.01" value="${value('delta')}">
+        </label>
+        <label class="leg-field">
+            <span>Gamma</span>
+            <input type="number" data-field="gamma" class="form-control" step="0.01" value="${value('gamma')}">
+        </label>
+        <label class="leg-field">
+            <span>Theta</span>
+            <input type="number" data-field="theta" class="form-control" step="0.01" value="${value('theta')}">
+        </label>
+        <label class="leg-field">
+            <span>Vega</span>
+            <input type="number" data-field="vega" class="form-control" step="0.01" value="${value('vega')}">
+        </label>
+        <input type="hidden" data-field="iv" value="${value('iv')}">
+        <input type="hidden" data-field="underlying_price" value="${value('underlying_price')}">
+        <button type="button" class="btn btn--sm btn--secondary leg-calc" title="Calculate IV and Greeks">&sigma;</button>
+        <button type="button" class="btn btn--sm btn--danger leg-remove" title="Remove leg">&times;</button>
+    `;
+    
+    return row;
+}
+
+function addLegRow(containerId, leg = {}) {
+    document.getElementById(containerId).appendChild(createLegRow(leg));
+}
+
+function renderLegsEditor(containerId, legs) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    container.innerHTML = '';
+    (legs && legs.length > 0 ? legs : [{}]).forEach(leg => addLegRow(containerId, leg));
+}
+
+function readLegsEditor(containerId) {
+    const rows = document.querySelectorAll(`#${containerId} .leg-row`);
+    
+    return Array.from(rows).map(row => {
+        const field = (name) => row.querySelector(`[data-field="${name}"]`).value;
+        return {
+            side: field('side'),
+            option_type: field('option_type'),
+            strike: parseOptionalNumber(field('strike')),
+            expiration: field('expiration') || null,
+            quantity: parseInt(field('quantity')) || 1,
+            entry_price: parseOptionalNumber(field('entry_price')),
+            exit_price: parseOptionalNumber(field('exit_price')),
+            delta: parseOptionalNumber(field('delta')),
+            gamma: parseOptionalNumber(field('gamma')),
+            theta: parseOptionalNumber(field('theta')),
+            vega: parseOptionalNumber(field('vega')),
+            iv: parseOptionalNumber(field('iv')),
+            underlying_price: parseOptionalNumber(field('underlying_price'))
+        };
+    }).filter(leg => leg.strike !== null || leg.entry_price !== null || leg.option_type === 'STOCK');
+}
+
+function handleLegsEditorClick(e) {
+    if (e.target.classList.contains('leg-calc')) {
+        openGreeksCalculator(e.target.closest('.leg-row'), e.currentTarget.id);
+    } else if (e.target.classList.contains('leg-remove')) {
+        const container = e.currentTarget;
+        e.target.closest('.leg-row').remove();
+        if (!container.querySelector('.leg-row')) {
+            addLegRow(container.id);
+        }
+    }
+}
+
+// Greeks Calculator
+// Solves a leg's implied volatility from its entry price and fills in its
+// Greeks. The trade date of the form the leg belongs to is the valuation date.
+const LEG_EDITOR_DATE_FIELDS = { addTradeLegs: 'tradeDate', 'edit-trade-legs': 'edit-date' };
+let greeksCalculatorRow = null;
+let greeksCalculatorResult = null;
+
+function openGreeksCalculator(row, containerId) {
+    const field = (name) => row.querySelector(`[data-field="${name}"]`).value;
+    
+    if (field('option_type') === 'STOCK') {
+        showMessage('Greeks apply to option legs only. A stock leg has a delta of 1 per share.', 'error');
+        return;
+    }
+    
+    const dateInput = document.getElementById(LEG_EDITOR_DATE_FIELDS[containerId]);
+    
+    greeksCalculatorRow = row;
+    greeksCalculatorResult = null;
+    document.getElementById('calcOptionType').value = field('option_type');
+    document.getElementById('calcStrike').value = field('strike');
+    document.getElementById('calcExpiration').value = field('expiration');
+    document.getElementById('calcValuationDate').value = (dateInput && dateInput.value) || getTodayKey();
+    document.getElementById('calcUnderlyingPrice').value = field('underlying_price');
+    document.getElementById('calcOptionPrice').value = field('entry_price');
+    document.getElementById('calcVolatility').value = field('iv') ? (parseFloat(field('iv')) * 100).toFixed(2) : '';
+    document.getElementById('calcRate').value = (getRiskFreeRate() * 100).toFixed(2);
+    document.getElementById('greeksResults').innerHTML = '';
+    document.getElementById('applyGreeksBtn').disabled = true;
+    document.getElementById('greeksModal').classList.add('active');
+}
+
+function closeGreeksCalculator() {
+    document.getElementById('greeksModal').classList.remove('active');
+    greeksCalculatorRow = null;
+}
+
+function handleGreeksCalculate(e) {
+    e.preventDefault();
+    
+    const number = (id) => parseOptionalNumber(document.getElementById(id).value);
+    const style = document.getElementById('calcStyle').value;
+    const expiration = document.getElementById('calcExpiration').value;
+    const valuationDate = document.getElementById('calcValuationDate').value;
+    const params = {
+        type: document.getElementById('calcOptionType').value,
+        spot: number('calcUnderlyingPrice'),
+        strike: number('calcStrike'),
+        years: expiration && valuationDate ? getYearsToExpiration(expiration, valuationDate) : 0,
+        rate: (number('calcRate') || 0) / 100,
+        dividendYield: (number('calcDividendYield') || 0) / 100
+    };
+    
+    if (!(params.spot > 0) || !(params.strike > 0) || params.years <= 0) {
+        showMessage('Enter the underlying price, strike and an expiration after the valuation date.', 'error');
+        return;
+    }
+    
+    // The option price is a net leg price, so a credit is entered as a negative number
+    const optionPrice = number('calcOptionPrice') === null ? null : Math.abs(number('calcOptionPrice'));
+    let volatility;
+    
+    if (optionPrice !== null) {
+        volatility = solveImpliedVolatility(params, optionPrice, style);
+        if (volatility === null) {
+            showMessage('No volatility reproduces that option price. Check it lies above intrinsic value.', 'error');
+            return;
+        }
+    } else if (number('calcVolatility') > 0) {
+        volatility = number('calcVolatility') / 100;
+    } else {
+        showMessage('Enter an option price to solve for implied volatility, or a volatility to price the option.', 'error');
+        return;
+    }
+    
+    const greeks = priceOption({ ...params, volatility }, style);
+    greeksCalculatorResult = { ...greeks, iv: volatility, underlying_price: params.spot };
+    document.getElementById('calcVolatility').value = (volatility * 100).toFixed(2);
+    document.getElementById('applyGreeksBtn').disabled = !greeksCalculatorRow;
+    
+    document.getElementById('greeksResults').innerHTML = `
+        <div class="detail-grid">
+            <div class="detail-item">
+                <div class="detail-label">Implied Volatility</div>
+                <div class="detail-value">${formatPercent(volatility)}</div>
+            </div>
+            <div class="detail-item">
+                <div class="detail-label">Theoretical Price</div>
+                <div class="detail-value">$${greeks.price.toFixed(2)}</div>
+            </div>
+            <div class="detail-item">
+                <div class="detail-label">Delta</div>
+                <div class="detail-value">${greeks.delta.toFixed(4)}</div>
+            </div>
+            <div class="detail-item">
+                <div class="detail-label">Gamma</div>
+                <div class="detail-value">${greeks.gamma.toFixed(4)}</div>
+            </div>
+            <div class="detail-item">
+                <div class="detail-label">Theta (per day)</div>
+                <div class="detail-value">${greeks.theta.toFixed(4)}</div>
+            </div>
+            <div class="detail-item">
+                <div class="detail-label">Vega (per vol point)</div>
+                <div class="detail-value">${greeks.vega.toFixed(4)}</div>
+            </div>
+        </div>
+    `;
+}
+
+// Leg Greeks are stored per share and signed by the leg's side when summed,
+// so the calculator's long-option values go in unchanged
+function applyGreeksToLeg() {
+    if (!greeksCalculatorRow || !greeksCalculatorResult) return;
+    
+    const setField = (name, value, digits) => {
+        greeksCalculatorRow.querySelector(`[data-field="${name}"]`).value = Number(value.toFixed(digits));
+    };
+    
+    setField('delta', greeksCalculatorResult.delta, 4);
+    setField('gamma', greeksCalculatorResult.gamma, 4);
+    setField('theta', greeksCalculatorResult.theta, 4);
+    setField('vega', greeksCalculatorResult.vega, 4);
+    setField('iv', greeksCalculatorResult.iv, 4);
+    setField('underlying_price', greeksCalculatorResult.underlying_price, 2);
+    setField('strike', parseFloat(document.getElementById('calcStrike').value), 2);
+    greeksCalculatorRow.querySelector('[data-field="expiration"]').value = document.getElementById('calcExpiration').value;
+    
+    closeGreeksCalculator();
+}
+
+// Position Lifecycle
+// Fills are applied with applyPositionState from trades.js
+async function recordPositionFill(tradeId, fill, changes = {}) {
+    const trade = allTrades.find(t => t.id === tradeId);
+    if (!trade) {
+        throw new Error('Trade not found');
+    }
+    if (isTradeClosed(trade)) {
+        throw new Error('Position is already closed');
+    }
+    if (fill.action === 'close' && fill.quantity > trade.open_quantity) {
+        throw new Error(`Only ${trade.open_quantity} open to close`);
+    }
+    
+    // Fills are applied in date order, so an earlier date would put this one
+    // before the open, or close more than was open on that day
+    const openedOn = trade.fills.map(f => f.date).sort()[0];
+    if (fill.date < openedOn) {
+        throw new Error(`The position was opened on ${openedOn}; a fill can't be dated before that`);
+    }
+    
+    const updated = applyPositionState({ ...trade, ...changes, fills: [...trade.fills, fill] });
+    const closedQuantity = fills => fills.filter(f => f.action === 'close').reduce((sum, f) => sum + f.quantity, 0);
+    if (closedQuantity(updated.fills) < closedQuantity(trade.fills) + (fill.action === 'close' ? fill.quantity : 0)) {
+        throw new Error(`Less than ${fill.quantity} was open on ${fill.date}; date the close after the fills it closes`);
+    }
+    
+    return updateTrade(updated);
+}
+
+// Trade Timestamps
+// Entry and exit times are stored as UTC instants (ISO strings) along with the
+// IANA time zone they were entered in. Forms, the trade view and the
+// hour-of-day chart read them back on that zone's clock, so a 09:45 New York
+// entry stays 09:45 wherever the journal is opened. trade.date remains the
+// entry date in that zone. Trades entered without times just leave them out.
+const COMMON_TIME_ZONES = [
+    'America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles',
+    'Europe/London', 'Europe/Berlin', 'Asia/Tokyo', 'Asia/Hong_Kong', 'Australia/Sydney', 'UTC'
+];
+
+// The zone last used on the add form, else the browser's
+function getDefaultTimeZone() {
+    return getAppSetting('timeZone', Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC');
+}
+
+function isValidTimeZone(timeZone) {
+    if (!timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function getTimeZoneChoices(selected) {
+    const supported = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    return [...new Set([...COMMON_TIME_ZONES, selected, ...supported].filter(Boolean))];
+}
+
+function renderTimeZoneSelect(select, selected = getDefaultTimeZone()) {
+    select.innerHTML = getTimeZoneChoices(selected).map(zone =>
+        `<option value="${escapeHtml(zone)}"${zone === selected ? ' selected' : ''}>${escapeHtml(zone.replace(/_/g, ' '))}</option>`
+    ).join('');
+}
+
+// Value for a datetime-local input
+function toZonedInputValue(timestamp, timeZone) {
+    if (!timestamp) return '';
+    const parts = getZonedParts(Date.parse(timestamp), timeZone);
+    return `${parts.dateKey}T${parts.time}`;
+}
+
+function formatTimestamp(timestamp, timeZone) {
+    return new Date(timestamp).toLocaleString('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZoneName: 'short'
+    });
+}
+
+function getEntryHour(trade) {
+    return trade.entry_time ? getZonedParts(Date.parse(trade.entry_time), getTradeTimeZone(trade)).hour : null;
+}
+
+// Milliseconds from entry to exit, or null unless the trade is closed and has both times
+function getHoldingPeriod(trade) {
+    if (!isTradeClosed(trade) || !trade.entry_time || !trade.exit_time) return null;
+    return Date.parse(trade.exit_time) - Date.parse(trade.entry_time);
+}
+
+function formatDuration(ms) {
+    if (ms === null || !Number.isFinite(ms)) return '—';
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+    const days = Math.floor(hours / 24);
+    return hours % 24 ? `${days}d ${hours % 24}h` : `${days}d`;
+}
+
+// Reads the entry/exit inputs of the add or edit form. An open position has no exit yet.
+function readTradeTimes(entryId, exitId, zoneId, status) {
+    const timezone = document.getElementById(zoneId).value || getDefaultTimeZone();
+    const entry = document.getElementById(entryId).value;
+    const exit = status === 'closed' ? document.getElementById(exitId).value : '';
+    
+    return {
+        entry_time: entry ? zonedTimeToUtc(entry, timezone) : null,
+        exit_time: exit ? zonedTimeToUtc(exit, timezone) : null,
+        timezone: entry || exit ? timezone : null
+    };
+}
+
+function validateTradeTimes(times) {
+    if (times.entry_time && times.exit_time && times.exit_time < times.entry_time) {
+        return 'The exit time is before the entry time.';
+    }
+    return null;
+}
+
+// Keeps the date field on the entry time's date while the form is edited
+function syncDateWithEntryTime(entryId, dateId) {
+    const entry = document.getElementById(entryId).value;
+    if (entry) document.getElementById(dateId).value = entry.slice(0, 10);
+}
+
+// Event Listeners
+function setupEventListeners() {
+    // Tab navigation
+    document.querySelectorAll('.tab-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const tabName = e.target.dataset.tab;
+            switchTab(tabName);
+        });
+    });
+    
+    // Add trade form
+    document.getElementById('addTradeForm').addEventListener('submit', handleAddTrade);
+    
+    // Edit trade form
+    document.getElementById('editTradeForm').addEventListener('submit', handleEditTrade);
+    
+    // Portfolio form
+    document.getElementById('portfolioForm').addEventListener('submit', handlePortfolioUpdate);
+    
+    // Risk metric methodology
+    document.getElementById('riskFreeRate').value = (getRiskFreeRate() * 100).toFixed(2);
+    document.getElementById('riskFreeRate').addEventListener('change', handleRiskFreeRateChange);
+    
+    // Trade labels
+    document.getElementById('labelListsForm').addEventListener('submit', handleLabelListsSubmit);
+    document.getElementById('labelPerformanceKind').addEventListener('change', updateLabelPerformanceChart);
+    document.getElementById('labelPerformanceRank').addEventListener('change', updateLabelPerformanceChart);
+    
+    // Portfolio Greeks
+    document.getElementById('betaReferenceTicker').addEventListener('change', handleBetaReferenceChange);
+    document.getElementById('betaReferencePrice').addEventListener('change', handleBetaReferenceChange);
+    document.getElementById('greeksByTickerBody').addEventListener('change', handleTickerBetaChange);
+    
+    // Account switcher
+    document.getElementById('accountSwitcher').addEventListener('change', (e) => switchAccount(e.target.value));
+    renderAccountSelects();
+    
+    // Portfolio settings modal
+    document.getElementById('portfolioSettingsBtn').addEventListener('click', openPortfolioModal);
+    document.getElementById('closePortfolioModal').addEventListener('click', closePortfolioModal);
+    document.getElementById('settingsAccount').addEventListener('change', renderAccountSettings);
+    document.getElementById('newAccountForm').addEventListener('submit', handleNewAccount);
+    document.getElementById('deleteAccountBtn').addEventListener('click', deleteAccount);
+    document.getElementById('ledgerForm').addEventListener('submit', handleLedgerSubmit);
+    document.getElementById('recordAdjustmentBtn').addEventListener('click', reconcileWithAdjustment);
+    document.getElementById('acceptDerivedBtn').addEventListener('click', acceptDerivedBalance);
+    
+    // Edit trade modal
+    document.getElementById('closeEditModal').addEventListener('click', closeEditModal);
+    
+    // View trade modal
+    document.getElementById('closeViewModal').addEventListener('click', closeViewModal);
+    
+    // Legs editors
+    document.querySelectorAll('.legs-list').forEach(list => {
+        list.addEventListener('click', handleLegsEditorClick);
+    });
+    document.querySelectorAll('[data-add-leg]').forEach(btn => {
+        btn.addEventListener('click', () => addLegRow(btn.dataset.addLeg));
+    });
+    renderLegsEditor('addTradeLegs', []);
+    renderLabelPicker('addTradeLabels');
+    document.getElementById('greeksForm').addEventListener('submit', handleGreeksCalculate);
+    document.getElementById('applyGreeksBtn').addEventListener('click', applyGreeksToLeg);
+    document.getElementById('closeGreeksModal').addEventListener('click', closeGreeksCalculator);
+    
+    // Markdown previews and attachments
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-markdown-preview]');
+        if (button) toggleMarkdownPreview(button);
+    });
+    document.querySelectorAll('[data-attachments]').forEach(input => {
+        input.addEventListener('change', handleAttachmentInput);
+        document.getElementById(input.dataset.attachments).addEventListener('click', handleAttachmentEditorClick);
+    });
+    document.getElementById('addTradeForm').addEventListener('paste', (e) => handleAttachmentPaste(e, 'addTradeAttachments'));
+    document.getElementById('edit-trade-form').addEventListener('paste', (e) => handleAttachmentPaste(e, 'edit-trade-attachments'));
+    document.getElementById('viewTradeDetails').addEventListener('click', (e) => {
+        const thumb = e.target.closest('#viewTradeAttachments .attachment-thumb');
+        if (thumb) openLightbox(parseInt(thumb.dataset.index));
+    });
+    document.getElementById('closeLightbox').addEventListener('click', closeLightbox);
+    document.getElementById('lightboxPrev').addEventListener('click', () => openLightbox(lightboxIndex - 1));
+    document.getElementById('lightboxNext').addEventListener('click', () => openLightbox(lightboxIndex + 1));
+    document.addEventListener('keydown', handleLightboxKeydown);
+    
+    // Trading rules
+    document.getElementById('ruleType').innerHTML = Object.entries(RULE_TYPES)
+        .map(([type, definition]) => `<option value="${type}">${definition.label}</option>`)
+        .join('');
+    handleRuleTypeChange();
+    document.getElementById('ruleType').addEventListener('change', handleRuleTypeChange);
+    document.getElementById('tradingRuleForm').addEventListener('submit', handleAddRule);
+    document.getElementById('tradingRulesBody').addEventListener('click', handleRuleDelete);
+    renderTradeChecklist();
+    
+    // Loss limits
+    document.getElementById('lossLimitsForm').addEventListener('submit', handleLossLimitsSubmit);
+    
+    // Position sizing follows the account, date and legs on the form
+    ['input', 'change'].forEach(type => {
+        document.getElementById('addTradeForm').addEventListener(type, renderPositionSizing);
+    });
+    document.getElementById('applySizingBtn').addEventListener('click', applyPositionSizing);
+    
+    // Daily journal
+    document.getElementById('journalDate').value = getTodayKey();
+    document.getElementById('journalDate').addEventListener('change', () => loadJournalDay(getJournalDate()));
+    document.getElementById('journalForm').addEventListener('submit', handleJournalSubmit);
+    document.getElementById('deleteJournalBtn').addEventListener('click', handleJournalDelete);
+    document.getElementById('journalShowTradesBtn').addEventListener('click', () => showTradesForDays(getJournalDate(), getJournalDate()));
+    document.getElementById('journalEntriesBody').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-journal-date]');
+        if (button) loadJournalDay(button.dataset.journalDate);
+    });
+    
+    // Trade timestamps
+    renderTimeZoneSelect(document.getElementById('tradeTimezone'));
+    document.getElementById('entryTime').addEventListener('change', () => syncDateWithEntryTime('entryTime', 'tradeDate'));
+    document.getElementById('edit-entry-time').addEventListener('change', () => syncDateWithEntryTime('edit-entry-time', 'edit-date'));
+    
+    // Open positions
+    document.querySelectorAll('.history-view-btn').forEach(btn => {
+        btn.addEventListener('click', () => switchHistoryView(btn.dataset.view));
+    });
+    document.getElementById('fillForm').addEventListener('submit', handleFillSubmit);
+    document.getElementById('closeFillModal').addEventListener('click', closeFillModal);
+    
+    // Import/Export
+    document.getElementById('previewCsvBtn').addEventListener('click', previewCSV);
+    document.getElementById('validateCsvBtn').addEventListener('click', validateCSV);
+    document.getElementById('importCsvBtn').addEventListener('click', importCSV);
+    document.getElementById('exportCsvBtn').addEventListener('click', exportToCSV);
+    document.getElementById('backupBtn').addEventListener('click', downloadBackup);
+    document.getElementById('restoreBtn').addEventListener('click', handleRestoreBackup);
+    
+    // Column mapping
+    document.getElementById('importFormatSelect').addEventListener('change', handleImportFormatChange);
+    document.getElementById('columnMappingPanel').addEventListener('change', updateMappingSamples);
+    document.getElementById('columnMappingPanel').addEventListener('input', updateMappingSamples);
+    document.getElementById('loadMappingBtn').addEventListener('click', loadSavedMapping);
+    document.getElementById('saveMappingBtn').addEventListener('click', saveColumnMapping);
+    document.getElementById('deleteMappingBtn').addEventListener('click', deleteSavedMapping);
+    
+    // Import validation
+    document.getElementById('importFormatSelect').addEventListener('change', invalidateImportReport);
+    document.getElementById('columnMappingPanel').addEventListener('change', invalidateImportReport);
+    document.getElementById('importAccountSelect').addEventListener('change', invalidateImportReport);
+    document.getElementById('duplicateKeyOptions').addEventListener('change', handleDuplicateKeyChange);
+    document.getElementById('importReportBody').addEventListener('change', handleImportReportChange);
+    document.getElementById('selectValidRowsBtn').addEventListener('click', () => selectImportRows(['valid', 'warning']));
+    document.getElementById('selectNoRowsBtn').addEventListener('click', () => selectImportRows([]));
+    renderDuplicateKeyOptions();
+    
+    // Filters
+    document.getElementById('tickerFilter').addEventListener('change', applyFilters);
+    document.getElementById('strategyFilter').addEventListener('change', applyFilters);
+    TRADE_LABEL_KINDS.forEach(kind => {
+        document.getElementById(kind.filterId).addEventListener('change', applyFilters);
+    });
+    
+    // P&L calendar
+    document.getElementById('plCalendar').addEventListener('mouseover', handleCalendarHover);
+    document.getElementById('plCalendar').addEventListener('click', handleCalendarClick);
+    document.getElementById('clearDayFilterBtn').addEventListener('click', clearDayFilter);
+    
+    // Global context
+    ['contextPreset', 'contextFrom', 'contextTo', 'contextTicker', 'contextStrategy', 'contextCompare'].forEach(id => {
+        document.getElementById(id).addEventListener('change', handleContextChange);
+    });
+    
+    // Advanced filter builder
+    initQueryBuilder();
+    document.getElementById('queryBuilder').addEventListener('click', handleQueryBuilderClick);
+    document.getElementById('queryGroups').addEventListener('change', handleQueryBuilderChange);
+    document.getElementById('applyQueryBtn').addEventListener('click', applyQueryBuilder);
+    document.getElementById('clearQueryBtn').addEventListener('click', clearQueryBuilder);
+    document.getElementById('saveFilterBtn').addEventListener('click', saveFilterSet);
+    document.getElementById('loadFilterBtn').addEventListener('click', loadFilterSet);
+    document.getElementById('deleteFilterBtn').addEventListener('click', deleteFilterSet);
+    document.getElementById('clearActiveFilterBtn').addEventListener('click', clearQueryBuilder);
+    document.getElementById('fromDate').addEventListener('change', applyFilters);
+    document.getElementById('toDate').addEventListener('change', applyFilters);
+    document.getElementById('clearFilters').addEventListener('click', clearFilters);
+    
+    // Modal backgrounds
+    window.addEventListener('click', (e) => {
+        if (e.target.classList.contains('modal')) {
+            e.target.classList.remove('active');
+        }
+    });
+    
+    // Set default date to today
+    document.getElementById('tradeDate').value = getTodayKey();
+    resetPositionSizing();
+}
+
+// Tab Management
+function switchTab(tabName) {
+    // Update tab buttons
+    document.querySelectorAll('.tab-btn').forEach(btn => {
+        btn.classList.remove('active');
+    });
+    document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
+    
+    // Update tab content
+    document.querySelectorAll('.tab-content').forEach(content => {
+        content.classList.remove('active');
+    });
+    document.getElementById(tabName).classList.add('active');
+    
+    // Load specific tab data
+    if (tabName === 'analytics') {
+        updateAnalyticsCharts();
+    } else if (tabName === 'journal') {
+        renderJournal();
+    } else if (tabName === 'dashboard') {
+        updateDashboard();
+    }
+}
+
+// Trade Form Handlers
+async function handleAddTrade(event) {
+    event.preventDefault();
+    
+    try {
+        const formData = new FormData(event.target);
         
         // Get form values
-        const entryPrice = parseFloat(formData.get('entry-price')) || 0;
-        const exitPrice = parseFloat(formData.get('exit-price')) || 0;
-        const quantity = parseInt(formData.get('quantity')) || 1;
+        const quantity = parseInt(formData.get('quantity')) || 0;
         const premium = parseFloat(formData.get('premium')) || 0;
         const fees = parseFloat(formData.get('fees')) || 0;
+        const status = formData.get('position-status') || 'closed';
+        const legs = readLegsEditor('addTradeLegs');
         
-        // Calculate net P&L
-        let net_pl;
-        if (entryPrice > 0 && exitPrice > 0) {
-            // Calculate from Entry/Exit prices
-            // For options: (Exit - Entry) * Quantity * 100 + Fees
-            net_pl = (exitPrice - entryPrice) * quantity * 100 + fees;
-        } else {
-            // Fall back to Premium + Fees
-            net_pl = premium + fees;
+        if (legs.length === 0) {
+            alert('❌ Add at least one leg with a strike or entry price.');
+            return;
+        }
+        
+        const legFields = buildTradeFromLegs(legs, { quantity, premium, fees });
+        
+        if (status === 'open' && legFields.entry_price === null) {
+            alert('❌ Open positions need an entry price on every leg.');
+            return;
+        }
+        
+        const times = readTradeTimes('entryTime', 'exitTime', 'tradeTimezone', status);
+        const timesError = validateTradeTimes(times);
+        if (timesError) {
+            alert('❌ ' + timesError);
+            return;
         }
         
         // Create trade object
-        const tradeData = {
-            date: formData.get('trade-date'),
+        let tradeData = {
+            date: (formData.get('entry-time') || formData.get('trade-date')).slice(0, 10),
+            ...times,
             ticker: (formData.get('ticker') || '').toUpperCase(),
             strategy: formData.get('strategy'),
-            option_type: formData.get('option-type'),
-            strike: formData.get('strike'),
-            expiration: formData.get('expiration'),
-            quantity: quantity,
-            entry_price: entryPrice || null,
-            exit_price: exitPrice || null,
+            account_id: formData.get('account-id') || getDefaultAccountId(),
+            ...legFields,
             premium: premium,
             fees: fees,
-            net_pl: net_pl,
-            outcome: net_pl >= 0 ? 'Win' : 'Loss',
-            delta: parseFloat(formData.get('delta')) || null,
-            gamma: parseFloat(formData.get('gamma')) || null,
-            theta: parseFloat(formData.get('theta')) || null,
-            vega: parseFloat(formData.get('vega')) || null,
+            outcome: legFields.net_pl >= 0 ? 'Win' : 'Loss',
+            planned_stop: parseOptionalNumber(formData.get('planned-stop')),
+            planned_target: parseOptionalNumber(formData.get('planned-target')),
+            initial_risk: parseOptionalNumber(formData.get('initial-risk')),
+            ...readLabelPicker('addTradeLabels'),
             trade_notes: formData.get('trade-notes'),
             post_trade_analysis: formData.get('post-trade-analysis') || ''
         };
+        tradeData = applyPositionState({ ...tradeData, fills: buildInitialFills(tradeData, status) });
+        const net_pl = tradeData.net_pl;
+        
+        // Once a limit is hit, a new trade in that period needs the override phrase
+        const breachedLimits = getBreachedLimits(tradeData.date);
+        if (breachedLimits.length > 0 && !confirmLimitOverride(breachedLimits)) {
+            alert('❌ Trade not logged: a trading limit has been reached.');
+            return;
+        }
+        
+        // Rules are checked against the trade as it will be saved
+        if (getTradingRules().length > 0) {
+            const violations = evaluateTradeRules(tradeData, readTradeChecklist());
+            if (violations.length > 0 && !confirm(`This trade breaks ${violations.length} rule${violations.length === 1 ? '' : 's'}:\n${violations.map(v => `• ${v.rule}: ${v.detail}`).join('\n')}\n\nSave it anyway?`)) {
+                return;
+            }
+            tradeData.rule_violations = violations;
+        }
         
         // Add trade
         const trade = await addTrade(tradeData);
+        await saveAttachments(trade.id, pendingAttachments.addTradeAttachments);
+        if (breachedLimits.length > 0) await recordLimitOverrides(breachedLimits, trade.id);
+        if (times.timezone) await saveAppSetting('timeZone', times.timezone);
         
         // Update display
         await loadTrades();
@@ -352,6 +1500,13 @@ async function handleAddTrade(event) {
         
         // Reset form
         event.target.reset();
+        document.getElementById('tradeAccount').value = getDefaultAccountId();
+        renderLegsEditor('addTradeLegs', []);
+        renderLabelPicker('addTradeLabels');
+        renderTimeZoneSelect(document.getElementById('tradeTimezone'));
+        resetAttachmentEditor('addTradeAttachments');
+        renderTradeChecklist();
+        resetPositionSizing();
         
         // Show success message
         alert(`✅ Trade added successfully!\nNet P&L: $${net_pl.toFixed(2)}\nOutcome: ${trade.outcome}`);
@@ -424,64 +1579,67 @@ async function handleEditTradeSubmit(event) {
             return;
         }
         
-        const originalPL = parseFloat(originalTrade.net_pl) || 0;
         
         // Get form values
-        const entryPrice = parseFloat(document.getElementById('edit-entry-price').value) || 0;
-        const exitPrice = parseFloat(document.getElementById('edit-exit-price').value) || 0;
-        const quantity = parseInt(document.getElementById('edit-quantity').value) || 1;
+        const quantity = parseInt(document.getElementById('edit-quantity').value) || 0;
         const premium = parseFloat(document.getElementById('edit-premium').value) || 0;
         const fees = parseFloat(document.getElementById('edit-fees').value) || 0;
+        const legs = readLegsEditor('edit-trade-legs');
         
-        // Calculate net P&L based on entry/exit if both are provided
-        let net_pl;
-        if (entryPrice > 0 && exitPrice > 0) {
-            // Net P&L = (Exit - Entry) * Quantity * 100 (for options contracts)
-            net_pl = (exitPrice - entryPrice) * quantity * 100 + fees;
-        } else {
-            // Fall back to premium + fees
-            net_pl = premium + fees;
+        if (legs.length === 0) {
+            alert('❌ Add at least one leg with a strike or entry price.');
+            return;
+        }
+        
+        const legFields = buildTradeFromLegs(legs, { quantity, premium, fees });
+        
+        const times = readTradeTimes('edit-entry-time', 'edit-exit-time', 'edit-timezone', isTradeClosed(originalTrade) ? 'closed' : 'open');
+        const timesError = validateTradeTimes(times);
+        if (timesError) {
+            alert('❌ ' + timesError);
+            return;
         }
         
         // Create updated trade object
-        const updatedTrade = {
+        let updatedTrade = {
+            ...originalTrade,
             id: tradeId,
-            date: document.getElementById('edit-date').value,
+            date: (document.getElementById('edit-entry-time').value || document.getElementById('edit-date').value).slice(0, 10),
+            ...times,
             ticker: (document.getElementById('edit-ticker').value || '').toUpperCase(),
             strategy: document.getElementById('edit-strategy').value,
-            option_type: document.getElementById('edit-option-type').value,
-            strike: document.getElementById('edit-strike').value,
-            expiration: document.getElementById('edit-expiration').value,
-            quantity: quantity,
-            entry_price: entryPrice || null,
-            exit_price: exitPrice || null,
+            account_id: document.getElementById('edit-account').value || getRecordAccountId(originalTrade),
+            planned_stop: parseOptionalNumber(document.getElementById('edit-planned-stop').value),
+            planned_target: parseOptionalNumber(document.getElementById('edit-planned-target').value),
+            initial_risk: parseOptionalNumber(document.getElementById('edit-initial-risk').value),
+            ...readLabelPicker('edit-trade-labels'),
+            ...legFields,
             premium: premium,
             fees: fees,
-            net_pl: net_pl,
-            outcome: net_pl >= 0 ? 'Win' : 'Loss',
-            delta: parseFloat(document.getElementById('edit-delta').value) || null,
-            gamma: parseFloat(document.getElementById('edit-gamma').value) || null,
-            theta: parseFloat(document.getElementById('edit-theta').value) || null,
-            vega: parseFloat(document.getElementById('edit-vega').value) || null,
+            outcome: legFields.net_pl >= 0 ? 'Win' : 'Loss',
             trade_notes: document.getElementById('edit-notes').value,
             post_trade_analysis: document.getElementById('edit-post-trade-analysis').value,
             updated_at: new Date().toISOString(),
             created_at: originalTrade.created_at
         };
         
+        updatedTrade.fills = getEditedTradeFills(originalTrade, updatedTrade);
+        updatedTrade = applyPositionState(updatedTrade);
+        const net_pl = updatedTrade.net_pl;
+        
         // Update in database
         await db.put('trades', updatedTrade);
-        
-        // Update portfolio balance
-        const plDifference = net_pl - originalPL;
-        portfolioSettings.currentBalance += plDifference;
-        await savePortfolioSettings();
+        await saveAttachmentEdits(tradeId);
         
         // Update in-memory array
         const index = allTrades.findIndex(t => t.id === tradeId);
         if (index !== -1) {
             allTrades[index] = updatedTrade;
         }
+        await savePortfolioHistory(updatedTrade.account_id);
+        if (updatedTrade.account_id !== getRecordAccountId(originalTrade)) {
+            await savePortfolioHistory(getRecordAccountId(originalTrade));
+        }
         
         // Close modal and refresh
         closeEditModal();
@@ -510,10 +1668,22 @@ async function handlePortfolioUpdate(e) {
     e.preventDefault();
     
     try {
-        portfolioSettings.startingCapital = parseFloat(document.getElementById('startingCapital').value);
-        portfolioSettings.currentBalance = parseFloat(document.getElementById('currentBalance').value);
+        const name = document.getElementById('settingsAccountName').value.trim();
+        if (!name) {
+            showMessage('Account name is required.', 'error');
+            return;
+        }
         
-        await savePortfolioSettings();
+        // The balance itself is derived from the ledger; only a recorded
+        // statement balance is stored, for reconciliation
+        await savePortfolioSettings({
+            ...getAccount(getSettingsAccountId()),
+            name,
+            type: document.getElementById('settingsAccountType').value,
+            startingCapital: parseFloat(document.getElementById('startingCapital').value),
+            currentBalance: parseFloat(document.getElementById('currentBalance').value)
+        });
+        renderAccountSelects();
         closePortfolioModal();
         updateDashboard();
         
@@ -524,10 +1694,104 @@ async function handlePortfolioUpdate(e) {
     }
 }
 
-// Modal Management
+async function handleNewAccount(e) {
+    e.preventDefault();
+    
+    const name = document.getElementById('newAccountName').value.trim();
+    const startingCapital = parseFloat(document.getElementById('newAccountCapital').value) || 0;
+    if (!name) {
+        showMessage('Account name is required.', 'error');
+        return;
+    }
+    
+    try {
+        const account = {
+            id: `account-${Date.now()}`,
+            name,
+            type: document.getElementById('newAccountType').value,
+            startingCapital,
+            currentBalance: startingCapital,
+            created_at: new Date().toISOString()
+        };
+        await savePortfolioSettings(account);
+        
+        e.target.reset();
+        renderAccountSelects();
+        renderAccountOptions(document.getElementById('settingsAccount'), account.id);
+        renderAccountSettings();
+        showMessage(`Account "${name}" created.`, 'success');
+    } catch (error) {
+        console.error('Failed to create account:', error);
+        showMessage('Failed to create account. Please try again.', 'error');
+    }
+}
+
+async function deleteAccount() {
+    const accountId = getSettingsAccountId();
+    const account = getAccount(accountId);
+    const tradeCount = getAccountTrades(accountId).length;
+    const entryCount = getAccountLedgerEntries(accountId).length;
+    
+    if (accountId === DEFAULT_ACCOUNT_ID) {
+        showMessage('The main account cannot be deleted.', 'error');
+        return;
+    }
+    if (tradeCount > 0 || entryCount > 0) {
+        showMessage(`"${account.name}" still has ${tradeCount} trades and ${entryCount} cash flows. Move or delete them first.`, 'error');
+        return;
+    }
+    if (!confirm(`Delete the account "${account.name}" and its balance history?`)) return;
+    
+    try {
+        const tx = db.transaction(['portfolioSettings', 'portfolioHistory'], 'readwrite');
+        await tx.objectStore('portfolioSettings').delete(accountId);
+        let cursor = await tx.objectStore('portfolioHistory').openCursor();
+        while (cursor) {
+            if (cursor.value.account_id === accountId) await cursor.delete();
+            cursor = await cursor.continue();
+        }
+        await tx.done;
+        
+        accounts = accounts.filter(a => a.id !== accountId);
+        if (activeAccountId === accountId) {
+            await switchAccount(ALL_ACCOUNTS);
+        } else {
+            renderAccountSelects();
+        }
+        renderAccountOptions(document.getElementById('settingsAccount'), DEFAULT_ACCOUNT_ID);
+        renderAccountSettings();
+        showMessage(`Account "${account.name}" deleted.`, 'success');
+    } catch (error) {
+        console.error('Failed to delete account:', error);
+        showMessage('Failed to delete account. Please try again.', 'error');
+    }
+}
+
+// The settings modal edits one account at a time, independent of the switcher
+function getSettingsAccountId() {
+    return document.getElementById('settingsAccount').value || DEFAULT_ACCOUNT_ID;
+}
+
+function renderAccountSettings() {
+    const account = getAccount(getSettingsAccountId());
+    
+    document.getElementById('settingsAccountName').value = account.name;
+    document.getElementById('settingsAccountType').value = account.type;
+    document.getElementById('startingCapital').value = account.startingCapital;
+    document.getElementById('currentBalance').value = account.currentBalance;
+    document.getElementById('deleteAccountBtn').disabled = account.id === DEFAULT_ACCOUNT_ID;
+    renderLedger();
+    renderReconciliation();
+}
+
+// Modal Management
 function openPortfolioModal() {
-    document.getElementById('startingCapital').value = portfolioSettings.startingCapital;
-    document.getElementById('currentBalance').value = portfolioSettings.currentBalance;
+    renderAccountOptions(document.getElementById('settingsAccount'), getDefaultAccountId());
+    document.getElementById('ledgerDate').value = getTodayKey();
+    renderAccountSettings();
+    renderLabelListSettings();
+    renderTradingRules();
+    renderLossLimitSettings();
     document.getElementById('portfolioModal').classList.add('active');
 }
 
@@ -554,24 +1818,29 @@ async function openEditModal(tradeId) {
         };
         
         // Populate all form fields
+        renderAccountOptions(document.getElementById('edit-account'), getRecordAccountId(trade));
         setValueSafely('edit-trade-id', trade.id);
         setValueSafely('edit-date', trade.date);
         setValueSafely('edit-ticker', trade.ticker);
         setValueSafely('edit-strategy', trade.strategy);
-        setValueSafely('edit-option-type', trade.option_type);
-        setValueSafely('edit-strike', trade.strike);
-        setValueSafely('edit-expiration', trade.expiration);
         setValueSafely('edit-quantity', trade.quantity);
-        setValueSafely('edit-entry-price', trade.entry_price);
-        setValueSafely('edit-exit-price', trade.exit_price);
         setValueSafely('edit-premium', trade.premium);
         setValueSafely('edit-fees', trade.fees);
-        setValueSafely('edit-delta', trade.delta);
-        setValueSafely('edit-gamma', trade.gamma);
-        setValueSafely('edit-theta', trade.theta);
-        setValueSafely('edit-vega', trade.vega);
+        setValueSafely('edit-planned-stop', trade.planned_stop ?? '');
+        setValueSafely('edit-planned-target', trade.planned_target ?? '');
+        setValueSafely('edit-initial-risk', trade.initial_risk ?? '');
         setValueSafely('edit-notes', trade.trade_notes);
         setValueSafely('edit-post-trade-analysis', trade.post_trade_analysis);
+        renderLegsEditor('edit-trade-legs', ensureTradeLegs(trade).legs);
+        lockFillFields(hasFillHistory(trade));
+        renderLabelPicker('edit-trade-labels', trade);
+        
+        const timeZone = getTradeTimeZone(trade);
+        renderTimeZoneSelect(document.getElementById('edit-timezone'), timeZone);
+        setValueSafely('edit-entry-time', toZonedInputValue(trade.entry_time, timeZone));
+        setValueSafely('edit-exit-time', toZonedInputValue(trade.exit_time, timeZone));
+        document.getElementById('edit-exit-time').disabled = !isTradeClosed(trade);
+        await loadAttachmentEditor(trade.id);
         
         // Show modal - try both possible ID formats
         const modal = document.getElementById('edit-trade-modal') || document.getElementById('editTradeModal');
@@ -591,6 +1860,17 @@ async function openEditModal(tradeId) {
 
 
 
+// Fields the fills are rebuilt from. They are read-only for a trade with a
+// fill history, since saving keeps its fills (see getEditedTradeFills).
+function lockFillFields(locked) {
+    const fields = [
+        ...['edit-quantity', 'edit-premium', 'edit-fees'].map(id => document.getElementById(id)),
+        ...document.querySelectorAll('#edit-trade-legs [data-field="quantity"], #edit-trade-legs [data-field="entry_price"], #edit-trade-legs [data-field="exit_price"]')
+    ];
+    fields.forEach(field => { field.disabled = locked; });
+    document.getElementById('edit-fills-note').hidden = !locked;
+}
+
 function closeEditModal() {
     // Try both ID formats for compatibility
     const modal = document.getElementById('edit-trade-modal') || document.getElementById('editTradeModal');
@@ -598,6 +1878,7 @@ function closeEditModal() {
         modal.style.display = 'none';
         modal.classList.remove('active');
     }
+    resetAttachmentEditor('edit-trade-attachments');
 }
 
 
@@ -605,6 +1886,15 @@ function openViewModal(tradeId) {
     const trade = allTrades.find(t => t.id === tradeId);
     if (!trade) return;
     
+    // Legacy records keep their hand-entered Greeks; multi-leg trades total their legs
+    const legs = ensureTradeLegs(trade).legs;
+    const greeks = legs.length > 0 ? calculateLegsGreeks(legs) : trade;
+    const unrealizedPL = calculateUnrealizedPL(trade);
+    const initialRisk = getInitialRisk(trade);
+    const rewardRisk = getPlannedRewardRisk(trade);
+    const rMultiple = calculateRMultiple(trade);
+    const payoff = buildPayoffDiagram(trade);
+    
     const detailsContainer = document.getElementById('viewTradeDetails');
     detailsContainer.innerHTML = `
         <div class="trade-detail-section">
@@ -614,17 +1904,39 @@ function openViewModal(tradeId) {
                     <div class="detail-label">Date</div>
                     <div class="detail-value">${formatDate(trade.date)}</div>
                 </div>
+                ${trade.entry_time ? `
+                    <div class="detail-item">
+                        <div class="detail-label">Entry Time</div>
+                        <div class="detail-value">${formatTimestamp(trade.entry_time, getTradeTimeZone(trade))}</div>
+                    </div>
+                ` : ''}
+                ${trade.exit_time ? `
+                    <div class="detail-item">
+                        <div class="detail-label">Exit Time</div>
+                        <div class="detail-value">${formatTimestamp(trade.exit_time, getTradeTimeZone(trade))}</div>
+                    </div>
+                ` : ''}
+                ${getHoldingPeriod(trade) !== null ? `
+                    <div class="detail-item">
+                        <div class="detail-label">Holding Period</div>
+                        <div class="detail-value">${formatDuration(getHoldingPeriod(trade))}</div>
+                    </div>
+                ` : ''}
                 <div class="detail-item">
                     <div class="detail-label">Ticker</div>
-                    <div class="detail-value">${trade.ticker}</div>
+                    <div class="detail-value">${escapeHtml(trade.ticker)}</div>
                 </div>
                 <div class="detail-item">
                     <div class="detail-label">Strategy</div>
-                    <div class="detail-value">${trade.strategy}</div>
+                    <div class="detail-value">${escapeHtml(trade.strategy)}</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">Account</div>
+                    <div class="detail-value">${escapeHtml(getAccountName(getRecordAccountId(trade)))}</div>
                 </div>
                 <div class="detail-item">
                     <div class="detail-label">Option Type</div>
-                    <div class="detail-value">${trade.option_type}</div>
+                    <div class="detail-value">${trade.option_type || 'N/A'}</div>
                 </div>
                 <div class="detail-item">
                     <div class="detail-label">Strike Price</div>
@@ -637,6 +1949,47 @@ function openViewModal(tradeId) {
             </div>
         </div>
         
+        ${legs.length > 0 ? `
+            <div class="trade-detail-section">
+                <h4>Legs</h4>
+                <div class="table-container">
+                    <table class="trades-table legs-table">
+                        <thead>
+                            <tr>
+                                <th>Side</th>
+                                <th>Type</th>
+                                <th>Strike</th>
+                                <th>Expiration</th>
+                                <th>Qty</th>
+                                <th>Entry</th>
+                                <th>Exit</th>
+                                <th>IV</th>
+                                <th>P&amp;L</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${legs.map(leg => {
+                                const legPL = calculateLegPL(leg);
+                                return `
+                                    <tr>
+                                        <td>${escapeHtml(leg.side)}</td>
+                                        <td>${escapeHtml(leg.option_type)}</td>
+                                        <td>${leg.strike !== null ? '$' + leg.strike : 'N/A'}</td>
+                                        <td>${leg.expiration ? formatDate(leg.expiration) : 'N/A'}</td>
+                                        <td>${leg.quantity}</td>
+                                        <td>${Number.isFinite(leg.entry_price) ? '$' + leg.entry_price : 'N/A'}</td>
+                                        <td>${Number.isFinite(leg.exit_price) ? '$' + leg.exit_price : 'Open'}</td>
+                                        <td>${Number.isFinite(leg.iv) ? formatPercent(leg.iv) : '—'}</td>
+                                        <td class="${legPL === null ? '' : legPL >= 0 ? 'pl-positive' : 'pl-negative'}">${legPL === null ? '—' : formatCurrency(legPL)}</td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        ` : ''}
+        
         <div class="trade-detail-section">
             <h4>Trade Details</h4>
             <div class="detail-grid">
@@ -645,12 +1998,12 @@ function openViewModal(tradeId) {
                     <div class="detail-value">${trade.quantity}</div>
                 </div>
                 <div class="detail-item">
-                    <div class="detail-label">Entry Price</div>
-                    <div class="detail-value">$${trade.entry_price}</div>
+                    <div class="detail-label">Net Entry Price</div>
+                    <div class="detail-value">${trade.entry_price !== null && trade.entry_price !== undefined ? '$' + trade.entry_price : 'N/A'}</div>
                 </div>
                 <div class="detail-item">
-                    <div class="detail-label">Exit Price</div>
-                    <div class="detail-value">$${trade.exit_price || 'Open'}</div>
+                    <div class="detail-label">Net Exit Price</div>
+                    <div class="detail-value">${trade.exit_price !== null && trade.exit_price !== undefined ? '$' + trade.exit_price : 'Open'}</div>
                 </div>
                 <div class="detail-item">
                     <div class="detail-label">Premium</div>
@@ -661,7 +2014,7 @@ function openViewModal(tradeId) {
                     <div class="detail-value">$${trade.fees || 0}</div>
                 </div>
                 <div class="detail-item">
-                    <div class="detail-label">Net P&L</div>
+                    <div class="detail-label">${isTradeClosed(trade) ? 'Net P&L' : 'Realized P&L'}</div>
                     <div class="detail-value ${trade.net_pl >= 0 ? 'pl-positive' : 'pl-negative'}">$${trade.net_pl}</div>
                 </div>
                 <div class="detail-item">
@@ -673,24 +2026,138 @@ function openViewModal(tradeId) {
             </div>
         </div>
         
+        ${initialRisk !== null || Number.isFinite(trade.planned_target) ? `
+            <div class="trade-detail-section">
+                <h4>Risk Plan</h4>
+                <div class="detail-grid">
+                    <div class="detail-item">
+                        <div class="detail-label">Planned Stop</div>
+                        <div class="detail-value">${Number.isFinite(trade.planned_stop) ? '$' + trade.planned_stop : 'N/A'}</div>
+                    </div>
+                    <div class="detail-item">
+                        <div class="detail-label">Planned Target</div>
+                        <div class="detail-value">${Number.isFinite(trade.planned_target) ? '$' + trade.planned_target : 'N/A'}</div>
+                    </div>
+                    <div class="detail-item">
+                        <div class="detail-label">Initial Risk (1R)</div>
+                        <div class="detail-value">${initialRisk === null ? 'N/A' : formatCurrency(initialRisk)}</div>
+                    </div>
+                    <div class="detail-item">
+                        <div class="detail-label">Planned Reward:Risk</div>
+                        <div class="detail-value">${rewardRisk === null ? 'N/A' : rewardRisk.toFixed(2) + ' : 1'}</div>
+                    </div>
+                    <div class="detail-item">
+                        <div class="detail-label">R-Multiple</div>
+                        <div class="detail-value ${rMultiple === null ? '' : rMultiple >= 0 ? 'pl-positive' : 'pl-negative'}">${formatR(rMultiple)}</div>
+                    </div>
+                </div>
+            </div>
+        ` : ''}
+        
+        ${trade.fills && trade.fills.length > 0 ? `
+            <div class="trade-detail-section">
+                <h4>Fills</h4>
+                <div class="table-container">
+                    <table class="trades-table legs-table">
+                        <thead>
+                            <tr>
+                                <th>Date</th>
+                                <th>Action</th>
+                                <th>Qty</th>
+                                <th>Net Price</th>
+                                <th>Fees</th>
+                                <th>Realized P&amp;L</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${trade.fills.map(fill => `
+                                <tr>
+                                    <td>${formatDate(fill.date)}</td>
+                                    <td>${fill.action}</td>
+                                    <td>${fill.quantity}</td>
+                                    <td>$${fill.price}</td>
+                                    <td>$${fill.fees || 0}</td>
+                                    <td class="${fill.realized_pl >= 0 ? 'pl-positive' : 'pl-negative'}">${formatCurrency(fill.realized_pl || 0)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ${!isTradeClosed(trade) ? `
+                    <div class="detail-grid position-open-summary">
+                        <div class="detail-item">
+                            <div class="detail-label">Open Quantity</div>
+                            <div class="detail-value">${trade.open_quantity}</div>
+                        </div>
+                        <div class="detail-item">
+                            <div class="detail-label">Average Entry</div>
+                            <div class="detail-value">$${trade.avg_entry_price}</div>
+                        </div>
+                        <div class="detail-item">
+                            <div class="detail-label">Unrealized P&L</div>
+                            <div class="detail-value">${unrealizedPL === null ? 'Set a mark price' : formatCurrency(unrealizedPL)}</div>
+                        </div>
+                    </div>
+                ` : ''}
+            </div>
+        ` : ''}
+        
+        ${TRADE_LABEL_KINDS.some(kind => getTradeLabels(trade, kind.key).length > 0) ? `
+            <div class="trade-detail-section">
+                <h4>Labels</h4>
+                <div class="detail-grid">
+                    ${TRADE_LABEL_KINDS.filter(kind => getTradeLabels(trade, kind.key).length > 0).map(kind => `
+                        <div class="detail-item">
+                            <div class="detail-label">${kind.label}</div>
+                            <div class="detail-value">${getTradeLabels(trade, kind.key).map(name => `<span class="label-chip">${escapeHtml(name)}</span>`).join(' ')}</div>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        ` : ''}
+        
+        ${payoff ? `
+            <div class="trade-detail-section">
+                <h4>Payoff</h4>
+                <div class="detail-grid">
+                    <div class="detail-item">
+                        <div class="detail-label">Breakevens</div>
+                        <div class="detail-value">${payoff.breakevens.length > 0 ? payoff.breakevens.map(price => '$' + price.toFixed(2)).join(', ') : 'None'}</div>
+                    </div>
+                    <div class="detail-item">
+                        <div class="detail-label">Max Profit</div>
+                        <div class="detail-value pl-positive">${formatPayoffExtreme(payoff.maxProfit)}</div>
+                    </div>
+                    <div class="detail-item">
+                        <div class="detail-label">Max Loss</div>
+                        <div class="detail-value pl-negative">${formatPayoffExtreme(payoff.maxLoss)}</div>
+                    </div>
+                </div>
+                <div class="payoff-chart">
+                    <canvas id="payoffChart" width="600" height="300"></canvas>
+                </div>
+                ${payoff.needsVolatility ? '<div class="metric-note">Solve each open option leg\'s implied volatility in the legs editor (&sigma;) to add the today curve.</div>' : ''}
+            </div>
+        ` : ''}
+        
         <div class="trade-detail-section">
-            <h4>Greeks</h4>
+            <h4>Position Greeks</h4>
             <div class="detail-grid">
                 <div class="detail-item">
                     <div class="detail-label">Delta</div>
-                    <div class="detail-value">${trade.delta || 'N/A'}</div>
+                    <div class="detail-value">${formatGreek(greeks.delta)}</div>
                 </div>
                 <div class="detail-item">
                     <div class="detail-label">Gamma</div>
-                    <div class="detail-value">${trade.gamma || 'N/A'}</div>
+                    <div class="detail-value">${formatGreek(greeks.gamma)}</div>
                 </div>
                 <div class="detail-item">
                     <div class="detail-label">Theta</div>
-                    <div class="detail-value">${trade.theta || 'N/A'}</div>
+                    <div class="detail-value">${formatGreek(greeks.theta)}</div>
                 </div>
                 <div class="detail-item">
                     <div class="detail-label">Vega</div>
-                    <div class="detail-value">${trade.vega || 'N/A'}</div>
+                    <div class="detail-value">${formatGreek(greeks.vega)}</div>
                 </div>
             </div>
         </div>
@@ -698,398 +2165,3782 @@ function openViewModal(tradeId) {
         ${trade.trade_notes ? `
             <div class="trade-detail-section">
                 <h4>Trade Notes</h4>
-                <div class="detail-value">${trade.trade_notes}</div>
+                <div class="markdown-body">${renderMarkdown(trade.trade_notes)}</div>
             </div>
         ` : ''}
         
         ${trade.post_trade_analysis ? `
             <div class="trade-detail-section">
                 <h4>Post-Trade Analysis</h4>
-                <div class="detail-value">${trade.post_trade_analysis}</div>
+                <div class="markdown-body">${renderMarkdown(trade.post_trade_analysis)}</div>
+            </div>
+        ` : ''}
+        
+        ${Array.isArray(trade.rule_violations) ? `
+            <div class="trade-detail-section">
+                <h4>Rules</h4>
+                ${trade.rule_violations.length === 0
+                    ? '<p class="pl-positive">Followed every rule</p>'
+                    : `<ul class="rule-violations">${trade.rule_violations.map(violation => `
+                        <li><strong>${escapeHtml(violation.rule)}</strong>: ${escapeHtml(violation.detail)}</li>
+                    `).join('')}</ul>`}
+            </div>
+        ` : ''}
+        
+        ${getJournalEntry(trade.date) ? `
+            <div class="trade-detail-section">
+                <h4>Daily Journal</h4>
+                <button type="button" class="btn btn--sm btn--secondary" onclick="openJournalDay('${trade.date}')">Open journal for ${formatDate(trade.date)}</button>
             </div>
         ` : ''}
+        
+        <div class="trade-detail-section hidden" id="viewTradeAttachmentsSection">
+            <h4>Attachments</h4>
+            <div id="viewTradeAttachments" class="attachment-list"></div>
+        </div>
     `;
     
     document.getElementById('viewTradeModal').classList.add('active');
+    renderViewAttachments(trade.id);
+    
+    if (payoff) {
+        updatePayoffChart(payoff);
+    }
 }
 
 function closeViewModal() {
     document.getElementById('viewTradeModal').classList.remove('active');
+    revokeAttachmentUrls('view');
 }
 
-function closeModals() {
-    document.querySelectorAll('.modal').forEach(modal => {
-        modal.classList.remove('active');
-    });
-}
-
-// Trade Display and Sorting
-function displayTrades(trades = null) {
-    const tradesToDisplay = trades || getFilteredTrades();
-    const tbody = document.getElementById('tradesTableBody');
-    
-    if (tradesToDisplay.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="9" class="text-center">No trades found</td></tr>';
-        return;
-    }
-    
-    tbody.innerHTML = tradesToDisplay.map(trade => `
-        <tr>
-            <td>${formatDate(trade.date)}</td>
-            <td>${trade.ticker}</td>
-            <td>${trade.strategy}</td>
-            <td>$${trade.strike || 'N/A'}</td>
-            <td>${trade.quantity}</td>
-            <td>$${trade.premium}</td>
-            <td class="${trade.net_pl >= 0 ? 'pl-positive' : 'pl-negative'}">$${trade.net_pl}</td>
-            <td><span class="outcome-${trade.outcome.toLowerCase()}">${trade.outcome}</span></td>
-            <td>
-                <div class="action-buttons">
-                    <button class="btn btn--sm btn--secondary" onclick="openViewModal(${trade.id})">View</button>
-                    <button class="btn btn--sm btn--secondary" onclick="openEditModal(${trade.id})">Edit</button>
-                    <button class="btn btn--sm btn--danger" onclick="confirmDeleteTrade(${trade.id})">Delete</button>
-                </div>
-            </td>
-        </tr>
-    `).join('');
+// Markdown Notes
+// Notes are stored as typed and rendered from a small Markdown subset:
+// headings, lists, quotes, code, emphasis and links. The text is HTML-escaped
+// before any markup is added and links keep only http(s) and mailto targets,
+// so a note can never inject markup or script into the page.
+function renderInlineMarkdown(text) {
+    const codeSpans = [];
+    return escapeHtml(text)
+        .replace(/`([^`]+)`/g, (match, code) => `\u0000${codeSpans.push(code) - 1}\u0000`)
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => /^(https?:|mailto:)/i.test(url)
+            ? `<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`
+            : match)
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+        .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+        .replace(/(^|\W)_([^_]+)_(?=\W|$)/g, '$1<em>$2</em>')
+        .replace(/~~([^~]+)~~/g, '<del>$1</del>')
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => `<code>${codeSpans[index]}</code>`);
 }
 
-function sortTradesByColumn(column) {
-    if (currentSortColumn === column) {
-        currentSortDirection = currentSortDirection === 'asc' ? 'desc' : 'asc';
-    } else {
-        currentSortColumn = column;
-        currentSortDirection = 'asc';
-    }
+// Lines of a paragraph keep their breaks, so notes written before Markdown
+// look the same as they did as plain text
+function renderMarkdown(text) {
+    const html = [];
+    let paragraph = [];
+    let quote = [];
+    let list = null;
+    let code = null;
     
-    const filteredTrades = getFilteredTrades();
+    const flushParagraph = () => {
+        if (paragraph.length > 0) html.push(`<p>${paragraph.map(renderInlineMarkdown).join('<br>')}</p>`);
+        paragraph = [];
+    };
+    const flushQuote = () => {
+        if (quote.length > 0) html.push(`<blockquote>${quote.map(renderInlineMarkdown).join('<br>')}</blockquote>`);
+        quote = [];
+    };
+    const flushList = () => {
+        if (list) html.push(`<${list.tag}>${list.items.map(item => `<li>${renderInlineMarkdown(item)}</li>`).join('')}</${list.tag}>`);
+        list = null;
+    };
+    const flush = () => {
+        flushParagraph();
+        flushQuote();
+        flushList();
+    };
     
-    filteredTrades.sort((a, b) => {
-        let aVal = a[column];
-        let bVal = b[column];
-        
-        // Handle different data types
-        if (column === 'date') {
-            aVal = new Date(aVal);
-            bVal = new Date(bVal);
-        } else if (typeof aVal === 'string') {
-            aVal = aVal.toLowerCase();
-            bVal = bVal.toLowerCase();
-        } else if (typeof aVal === 'number') {
-            aVal = parseFloat(aVal) || 0;
-            bVal = parseFloat(bVal) || 0;
+    String(text || '').replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+        const fence = /^\s*```/.test(line);
+        if (code) {
+            if (fence) {
+                html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+                code = null;
+            } else {
+                code.push(line);
+            }
+            return;
+        }
+        if (fence) {
+            flush();
+            code = [];
+            return;
         }
         
-        if (currentSortDirection === 'asc') {
-            return aVal < bVal ? -1 : aVal > bVal ? 1 : 0;
+        const heading = line.match(/^\s*(#{1,3})\s+(.*)$/);
+        const quoted = line.match(/^\s*>\s?(.*)$/);
+        const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+        
+        if (!line.trim()) {
+            flush();
+        } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flush();
+            html.push('<hr>');
+        } else if (heading) {
+            flush();
+            // Headings sit below the modal's own section titles (h4)
+            const level = heading[1].length + 3;
+            html.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+        } else if (quoted) {
+            flushParagraph();
+            flushList();
+            quote.push(quoted[1]);
+        } else if (bullet || numbered) {
+            const tag = bullet ? 'ul' : 'ol';
+            flushParagraph();
+            flushQuote();
+            if (list && list.tag !== tag) flushList();
+            list = list || { tag, items: [] };
+            list.items.push((bullet || numbered)[1]);
         } else {
-            return aVal > bVal ? -1 : aVal < bVal ? 1 : 0;
+            flushQuote();
+            flushList();
+            paragraph.push(line);
         }
     });
     
-    displayTrades(filteredTrades);
-    updateSortIndicators();
+    if (code) html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+    flush();
+    return html.join('');
 }
 
-function updateSortIndicators() {
-    document.querySelectorAll('.sort-indicator').forEach(indicator => {
-        indicator.className = 'sort-indicator';
-    });
-    
-    const currentHeader = document.querySelector(`[data-sort="${currentSortColumn}"] .sort-indicator`);
-    if (currentHeader) {
-        currentHeader.classList.add(currentSortDirection);
+// Preview buttons carry the id of the textarea they render
+function toggleMarkdownPreview(button) {
+    const preview = document.getElementById(`${button.dataset.markdownPreview}Preview`);
+    const showing = preview.classList.toggle('hidden') === false;
+    if (showing) {
+        const text = document.getElementById(button.dataset.markdownPreview).value;
+        preview.innerHTML = text.trim() ? renderMarkdown(text) : '<p class="metric-note">Nothing to preview</p>';
     }
+    button.textContent = showing ? 'Hide Preview' : 'Preview';
 }
 
-async function confirmDeleteTrade(tradeId) {
-    if (confirm('Are you sure you want to delete this trade? This action cannot be undone.')) {
-        try {
-            await deleteTrade(tradeId);
-            displayTrades();
-            updateDashboard();
-            updateFilters();
-            showMessage('Trade deleted successfully!', 'success');
-        } catch (error) {
-            console.error('Failed to delete trade:', error);
-            showMessage('Failed to delete trade. Please try again.', 'error');
-        }
+// Trade Attachments
+// Screenshots, charts and broker confirmations are stored as Blobs in their own
+// store, one record per image with a thumbnail, keyed to the trade by
+// trade_id. Trade records stay small, so loading the journal never reads
+// image data; a trade's images are read only when it is opened.
+const ATTACHMENT_THUMBNAIL_SIZE = 240;
+const ATTACHMENT_MAX_BYTES = 20 * 1024 * 1024;
+
+// Files chosen on the add and edit forms that are saved with the trade
+const pendingAttachments = { addTradeAttachments: [], 'edit-trade-attachments': [] };
+let editingAttachments = [];
+let removedAttachmentIds = new Set();
+let viewAttachments = [];
+let lightboxIndex = 0;
+
+// Object URLs per place they are shown, revoked when it is re-rendered or closed
+const attachmentUrls = {};
+
+function createAttachmentUrl(group, blob) {
+    const url = URL.createObjectURL(blob);
+    (attachmentUrls[group] = attachmentUrls[group] || []).push(url);
+    return url;
+}
+
+function revokeAttachmentUrls(group) {
+    (attachmentUrls[group] || []).forEach(url => URL.revokeObjectURL(url));
+    attachmentUrls[group] = [];
+}
+
+async function getTradeAttachments(tradeId) {
+    try {
+        return await db.getAllFromIndex('attachments', 'trade_id', tradeId);
+    } catch (error) {
+        console.error('Failed to load attachments:', error);
+        return [];
     }
 }
 
-// Filters
-function getFilteredTrades() {
-    const tickerFilter = document.getElementById('tickerFilter').value;
-    const strategyFilter = document.getElementById('strategyFilter').value;
-    const fromDate = document.getElementById('fromDate').value;
-    const toDate = document.getElementById('toDate').value;
-    
-    return allTrades.filter(trade => {
-        if (tickerFilter && trade.ticker !== tickerFilter) return false;
-        if (strategyFilter && trade.strategy !== strategyFilter) return false;
-        if (fromDate && trade.date < fromDate) return false;
-        if (toDate && trade.date > toDate) return false;
-        return true;
-    });
+// A JPEG scaled to fit the thumbnail size; null when the browser can't decode the image
+async function createThumbnail(file) {
+    try {
+        const bitmap = await createImageBitmap(file);
+        const scale = Math.min(1, ATTACHMENT_THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+        canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+        return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+    } catch (error) {
+        console.error('Failed to create thumbnail:', error);
+        return null;
+    }
 }
 
-function applyFilters() {
-    displayTrades();
+async function saveAttachments(tradeId, files) {
+    for (const file of files) {
+        const thumbnail = await createThumbnail(file);
+        await db.add('attachments', {
+            trade_id: tradeId,
+            name: file.name || 'Screenshot',
+            type: file.type,
+            size: file.size,
+            blob: file,
+            thumbnail: thumbnail,
+            created_at: new Date().toISOString()
+        });
+    }
 }
 
-function clearFilters() {
-    document.getElementById('tickerFilter').value = '';
-    document.getElementById('strategyFilter').value = '';
-    document.getElementById('fromDate').value = '';
-    document.getElementById('toDate').value = '';
-    displayTrades();
+async function deleteTradeAttachments(tradeId) {
+    const keys = await db.getAllKeysFromIndex('attachments', 'trade_id', tradeId);
+    for (const key of keys) {
+        await db.delete('attachments', key);
+    }
 }
 
-function updateFilters() {
-    // Update ticker filter
-    const tickers = [...new Set(allTrades.map(t => t.ticker))].sort();
-    const tickerFilter = document.getElementById('tickerFilter');
-    const currentTicker = tickerFilter.value;
+function addPendingAttachments(containerId, files) {
+    const images = Array.from(files).filter(file => file.type.startsWith('image/'));
+    const accepted = images.filter(file => file.size <= ATTACHMENT_MAX_BYTES);
     
-    tickerFilter.innerHTML = '<option value="">All Tickers</option>';
-    tickers.forEach(ticker => {
-        const option = document.createElement('option');
-        option.value = ticker;
-        option.textContent = ticker;
-        if (ticker === currentTicker) option.selected = true;
-        tickerFilter.appendChild(option);
-    });
+    if (images.length < files.length) {
+        showMessage('Only image files can be attached.', 'error');
+    } else if (accepted.length < images.length) {
+        showMessage(`Images larger than ${ATTACHMENT_MAX_BYTES / 1024 / 1024} MB were skipped.`, 'error');
+    }
     
-    // Update strategy filter
-    const strategies = [...new Set(allTrades.map(t => t.strategy))].sort();
-    const strategyFilter = document.getElementById('strategyFilter');
-    const currentStrategy = strategyFilter.value;
+    pendingAttachments[containerId].push(...accepted);
+    renderAttachmentEditor(containerId);
+}
+
+function renderAttachmentThumb(url, name, removeAttribute) {
+    return `
+        <div class="attachment-thumb" title="${escapeHtml(name)}">
+            <img src="${url}" alt="${escapeHtml(name)}">
+            <button type="button" class="attachment-remove" ${removeAttribute} aria-label="Remove ${escapeHtml(name)}">&times;</button>
+        </div>
+    `;
+}
+
+// Saved images (edit form only) followed by the ones waiting to be saved
+function renderAttachmentEditor(containerId) {
+    revokeAttachmentUrls(containerId);
+    const saved = containerId === 'edit-trade-attachments'
+        ? editingAttachments.filter(attachment => !removedAttachmentIds.has(attachment.id))
+        : [];
     
-    strategyFilter.innerHTML = '<option value="">All Strategies</option>';
-    strategies.forEach(strategy => {
-        const option = document.createElement('option');
-        option.value = strategy;
-        option.textContent = strategy;
-        if (strategy === currentStrategy) option.selected = true;
-        strategyFilter.appendChild(option);
-    });
+    document.getElementById(containerId).innerHTML = [
+        ...saved.map(attachment => renderAttachmentThumb(
+            createAttachmentUrl(containerId, attachment.thumbnail || attachment.blob), attachment.name, `data-attachment-id="${attachment.id}"`)),
+        ...pendingAttachments[containerId].map((file, index) => renderAttachmentThumb(
+            createAttachmentUrl(containerId, file), file.name || 'Screenshot', `data-pending-index="${index}"`))
+    ].join('');
 }
 
-// Dashboard and Metrics
-function updateDashboard() {
-    const metrics = calculateMetrics();
-    const riskMetrics = calculateRiskMetrics();
+function handleAttachmentEditorClick(e) {
+    const button = e.target.closest('.attachment-remove');
+    if (!button) return;
     
-    // Update metric cards
-    document.getElementById('totalPL').textContent = formatCurrency(metrics.totalPL);
-    document.getElementById('totalPL').className = `metric-value ${metrics.totalPL >= 0 ? 'positive' : 'negative'}`;
+    const containerId = e.currentTarget.id;
+    if (button.dataset.attachmentId) {
+        removedAttachmentIds.add(parseInt(button.dataset.attachmentId));
+    } else {
+        pendingAttachments[containerId].splice(parseInt(button.dataset.pendingIndex), 1);
+    }
+    renderAttachmentEditor(containerId);
+}
+
+function handleAttachmentInput(e) {
+    addPendingAttachments(e.target.dataset.attachments, e.target.files);
+    e.target.value = '';
+}
+
+// Screenshots pasted anywhere in a trade form are attached to it
+function handleAttachmentPaste(e, containerId) {
+    const files = Array.from(e.clipboardData?.files || []).filter(file => file.type.startsWith('image/'));
+    if (files.length === 0) return;
     
-    document.getElementById('winRate').textContent = `${metrics.winRate.toFixed(1)}%`;
-    document.getElementById('totalTrades').textContent = metrics.totalTrades;
+    e.preventDefault();
+    addPendingAttachments(containerId, files);
+}
+
+function resetAttachmentEditor(containerId) {
+    pendingAttachments[containerId] = [];
+    if (containerId === 'edit-trade-attachments') {
+        editingAttachments = [];
+        removedAttachmentIds = new Set();
+    }
+    renderAttachmentEditor(containerId);
+}
+
+async function loadAttachmentEditor(tradeId) {
+    pendingAttachments['edit-trade-attachments'] = [];
+    removedAttachmentIds = new Set();
+    editingAttachments = await getTradeAttachments(tradeId);
+    renderAttachmentEditor('edit-trade-attachments');
+}
+
+async function saveAttachmentEdits(tradeId) {
+    await saveAttachments(tradeId, pendingAttachments['edit-trade-attachments']);
+    for (const id of removedAttachmentIds) {
+        await db.delete('attachments', id);
+    }
+}
+
+async function renderViewAttachments(tradeId) {
+    viewAttachments = await getTradeAttachments(tradeId);
+    revokeAttachmentUrls('view');
+    
+    document.getElementById('viewTradeAttachmentsSection').classList.toggle('hidden', viewAttachments.length === 0);
+    document.getElementById('viewTradeAttachments').innerHTML = viewAttachments.map((attachment, index) => `
+        <button type="button" class="attachment-thumb" data-index="${index}" title="${escapeHtml(attachment.name)}">
+            <img src="${createAttachmentUrl('view', attachment.thumbnail || attachment.blob)}" alt="${escapeHtml(attachment.name)}">
+        </button>
+    `).join('');
+}
+
+// Lightbox
+function openLightbox(index) {
+    if (viewAttachments.length === 0) return;
+    
+    lightboxIndex = (index + viewAttachments.length) % viewAttachments.length;
+    const attachment = viewAttachments[lightboxIndex];
+    revokeAttachmentUrls('lightbox');
+    const url = createAttachmentUrl('lightbox', attachment.blob);
+    
+    document.getElementById('lightboxImage').src = url;
+    document.getElementById('lightboxImage').alt = attachment.name;
+    document.getElementById('lightboxCaption').textContent = viewAttachments.length > 1
+        ? `${attachment.name} (${lightboxIndex + 1} of ${viewAttachments.length})`
+        : attachment.name;
+    document.getElementById('lightboxDownload').href = url;
+    document.getElementById('lightboxDownload').download = attachment.name;
+    document.querySelectorAll('.lightbox-nav').forEach(button => {
+        button.classList.toggle('hidden', viewAttachments.length < 2);
+    });
+    document.getElementById('lightboxModal').classList.add('active');
+}
+
+function closeLightbox() {
+    document.getElementById('lightboxModal').classList.remove('active');
+    document.getElementById('lightboxImage').removeAttribute('src');
+    revokeAttachmentUrls('lightbox');
+}
+
+function handleLightboxKeydown(e) {
+    if (!document.getElementById('lightboxModal').classList.contains('active')) return;
+    
+    if (e.key === 'Escape') closeLightbox();
+    if (e.key === 'ArrowLeft') openLightbox(lightboxIndex - 1);
+    if (e.key === 'ArrowRight') openLightbox(lightboxIndex + 1);
+}
+
+// Payoff Diagram
+// P&L of a trade's legs across a range of underlying prices, at the first
+// expiration and "today" (at entry for closed trades). Options still alive at
+// either date are priced with their implied volatility; without one they count
+// at intrinsic value, and the today curve is left out.
+const PAYOFF_POINTS = 120;
+
+function getLegValue(leg, spot, years) {
+    if (leg.option_type === 'STOCK') return spot;
+    if (years <= 0 || !Number.isFinite(leg.iv)) return getIntrinsicValue(leg.option_type, spot, leg.strike);
+    
+    return blackScholes({
+        type: leg.option_type,
+        spot,
+        strike: leg.strike,
+        years,
+        rate: getRiskFreeRate(),
+        volatility: leg.iv
+    }).price;
+}
+
+function calculatePayoff(legs, spot, yearsByLeg) {
+    return legs.reduce((total, leg, index) => {
+        const value = getLegValue(leg, spot, yearsByLeg[index]);
+        return total + (value - leg.entry_price) * leg.quantity * getLegMultiplier(leg) * getLegSign(leg);
+    }, 0);
+}
+
+function getPayoffPrices(legs) {
+    const anchors = legs
+        .flatMap(leg => [leg.strike, leg.underlying_price, leg.option_type === 'STOCK' ? leg.entry_price : null])
+        .filter(value => Number.isFinite(value) && value > 0);
+    const low = Math.min(...anchors) * 0.8;
+    const high = Math.max(...anchors) * 1.2;
+    
+    const prices = [];
+    for (let i = 0; i <= PAYOFF_POINTS; i++) {
+        prices.push(low + (high - low) * i / PAYOFF_POINTS);
+    }
+    
+    // Sample every strike exactly so the kinks of the expiration line stay sharp
+    legs.forEach(leg => {
+        if (Number.isFinite(leg.strike) && leg.strike > low && leg.strike < high) prices.push(leg.strike);
+    });
+    return [...new Set(prices)].sort((a, b) => a - b);
+}
+
+function findBreakevens(points) {
+    const breakevens = [];
+    
+    for (let i = 1; i < points.length; i++) {
+        const previous = points[i - 1];
+        const current = points[i];
+        if ((previous.y < 0) !== (current.y < 0)) {
+            breakevens.push(previous.x + (current.x - previous.x) * -previous.y / (current.y - previous.y));
+        }
+    }
+    return breakevens;
+}
+
+// Returns null when a leg lacks the strike, expiration or entry price to draw it
+function buildPayoffDiagram(trade) {
+    const legs = ensureTradeLegs(trade).legs || [];
+    const optionLegs = legs.filter(leg => leg.option_type !== 'STOCK');
+    
+    if (legs.length === 0 || legs.some(leg => !Number.isFinite(leg.entry_price))) return null;
+    if (optionLegs.some(leg => !Number.isFinite(leg.strike) || !leg.expiration)) return null;
+    
+    const firstExpiration = optionLegs.map(leg => leg.expiration).sort()[0];
+    const valuationDate = isTradeClosed(trade) ? trade.date : getTodayKey();
+    const expirationYears = legs.map(leg => leg.option_type === 'STOCK' ? 0 : Math.max(daysBetween(firstExpiration, leg.expiration), 0) / 365);
+    const todayYears = legs.map(leg => leg.option_type === 'STOCK' ? 0 : getYearsToExpiration(leg.expiration, valuationDate));
+    const canPriceToday = optionLegs.length > 0 && optionLegs.every(leg => Number.isFinite(leg.iv) || leg.expiration < valuationDate);
+    
+    const prices = getPayoffPrices(legs);
+    const expiration = prices.map(price => ({ x: price, y: calculatePayoff(legs, price, expirationYears) }));
+    const today = canPriceToday ? prices.map(price => ({ x: price, y: calculatePayoff(legs, price, todayYears) })) : null;
+    
+    // Below the range the worst case is the underlying going to zero; above it,
+    // any remaining slope means the profit or loss keeps growing without limit
+    const last = expiration[expiration.length - 1];
+    const upsideSlope = (last.y - expiration[expiration.length - 2].y) / (last.x - expiration[expiration.length - 2].x);
+    const outcomes = [...expiration.map(point => point.y), calculatePayoff(legs, 0, expirationYears)];
+    
+    return {
+        expiration,
+        today,
+        needsVolatility: optionLegs.length > 0 && !canPriceToday,
+        valuationDate,
+        firstExpiration,
+        breakevens: findBreakevens(expiration),
+        maxProfit: upsideSlope > 1e-6 ? Infinity : Math.max(...outcomes),
+        maxLoss: upsideSlope < -1e-6 ? -Infinity : Math.min(...outcomes)
+    };
+}
+
+function formatPayoffExtreme(value) {
+    return Number.isFinite(value) ? formatCurrency(value) : 'Unlimited';
+}
+
+function updatePayoffChart(payoff) {
+    const ctx = document.getElementById('payoffChart').getContext('2d');
+    
+    if (chartInstances.payoffChart) {
+        chartInstances.payoffChart.destroy();
+    }
+    
+    const first = payoff.expiration[0].x;
+    const last = payoff.expiration[payoff.expiration.length - 1].x;
+    const datasets = [{
+        label: payoff.firstExpiration ? `At Expiration (${formatDate(payoff.firstExpiration)})` : 'At Expiration',
+        data: payoff.expiration,
+        borderColor: '#4dabf7',
+        backgroundColor: 'rgba(77, 171, 247, 0.1)',
+        fill: 'origin',
+        pointRadius: 0
+    }];
+    
+    if (payoff.today) {
+        datasets.push({
+            label: `${payoff.valuationDate === getTodayKey() ? 'Today' : 'At Entry'} (${formatDate(payoff.valuationDate)})`,
+            data: payoff.today,
+            borderColor: '#a0a0a0',
+            borderDash: [5, 5],
+            fill: false,
+            pointRadius: 0
+        });
+    }
+    if (Number.isFinite(payoff.maxProfit)) {
+        datasets.push({
+            label: `Max Profit ${formatCurrency(payoff.maxProfit)}`,
+            data: [{ x: first, y: payoff.maxProfit }, { x: last, y: payoff.maxProfit }],
+            borderColor: '#00ff88',
+            borderDash: [2, 4],
+            borderWidth: 1,
+            fill: false,
+            pointRadius: 0
+        });
+    }
+    if (Number.isFinite(payoff.maxLoss)) {
+        datasets.push({
+            label: `Max Loss ${formatCurrency(payoff.maxLoss)}`,
+            data: [{ x: first, y: payoff.maxLoss }, { x: last, y: payoff.maxLoss }],
+            borderColor: '#ff4444',
+            borderDash: [2, 4],
+            borderWidth: 1,
+            fill: false,
+            pointRadius: 0
+        });
+    }
+    datasets.push({
+        type: 'scatter',
+        label: 'Breakevens',
+        data: payoff.breakevens.map(price => ({ x: price, y: 0 })),
+        borderColor: '#ffc107',
+        backgroundColor: '#ffc107',
+        pointRadius: 6,
+        pointHoverRadius: 8
+    });
+    
+    chartInstances.payoffChart = new Chart(ctx, {
+        type: 'line',
+        data: { datasets },
+        options: {
+            responsive: true,
+            interaction: {
+                mode: 'nearest',
+                axis: 'x',
+                intersect: false
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    ticks: {
+                        color: '#a0a0a0',
+                        callback: function(value) {
+                            return '$' + value.toFixed(2);
+                        }
+                    }
+                },
+                y: {
+                    ticks: {
+                        color: '#a0a0a0',
+                        callback: function(value) {
+                            return '$' + value.toFixed(0);
+                        }
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    labels: {
+                        color: '#ffffff'
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            return `${context.dataset.label} @ $${context.parsed.x.toFixed(2)}: ${formatCurrency(context.parsed.y)}`;
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Trade Display and Sorting
+function displayTrades(trades = null) {
+    const tradesToDisplay = trades || getFilteredTrades();
+    const tbody = document.getElementById('tradesTableBody');
+    
+    if (tradesToDisplay.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="9" class="text-center">No trades found</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = tradesToDisplay.map(trade => `
+        <tr>
+            <td>${formatDate(trade.date)}</td>
+            <td>${escapeHtml(trade.ticker)}</td>
+            <td>
+                ${escapeHtml(trade.strategy)}
+                ${isConsolidatedView() ? `<div class="account-badge">${escapeHtml(getAccountName(getRecordAccountId(trade)))}</div>` : ''}
+            </td>
+            <td>$${trade.strike || 'N/A'}</td>
+            <td>${trade.quantity}</td>
+            <td>$${trade.premium}</td>
+            <td class="${trade.net_pl >= 0 ? 'pl-positive' : 'pl-negative'}">$${trade.net_pl}</td>
+            <td><span class="outcome-${trade.outcome.toLowerCase()}">${trade.outcome}</span></td>
+            <td>
+                <div class="action-buttons">
+                    <button class="btn btn--sm btn--secondary" onclick="openViewModal(${trade.id})">View</button>
+                    <button class="btn btn--sm btn--secondary" onclick="openEditModal(${trade.id})">Edit</button>
+                    <button class="btn btn--sm btn--danger" onclick="confirmDeleteTrade(${trade.id})">Delete</button>
+                </div>
+            </td>
+        </tr>
+    `).join('');
+}
+
+function sortTradesByColumn(column) {
+    if (currentSortColumn === column) {
+        currentSortDirection = currentSortDirection === 'asc' ? 'desc' : 'asc';
+    } else {
+        currentSortColumn = column;
+        currentSortDirection = 'asc';
+    }
+    
+    const filteredTrades = getFilteredTrades();
+    
+    filteredTrades.sort((a, b) => {
+        let aVal = a[column];
+        let bVal = b[column];
+        
+        // Handle different data types
+        if (column === 'date') {
+            aVal = new Date(aVal);
+            bVal = new Date(bVal);
+        } else if (typeof aVal === 'string') {
+            aVal = aVal.toLowerCase();
+            bVal = bVal.toLowerCase();
+        } else if (typeof aVal === 'number') {
+            aVal = parseFloat(aVal) || 0;
+            bVal = parseFloat(bVal) || 0;
+        }
+        
+        if (currentSortDirection === 'asc') {
+            return aVal < bVal ? -1 : aVal > bVal ? 1 : 0;
+        } else {
+            return aVal > bVal ? -1 : aVal < bVal ? 1 : 0;
+        }
+    });
+    
+    displayTrades(filteredTrades);
+    updateSortIndicators();
+}
+
+function updateSortIndicators() {
+    document.querySelectorAll('.sort-indicator').forEach(indicator => {
+        indicator.className = 'sort-indicator';
+    });
+    
+    const currentHeader = document.querySelector(`[data-sort="${currentSortColumn}"] .sort-indicator`);
+    if (currentHeader) {
+        currentHeader.classList.add(currentSortDirection);
+    }
+}
+
+async function confirmDeleteTrade(tradeId) {
+    if (confirm('Are you sure you want to delete this trade? This action cannot be undone.')) {
+        try {
+            await deleteTrade(tradeId);
+            renderTradeHistory();
+            updateDashboard();
+            showMessage('Trade deleted successfully!', 'success');
+        } catch (error) {
+            console.error('Failed to delete trade:', error);
+            showMessage('Failed to delete trade. Please try again.', 'error');
+        }
+    }
+}
+
+// Open Positions
+function renderTradeHistory() {
+    displayTrades();
+    displayOpenPositions();
+    updateFilters();
+}
+
+function switchHistoryView(view) {
+    document.querySelectorAll('.history-view-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.view === view);
+    });
+    document.getElementById('allTradesView').style.display = view === 'all' ? 'block' : 'none';
+    document.getElementById('openPositionsView').style.display = view === 'open' ? 'block' : 'none';
+    
+    if (view === 'open') {
+        displayOpenPositions();
+    }
+}
+
+function displayOpenPositions() {
+    const tbody = document.getElementById('openPositionsTableBody');
+    if (!tbody) return;
+    
+    const openTrades = getScopedTrades().filter(trade => !isTradeClosed(trade));
+    
+    if (openTrades.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="9" class="text-center">No open positions</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = openTrades.map(trade => {
+        const unrealizedPL = calculateUnrealizedPL(trade);
+        return `
+            <tr>
+                <td>${formatDate(trade.date)}</td>
+                <td>${escapeHtml(trade.ticker)}</td>
+                <td>${escapeHtml(trade.strategy)}</td>
+                <td>${trade.open_quantity} / ${trade.quantity}</td>
+                <td>$${trade.avg_entry_price}</td>
+                <td>
+                    <input type="number" class="form-control mark-input" step="0.01" value="${Number.isFinite(trade.mark_price) ? trade.mark_price : ''}"
+                           placeholder="Mark" onchange="updatePositionMark(${trade.id}, this.value)">
+                </td>
+                <td class="${unrealizedPL === null ? '' : unrealizedPL >= 0 ? 'pl-positive' : 'pl-negative'}">${unrealizedPL === null ? '—' : formatCurrency(unrealizedPL)}</td>
+                <td class="${trade.net_pl >= 0 ? 'pl-positive' : 'pl-negative'}">${formatCurrency(trade.net_pl)}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn btn--sm btn--secondary" onclick="openFillModal(${trade.id}, 'add')">Add</button>
+                        <button class="btn btn--sm btn--secondary" onclick="openFillModal(${trade.id}, 'close')">Close</button>
+                        <button class="btn btn--sm btn--secondary" onclick="openViewModal(${trade.id})">View</button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+async function updatePositionMark(tradeId, value) {
+    const trade = allTrades.find(t => t.id === tradeId);
+    if (!trade) return;
+    
+    try {
+        await updateTrade({ ...trade, mark_price: parseOptionalNumber(value) });
+        displayOpenPositions();
+    } catch (error) {
+        console.error('Failed to update mark price:', error);
+        showMessage('Failed to update mark price. Please try again.', 'error');
+    }
+}
+
+function openFillModal(tradeId, action) {
+    const trade = allTrades.find(t => t.id === tradeId);
+    if (!trade) return;
+    
+    document.getElementById('fillTradeId').value = trade.id;
+    document.getElementById('fillAction').value = action;
+    document.getElementById('fillDate').value = getTodayKey();
+    document.getElementById('fillDate').min = trade.fills.map(f => f.date).sort()[0] || '';
+    document.getElementById('fillTime').value = '';
+    document.getElementById('fillQuantity').value = action === 'close' ? trade.open_quantity : '';
+    document.getElementById('fillQuantity').max = action === 'close' ? trade.open_quantity : '';
+    document.getElementById('fillPrice').value = Number.isFinite(trade.mark_price) ? trade.mark_price : '';
+    document.getElementById('fillFees').value = 0;
+    document.getElementById('fillModalTitle').textContent = `${action === 'close' ? 'Close' : 'Add to'} ${trade.ticker} ${trade.strategy}`;
+    document.getElementById('fillPositionSummary').textContent =
+        `Open: ${trade.open_quantity} @ $${trade.avg_entry_price} (net price per unit, debit positive / credit negative)`;
+    document.getElementById('fillModal').classList.add('active');
+}
+
+function closeFillModal() {
+    document.getElementById('fillModal').classList.remove('active');
+}
+
+async function handleFillSubmit(e) {
+    e.preventDefault();
+    
+    try {
+        const tradeId = parseInt(document.getElementById('fillTradeId').value);
+        const fill = {
+            date: document.getElementById('fillDate').value,
+            action: document.getElementById('fillAction').value,
+            quantity: parseInt(document.getElementById('fillQuantity').value),
+            price: parseFloat(document.getElementById('fillPrice').value),
+            fees: parseFloat(document.getElementById('fillFees').value) || 0
+        };
+        
+        if (!fill.quantity || fill.quantity <= 0 || isNaN(fill.price)) {
+            showMessage('Enter a quantity and a net price for the fill.', 'error');
+            return;
+        }
+        
+        // A time on the fill that closes the position out becomes the exit time
+        const position = allTrades.find(t => t.id === tradeId);
+        const time = document.getElementById('fillTime').value;
+        const closesPosition = position && fill.action === 'close' && fill.quantity === position.open_quantity;
+        const changes = time && closesPosition
+            ? { exit_time: zonedTimeToUtc(`${fill.date}T${time}`, getTradeTimeZone(position)), timezone: getTradeTimeZone(position) }
+            : {};
+        
+        const trade = await recordPositionFill(tradeId, fill, changes);
+        closeFillModal();
+        renderTradeHistory();
+        updateDashboard();
+        
+        showMessage(isTradeClosed(trade)
+            ? `Position closed. Realized P&L: ${formatCurrency(trade.net_pl)}`
+            : 'Fill recorded successfully!', 'success');
+    } catch (error) {
+        console.error('Failed to record fill:', error);
+        showMessage('Failed to record fill: ' + error.message, 'error');
+    }
+}
+
+// Portfolio Greeks
+// Open positions' Greeks in share terms: each leg's per-share Greek times its
+// quantity, contract multiplier and side, scaled to the part still open.
+// Beta-weighted delta restates every ticker's delta in shares of the reference
+// ticker: delta * beta * underlying price / reference price.
+const DEFAULT_BETA_REFERENCE = { ticker: 'SPY', price: null };
+
+// Legs describe the position as first opened; scale-ins and partial closes
+// move open_quantity away from that
+function getOpenFraction(trade) {
+    const opening = (trade.fills || []).find(fill => fill.action === 'open');
+    const baseQuantity = opening ? opening.quantity : parseFloat(trade.quantity);
+    return Number.isFinite(trade.open_quantity) && baseQuantity > 0 ? trade.open_quantity / baseQuantity : 1;
+}
+
+// A stock leg without an entered delta moves one for one with its shares
+function getLegExposure(leg, fraction) {
+    const scale = leg.quantity * getLegMultiplier(leg) * getLegSign(leg) * fraction;
+    
+    return Object.fromEntries(LEG_GREEKS.map(greek => {
+        const perShare = Number.isFinite(leg[greek]) ? leg[greek] : (greek === 'delta' && leg.option_type === 'STOCK' ? 1 : 0);
+        return [greek, perShare * scale];
+    }));
+}
+
+// Monday of the expiration's week
+function getWeekStart(dateKey) {
+    const date = new Date(dateKey);
+    date.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+    return date.toISOString().split('T')[0];
+}
+
+function addExposure(target, exposure) {
+    LEG_GREEKS.forEach(greek => {
+        target[greek] += exposure[greek];
+    });
+}
+
+function calculatePortfolioGreeks(trades = getScopedTrades()) {
+    const emptyGreeks = () => ({ delta: 0, gamma: 0, theta: 0, vega: 0 });
+    const totals = emptyGreeks();
+    const tickers = new Map();
+    const weeks = new Map();
+    let legsWithoutGreeks = 0;
+    
+    trades
+        .filter(trade => !isTradeClosed(trade))
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .forEach(trade => {
+            const fraction = getOpenFraction(trade);
+            if (!tickers.has(trade.ticker)) {
+                tickers.set(trade.ticker, { ticker: trade.ticker, positions: 0, lastPrice: null, ...emptyGreeks() });
+            }
+            const tickerEntry = tickers.get(trade.ticker);
+            tickerEntry.positions++;
+            
+            ensureTradeLegs(trade).legs.forEach(leg => {
+                const exposure = getLegExposure(leg, fraction);
+                const week = leg.option_type !== 'STOCK' && leg.expiration ? getWeekStart(leg.expiration) : null;
+                if (!weeks.has(week)) {
+                    weeks.set(week, { week, legs: 0, ...emptyGreeks() });
+                }
+                weeks.get(week).legs++;
+                
+                addExposure(totals, exposure);
+                addExposure(tickerEntry, exposure);
+                addExposure(weeks.get(week), exposure);
+                
+                if (leg.option_type !== 'STOCK' && !Number.isFinite(leg.delta)) legsWithoutGreeks++;
+                
+                // The latest known underlying price: from the Greeks calculator, a mark, or a stock entry
+                if (Number.isFinite(leg.underlying_price)) tickerEntry.lastPrice = leg.underlying_price;
+                else if (leg.option_type === 'STOCK' && Number.isFinite(trade.mark_price)) tickerEntry.lastPrice = trade.mark_price;
+                else if (leg.option_type === 'STOCK' && Number.isFinite(leg.entry_price)) tickerEntry.lastPrice = leg.entry_price;
+            });
+        });
+    
+    const reference = getAppSetting('betaReference', DEFAULT_BETA_REFERENCE);
+    const betas = getAppSetting('tickerBetas', {});
+    
+    tickers.forEach(entry => {
+        const saved = betas[entry.ticker] || {};
+        entry.beta = entry.ticker === reference.ticker ? 1 : (Number.isFinite(saved.beta) ? saved.beta : null);
+        entry.price = Number.isFinite(saved.price) ? saved.price : entry.lastPrice;
+    });
+    
+    const referencePrice = Number.isFinite(reference.price) ? reference.price : tickers.get(reference.ticker)?.price ?? null;
+    let betaWeightedDelta = 0;
+    const unweightedTickers = [];
+    
+    tickers.forEach(entry => {
+        entry.betaWeightedDelta = entry.beta !== null && entry.price > 0 && referencePrice > 0
+            ? entry.delta * entry.beta * entry.price / referencePrice
+            : null;
+        if (entry.betaWeightedDelta === null) unweightedTickers.push(entry.ticker);
+        else betaWeightedDelta += entry.betaWeightedDelta;
+    });
+    
+    return {
+        totals,
+        reference: { ticker: reference.ticker, price: referencePrice },
+        betaWeightedDelta,
+        unweightedTickers,
+        legsWithoutGreeks,
+        tickers: [...tickers.values()].sort((a, b) => a.ticker.localeCompare(b.ticker)),
+        weeks: [...weeks.values()].sort((a, b) => a.week === null ? 1 : b.week === null ? -1 : a.week.localeCompare(b.week))
+    };
+}
+
+function formatExposure(value) {
+    return value === null ? '—' : value.toFixed(2);
+}
+
+function renderPortfolioGreeks() {
+    const greeks = calculatePortfolioGreeks();
+    const reference = getAppSetting('betaReference', DEFAULT_BETA_REFERENCE);
+    const betas = getAppSetting('tickerBetas', {});
+    
+    document.getElementById('betaReferenceTicker').value = reference.ticker;
+    document.getElementById('betaReferencePrice').value = reference.price ?? '';
+    document.getElementById('betaReferencePrice').placeholder = greeks.reference.price ? greeks.reference.price.toFixed(2) : 'Price';
+    
+    document.getElementById('portfolioGreeksTotals').innerHTML = `
+        ${LEG_GREEKS.map(greek => `
+            <div class="detail-item">
+                <div class="detail-label">${greek.charAt(0).toUpperCase() + greek.slice(1)}</div>
+                <div class="detail-value">${formatExposure(greeks.totals[greek])}</div>
+            </div>
+        `).join('')}
+        <div class="detail-item">
+            <div class="detail-label">Beta-Weighted Delta (${escapeHtml(greeks.reference.ticker || 'no reference')})</div>
+            <div class="detail-value">${formatExposure(greeks.betaWeightedDelta)}</div>
+        </div>
+    `;
+    
+    const notes = [];
+    if (greeks.unweightedTickers.length > 0) {
+        notes.push(`Not beta-weighted (needs a beta and prices): ${greeks.unweightedTickers.map(escapeHtml).join(', ')}.`);
+    }
+    if (greeks.legsWithoutGreeks > 0) {
+        notes.push(`${greeks.legsWithoutGreeks} open option leg${greeks.legsWithoutGreeks === 1 ? ' has' : 's have'} no Greeks and count as zero.`);
+    }
+    document.getElementById('portfolioGreeksNotes').innerHTML = notes.join('<br>');
+    
+    const tickerBody = document.getElementById('greeksByTickerBody');
+    tickerBody.innerHTML = greeks.tickers.length === 0
+        ? '<tr><td colspan="9" class="text-center">No open positions</td></tr>'
+        : greeks.tickers.map(entry => `
+            <tr>
+                <td>${escapeHtml(entry.ticker)}</td>
+                <td>${entry.positions}</td>
+                <td>${formatExposure(entry.delta)}</td>
+                <td>${formatExposure(entry.gamma)}</td>
+                <td>${formatExposure(entry.theta)}</td>
+                <td>${formatExposure(entry.vega)}</td>
+                <td>
+                    <input type="number" class="form-control mark-input" step="0.01" data-ticker="${escapeHtml(entry.ticker)}" data-field="beta"
+                           value="${entry.ticker === greeks.reference.ticker ? 1 : betas[entry.ticker]?.beta ?? ''}" placeholder="Beta"${entry.ticker === greeks.reference.ticker ? ' disabled' : ''}>
+                </td>
+                <td>
+                    <input type="number" class="form-control mark-input" step="0.01" data-ticker="${escapeHtml(entry.ticker)}" data-field="price"
+                           value="${betas[entry.ticker]?.price ?? ''}" placeholder="${entry.lastPrice !== null ? entry.lastPrice.toFixed(2) : 'Price'}">
+                </td>
+                <td>${formatExposure(entry.betaWeightedDelta)}</td>
+            </tr>
+        `).join('');
+    
+    const weekBody = document.getElementById('greeksByWeekBody');
+    weekBody.innerHTML = greeks.weeks.length === 0
+        ? '<tr><td colspan="6" class="text-center">No open positions</td></tr>'
+        : greeks.weeks.map(entry => `
+            <tr>
+                <td>${entry.week ? formatDate(entry.week) : 'Stock'}</td>
+                <td>${entry.legs}</td>
+                <td>${formatExposure(entry.delta)}</td>
+                <td>${formatExposure(entry.gamma)}</td>
+                <td>${formatExposure(entry.theta)}</td>
+                <td>${formatExposure(entry.vega)}</td>
+            </tr>
+        `).join('');
+}
+
+async function handleBetaReferenceChange() {
+    const ticker = document.getElementById('betaReferenceTicker').value.trim().toUpperCase();
+    const price = parseOptionalNumber(document.getElementById('betaReferencePrice').value);
+    
+    await saveAppSetting('betaReference', { ticker, price: price > 0 ? price : null });
+    renderPortfolioGreeks();
+}
+
+async function handleTickerBetaChange(e) {
+    const { ticker, field } = e.target.dataset;
+    if (!ticker || !field) return;
+    
+    const betas = getAppSetting('tickerBetas', {});
+    const value = parseOptionalNumber(e.target.value);
+    
+    await saveAppSetting('tickerBetas', {
+        ...betas,
+        [ticker]: { ...betas[ticker], [field]: field === 'price' && !(value > 0) ? null : value }
+    });
+    renderPortfolioGreeks();
+}
+
+// Trade Labels
+// Free-form tags plus managed lists of setups, mistakes and emotions. The lists
+// only supply the choices on the forms; a trade stores the names it was given,
+// so renaming or removing a list entry never rewrites past trades.
+const TRADE_LABEL_KINDS = [
+    { key: 'tags', label: 'Tags', singular: 'Tag', managed: false, filterId: 'tagFilter' },
+    { key: 'setups', label: 'Setups', singular: 'Setup', managed: true, filterId: 'setupFilter' },
+    { key: 'mistakes', label: 'Mistakes', singular: 'Mistake', managed: true, filterId: 'mistakeFilter' },
+    { key: 'emotions', label: 'Emotions', singular: 'Emotion', managed: true, filterId: 'emotionFilter' }
+];
+
+const DEFAULT_LABEL_LISTS = {
+    setups: ['Breakout', 'Pullback', 'Earnings', 'Mean Reversion', 'Range Bound'],
+    mistakes: ['Chased entry', 'Moved stop', 'Oversized', 'Exited early', 'No plan'],
+    emotions: ['Calm', 'Confident', 'Anxious', 'FOMO', 'Revenge']
+};
+
+function getLabelList(key) {
+    return getAppSetting('labelLists', DEFAULT_LABEL_LISTS)[key] || [];
+}
+
+function getTradeLabels(trade, key) {
+    return Array.isArray(trade[key]) ? trade[key] : [];
+}
+
+// Every name a filter or picker should offer: the managed list plus anything
+// already used on a trade
+function getLabelChoices(key, trades = getScopedTrades()) {
+    const used = trades.flatMap(trade => getTradeLabels(trade, key));
+    const listed = TRADE_LABEL_KINDS.find(kind => kind.key === key).managed ? getLabelList(key) : [];
+    return [...new Set([...listed, ...used])].sort((a, b) => a.localeCompare(b));
+}
+
+function renderLabelPicker(containerId, trade = {}) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    container.innerHTML = TRADE_LABEL_KINDS.map(kind => {
+        const selected = getTradeLabels(trade, kind.key);
+        
+        if (!kind.managed) {
+            return `
+                <div class="form-group">
+                    <label class="form-label">${kind.label} (comma separated)</label>
+                    <input type="text" class="form-control" data-label-kind="${kind.key}" value="${escapeHtml(selected.join(', '))}" placeholder="e.g. earnings, high IV">
+                </div>
+            `;
+        }
+        
+        const choices = [...new Set([...getLabelList(kind.key), ...selected])];
+        return `
+            <div class="form-group">
+                <label class="form-label">${kind.label}</label>
+                <div class="checkbox-group">
+                    ${choices.length === 0 ? '<span class="metric-note">None defined yet. Add some in Portfolio Settings.</span>' : ''}
+                    ${choices.map(name => `
+                        <label class="checkbox-label">
+                            <input type="checkbox" data-label-kind="${kind.key}" value="${escapeHtml(name)}"${selected.includes(name) ? ' checked' : ''}>
+                            ${escapeHtml(name)}
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function readLabelPicker(containerId) {
+    const labels = {};
+    
+    TRADE_LABEL_KINDS.forEach(kind => {
+        const inputs = document.querySelectorAll(`#${containerId} [data-label-kind="${kind.key}"]`);
+        labels[kind.key] = kind.managed
+            ? parseLabelList(Array.from(inputs).filter(input => input.checked).map(input => input.value))
+            : parseLabelList(Array.from(inputs).map(input => input.value).join(','));
+    });
+    return labels;
+}
+
+function renderLabelListSettings() {
+    TRADE_LABEL_KINDS.filter(kind => kind.managed).forEach(kind => {
+        document.getElementById(`${kind.key}ListInput`).value = getLabelList(kind.key).join('\n');
+    });
+}
+
+async function handleLabelListsSubmit(e) {
+    e.preventDefault();
+    
+    const lists = {};
+    TRADE_LABEL_KINDS.filter(kind => kind.managed).forEach(kind => {
+        lists[kind.key] = parseLabelList(document.getElementById(`${kind.key}ListInput`).value.split('\n'));
+    });
+    
+    await saveAppSetting('labelLists', lists);
+    renderLabelListSettings();
+    renderLabelPicker('addTradeLabels', readLabelPicker('addTradeLabels'));
+    updateFilters();
+    showMessage('Label lists saved.', 'success');
+}
+
+// Total P&L over every trade carrying the label (partial closes included, like
+// the dashboard); win rate and expectancy per trade over the closed ones
+function calculateLabelPerformance(key, trades = getDashboardTrades()) {
+    const groups = new Map();
+    
+    trades.forEach(trade => {
+        getTradeLabels(trade, key).forEach(name => {
+            if (!groups.has(name)) groups.set(name, []);
+            groups.get(name).push(trade);
+        });
+    });
+    
+    return [...groups.entries()].map(([name, labelTrades]) => summarizeTradeGroup(name, labelTrades));
+}
+
+function summarizeTradeGroup(name, trades) {
+    const closedTrades = trades.filter(isTradeClosed);
+    const closedPL = closedTrades.reduce((sum, trade) => sum + (parseFloat(trade.net_pl) || 0), 0);
+    const wins = closedTrades.filter(trade => trade.outcome === 'Win').length;
+    
+    return {
+        name,
+        trades: trades.length,
+        closedTrades: closedTrades.length,
+        totalPL: trades.reduce((sum, trade) => sum + (parseFloat(trade.net_pl) || 0), 0),
+        winRate: closedTrades.length > 0 ? (wins / closedTrades.length) * 100 : null,
+        expectancy: closedTrades.length > 0 ? closedPL / closedTrades.length : null
+    };
+}
+
+// Trading Rules
+// The trading process as rules checked whenever a trade is added. Checklist
+// items are ticked by hand on the add form; the other types are worked out
+// from the trade and the account. Each broken rule is copied onto the trade
+// in rule_violations, so editing or deleting a rule later never rewrites past
+// trades. Trades added while no rules existed have no rule_violations and
+// count as not checked.
+const RULE_TYPES = {
+    checklist: {
+        label: 'Checklist item',
+        describe: rule => rule.label
+    },
+    maxRiskPercent: {
+        label: 'Max risk per trade',
+        unit: '% of balance',
+        defaultValue: 2,
+        describe: rule => `Max ${rule.value}% of the account at risk per trade`,
+        evaluate(trade, rule) {
+            const risk = getTradeRiskAmount(trade);
+            if (risk === null) return null;
+            if (!Number.isFinite(risk)) return 'Risk is unlimited';
+            
+            const balance = calculateAccountBalance(getRecordAccountId(trade));
+            if (balance <= 0) return `Risks ${formatCurrency(risk)} with no account balance`;
+            const percent = (risk / balance) * 100;
+            return percent > rule.value ? `Risks ${formatCurrency(risk)}, ${percent.toFixed(1)}% of ${formatCurrency(balance)}` : null;
+        }
+    },
+    minDte: {
+        label: 'No trades within DTE',
+        unit: 'days',
+        defaultValue: 7,
+        describe: rule => `No trades within ${rule.value} DTE`,
+        evaluate(trade, rule) {
+            const expirations = (trade.legs || [])
+                .filter(leg => leg.option_type !== 'STOCK' && leg.expiration)
+                .map(leg => leg.expiration)
+                .sort();
+            if (expirations.length === 0) return null;
+            
+            const dte = daysBetween(trade.date, expirations[0]);
+            return dte <= rule.value ? `Opened at ${dte} DTE` : null;
+        }
+    },
+    // Counted across every account: the limit is on the trader, not the account
+    maxTradesPerDay: {
+        label: 'Max trades per day',
+        unit: 'trades',
+        defaultValue: 3,
+        describe: rule => `Max ${rule.value} trades per day`,
+        evaluate(trade, rule) {
+            const count = allTrades.filter(other => other.id !== trade.id && other.date === trade.date).length + 1;
+            return count > rule.value ? `Trade ${count} on ${formatDate(trade.date)}` : null;
+        }
+    }
+};
+
+function getTradingRules() {
+    return getAppSetting('tradingRules', []);
+}
+
+function describeRule(rule) {
+    return RULE_TYPES[rule.type].describe(rule);
+}
+
+// The planned 1R when there is one, else the maximum loss of a defined-risk
+// position from its payoff. Infinity when the risk is unlimited, null when
+// neither can be worked out.
+function getTradeRiskAmount(trade) {
+    const initialRisk = getInitialRisk(trade);
+    if (initialRisk !== null) return initialRisk;
+    
+    const payoff = buildPayoffDiagram(trade);
+    if (!payoff) return null;
+    return Number.isFinite(payoff.maxLoss) ? roundMoney(Math.max(0, -payoff.maxLoss)) : Infinity;
+}
+
+// checkedIds are the checklist items ticked on the form
+function evaluateTradeRules(trade, checkedIds, rules = getTradingRules()) {
+    return rules.map(rule => {
+        const detail = rule.type === 'checklist'
+            ? (checkedIds.includes(rule.id) ? null : 'Not checked')
+            : RULE_TYPES[rule.type].evaluate(trade, rule);
+        return detail ? { rule_id: rule.id, rule: describeRule(rule), detail } : null;
+    }).filter(Boolean);
+}
+
+function getRuleStatus(trade) {
+    if (!Array.isArray(trade.rule_violations)) return 'Not checked';
+    return trade.rule_violations.length === 0 ? 'Followed' : 'Broken';
+}
+
+// Add Trade Checklist
+function renderTradeChecklist() {
+    const rules = getTradingRules();
+    const checklist = rules.filter(rule => rule.type === 'checklist');
+    const automatic = rules.filter(rule => rule.type !== 'checklist');
+    
+    document.getElementById('addTradeChecklist').innerHTML = rules.length === 0
+        ? '<p class="metric-note">No rules yet. Add checklist items and automatic rules under Portfolio Settings → Trading Rules.</p>'
+        : `
+            ${checklist.length > 0 ? `
+                <div class="checkbox-group">
+                    ${checklist.map(rule => `
+                        <label class="checkbox-label">
+                            <input type="checkbox" data-rule-id="${escapeHtml(rule.id)}">
+                            ${escapeHtml(rule.label)}
+                        </label>
+                    `).join('')}
+                </div>
+            ` : ''}
+            ${automatic.length > 0 ? `
+                <p class="metric-note">Checked automatically when the trade is saved: ${automatic.map(rule => escapeHtml(describeRule(rule))).join('; ')}.</p>
+            ` : ''}
+        `;
+}
+
+function readTradeChecklist() {
+    return Array.from(document.querySelectorAll('#addTradeChecklist [data-rule-id]:checked')).map(input => input.dataset.ruleId);
+}
+
+// Rule Settings
+function renderTradingRules() {
+    const rules = getTradingRules();
+    
+    document.getElementById('tradingRulesBody').innerHTML = rules.length === 0
+        ? '<tr><td colspan="3" class="text-center">No rules</td></tr>'
+        : rules.map(rule => `
+            <tr>
+                <td>${escapeHtml(describeRule(rule))}</td>
+                <td>${RULE_TYPES[rule.type].label}</td>
+                <td><button type="button" class="btn btn--sm btn--danger" data-rule-id="${escapeHtml(rule.id)}">Delete</button></td>
+            </tr>
+        `).join('');
+}
+
+function handleRuleTypeChange() {
+    const type = RULE_TYPES[document.getElementById('ruleType').value];
+    
+    document.querySelector('.rule-label-group').classList.toggle('hidden', Boolean(type.evaluate));
+    document.querySelector('.rule-value-group').classList.toggle('hidden', !type.evaluate);
+    document.getElementById('ruleValueLabel').textContent = type.unit ? `Limit (${type.unit})` : 'Limit';
+    document.getElementById('ruleValue').value = type.defaultValue ?? '';
+}
+
+async function handleAddRule(e) {
+    e.preventDefault();
+    
+    const type = document.getElementById('ruleType').value;
+    const rule = { id: `rule-${Date.now()}`, type };
+    
+    if (RULE_TYPES[type].evaluate) {
+        rule.value = parseOptionalNumber(document.getElementById('ruleValue').value);
+        if (rule.value === null || rule.value < 0) {
+            showMessage('Enter a limit for the rule.', 'error');
+            return;
+        }
+    } else {
+        rule.label = document.getElementById('ruleLabel').value.trim();
+        if (!rule.label) {
+            showMessage('Enter the checklist item.', 'error');
+            return;
+        }
+    }
+    
+    await saveAppSetting('tradingRules', [...getTradingRules(), rule]);
+    document.getElementById('ruleLabel').value = '';
+    renderTradingRules();
+    renderTradeChecklist();
+    showMessage('Rule added.', 'success');
+}
+
+async function handleRuleDelete(e) {
+    const button = e.target.closest('[data-rule-id]');
+    if (!button) return;
+    
+    await saveAppSetting('tradingRules', getTradingRules().filter(rule => rule.id !== button.dataset.ruleId));
+    renderTradingRules();
+    renderTradeChecklist();
+}
+
+// Trades that followed every rule against those that broke at least one, and
+// the trades behind each rule broken
+function calculateRuleCompliance(trades = getDashboardTrades()) {
+    const checked = trades.filter(trade => Array.isArray(trade.rule_violations));
+    const byRule = new Map();
+    
+    checked.forEach(trade => {
+        trade.rule_violations.forEach(violation => {
+            if (!byRule.has(violation.rule_id)) byRule.set(violation.rule_id, { name: violation.rule, trades: [] });
+            byRule.get(violation.rule_id).trades.push(trade);
+        });
+    });
+    
+    return {
+        followed: summarizeTradeGroup('Followed every rule', checked.filter(trade => trade.rule_violations.length === 0)),
+        broken: summarizeTradeGroup('Broke at least one rule', checked.filter(trade => trade.rule_violations.length > 0)),
+        rules: [...byRule.values()]
+            .map(group => summarizeTradeGroup(group.name, group.trades))
+            .sort((a, b) => a.totalPL - b.totalPL),
+        unchecked: trades.length - checked.length
+    };
+}
+
+function updateRuleComplianceAnalysis() {
+    const compliance = calculateRuleCompliance();
+    const renderRow = (group, className = '') => `
+        <tr class="${className}">
+            <td>${escapeHtml(group.name)}</td>
+            <td>${group.trades}</td>
+            <td class="${group.totalPL >= 0 ? 'pl-positive' : 'pl-negative'}">${formatCurrency(group.totalPL)}</td>
+            <td>${group.winRate === null ? '—' : `${group.winRate.toFixed(1)}%`}</td>
+            <td>${group.expectancy === null ? '—' : formatCurrency(group.expectancy)}</td>
+        </tr>
+    `;
+    
+    document.getElementById('ruleComplianceBody').innerHTML = [
+        renderRow(compliance.followed),
+        renderRow(compliance.broken),
+        ...compliance.rules.map(group => renderRow(group, 'rule-breakdown-row'))
+    ].join('');
+    document.getElementById('ruleComplianceNote').textContent = compliance.unchecked > 0
+        ? `${compliance.unchecked} trade${compliance.unchecked === 1 ? ' was' : 's were'} added without rules and ${compliance.unchecked === 1 ? 'is' : 'are'} left out.`
+        : '';
+}
+
+// Loss Limits
+// Daily, weekly and monthly caps on realized loss and on the number of trades
+// opened, across every account. Weeks start on Monday. A banner warns once
+// usage passes the warning threshold; after a limit is hit, logging another
+// trade in that period needs a typed confirmation. Every limit hit is kept in
+// the limitBreaches store along with the trades logged past it.
+const LIMIT_PERIODS = [
+    { key: 'day', label: 'Daily', getStart: today => today },
+    { key: 'week', label: 'Weekly', getStart: today => getWeekStart(today) },
+    { key: 'month', label: 'Monthly', getStart: today => `${today.slice(0, 7)}-01` }
+];
+const LIMIT_KINDS = { maxLoss: 'loss', maxTrades: 'trade' };
+const DEFAULT_LOSS_LIMITS = {
+    day: { maxLoss: null, maxTrades: null },
+    week: { maxLoss: null, maxTrades: null },
+    month: { maxLoss: null, maxTrades: null },
+    warnAt: 80
+};
+const LIMIT_OVERRIDE_PHRASE = 'OVERRIDE';
+
+let limitBreaches = [];
+
+async function loadLimitBreaches() {
+    try {
+        limitBreaches = await db.getAll('limitBreaches');
+    } catch (error) {
+        console.error('Failed to load limit breaches:', error);
+        limitBreaches = [];
+    }
+}
+
+function getLossLimits() {
+    return { ...DEFAULT_LOSS_LIMITS, ...getAppSetting('lossLimits', {}) };
+}
+
+// Usage of every limit that is set, for the periods containing today
+function calculateLimitStatus(trades = allTrades, today = getTodayKey()) {
+    const limits = getLossLimits();
+    const events = getRealizedPLEvents(trades);
+    const statuses = [];
+    
+    LIMIT_PERIODS.forEach(period => {
+        const start = period.getStart(today);
+        const inPeriod = date => {
+            const key = toDateKey(date);
+            return key >= start && key <= today;
+        };
+        const pl = events.filter(event => inPeriod(event.date)).reduce((sum, event) => sum + event.pl, 0);
+        const used = {
+            maxLoss: roundMoney(Math.max(0, -pl)),
+            maxTrades: trades.filter(trade => trade.date && inPeriod(trade.date)).length
+        };
+        
+        Object.keys(LIMIT_KINDS).forEach(kind => {
+            const limit = parseOptionalNumber(limits[period.key]?.[kind]);
+            if (limit === null || limit <= 0) return;
+            
+            const ratio = used[kind] / limit;
+            statuses.push({
+                period: period.key,
+                label: `${period.label} ${LIMIT_KINDS[kind]} limit`,
+                kind,
+                start,
+                limit,
+                used: used[kind],
+                ratio,
+                state: ratio >= 1 ? 'breached' : ratio * 100 >= limits.warnAt ? 'warning' : 'ok'
+            });
+        });
+    });
+    
+    return statuses;
+}
+
+function formatLimitValue(kind, value) {
+    return kind === 'maxLoss' ? formatCurrency(value) : `${value} trade${value === 1 ? '' : 's'}`;
+}
+
+function describeLimitStatus(status) {
+    return `${status.label} ${status.state === 'breached' ? 'hit' : 'approaching'}: ${formatLimitValue(status.kind, status.used)} of ${formatLimitValue(status.kind, status.limit)}`;
+}
+
+// Limits hit in a period that contains the trade's date; backfilling trades
+// from earlier periods is never blocked
+function getBreachedLimits(tradeDate, statuses = calculateLimitStatus()) {
+    return statuses.filter(status => status.state === 'breached' && tradeDate >= status.start);
+}
+
+function findBreachRecord(status) {
+    return limitBreaches.find(record =>
+        record.period === status.period && record.kind === status.kind && record.period_start === status.start);
+}
+
+// One record per limit and period, keeping the worst value seen
+async function recordLimitBreaches(statuses) {
+    for (const status of statuses.filter(s => s.state === 'breached')) {
+        const existing = findBreachRecord(status);
+        if (existing && existing.value >= status.used) continue;
+        
+        const record = existing
+            ? { ...existing, value: status.used, limit: status.limit, updated_at: new Date().toISOString() }
+            : {
+                period: status.period,
+                kind: status.kind,
+                period_start: status.start,
+                limit: status.limit,
+                value: status.used,
+                overrides: [],
+                created_at: new Date().toISOString()
+            };
+        record.id = await db.put('limitBreaches', record);
+        limitBreaches = [...limitBreaches.filter(r => r.id !== record.id), record];
+    }
+}
+
+async function recordLimitOverrides(statuses, tradeId) {
+    await recordLimitBreaches(statuses);
+    for (const status of statuses) {
+        const record = findBreachRecord(status);
+        const updated = {
+            ...record,
+            overrides: [...(record.overrides || []), { trade_id: tradeId, at: new Date().toISOString() }],
+            updated_at: new Date().toISOString()
+        };
+        await db.put('limitBreaches', updated);
+        limitBreaches = limitBreaches.map(r => r.id === updated.id ? updated : r);
+    }
+}
+
+// Asks for the override phrase; false when the trader backs out
+function confirmLimitOverride(breached) {
+    const answer = prompt(`Trading limit reached:\n${breached.map(status => `• ${describeLimitStatus(status)}`).join('\n')}\n\nType ${LIMIT_OVERRIDE_PHRASE} to log this trade anyway.`);
+    return (answer || '').trim().toUpperCase() === LIMIT_OVERRIDE_PHRASE;
+}
+
+async function refreshLimitStatus() {
+    const statuses = calculateLimitStatus();
+    renderLimitBanner(statuses);
+    
+    try {
+        await recordLimitBreaches(statuses);
+    } catch (error) {
+        console.error('Failed to record limit breach:', error);
+    }
+}
+
+function renderLimitBanner(statuses = calculateLimitStatus()) {
+    const alerts = statuses.filter(status => status.state !== 'ok').sort((a, b) => b.ratio - a.ratio);
+    const banner = document.getElementById('limitBanner');
+    
+    banner.classList.toggle('hidden', alerts.length === 0);
+    banner.classList.toggle('limit-banner--breached', alerts.some(status => status.state === 'breached'));
+    banner.innerHTML = alerts.map(status => `
+        <div class="limit-banner-item limit-banner-item--${status.state}">
+            ${status.state === 'breached' ? '⛔' : '⚠️'} ${escapeHtml(describeLimitStatus(status))}
+        </div>
+    `).join('');
+}
+
+// Limit Settings
+function renderLossLimitSettings() {
+    const limits = getLossLimits();
+    
+    LIMIT_PERIODS.forEach(period => {
+        Object.keys(LIMIT_KINDS).forEach(kind => {
+            document.getElementById(`limit-${period.key}-${kind}`).value = limits[period.key]?.[kind] ?? '';
+        });
+    });
+    document.getElementById('limitWarnAt').value = limits.warnAt;
+    renderLimitBreaches();
+}
+
+function renderLimitBreaches() {
+    const records = [...limitBreaches].sort((a, b) => b.created_at.localeCompare(a.created_at));
+    
+    document.getElementById('limitBreachesBody').innerHTML = records.length === 0
+        ? '<tr><td colspan="5" class="text-center">No limits hit</td></tr>'
+        : records.map(record => {
+            const period = LIMIT_PERIODS.find(p => p.key === record.period);
+            const overrides = record.overrides || [];
+            return `
+                <tr>
+                    <td>${formatDate(record.created_at)}</td>
+                    <td>${period ? period.label : record.period} ${LIMIT_KINDS[record.kind]} limit (from ${formatDate(record.period_start)})</td>
+                    <td>${formatLimitValue(record.kind, record.limit)}</td>
+                    <td>${formatLimitValue(record.kind, record.value)}</td>
+                    <td>${overrides.length}</td>
+                </tr>
+            `;
+        }).join('');
+}
+
+async function handleLossLimitsSubmit(e) {
+    e.preventDefault();
+    
+    const limits = { warnAt: parseOptionalNumber(document.getElementById('limitWarnAt').value) || DEFAULT_LOSS_LIMITS.warnAt };
+    LIMIT_PERIODS.forEach(period => {
+        limits[period.key] = {};
+        Object.keys(LIMIT_KINDS).forEach(kind => {
+            const value = parseOptionalNumber(document.getElementById(`limit-${period.key}-${kind}`).value);
+            limits[period.key][kind] = value !== null && value > 0 ? value : null;
+        });
+    });
+    
+    await saveAppSetting('lossLimits', limits);
+    await refreshLimitStatus();
+    renderLossLimitSettings();
+    showMessage('Loss limits saved.', 'success');
+}
+
+// Position Sizing
+// Sizes the Add Trade form from the selected account's balance: the risk
+// budget divided by what one contract (one unit of the legs) can lose
+const DEFAULT_SIZING_RISK_PERCENT = 1;
+
+// The strictest max-risk rule, so a sized trade passes it by default
+function getDefaultSizingRiskPercent() {
+    const values = getTradingRules().filter(rule => rule.type === 'maxRiskPercent').map(rule => rule.value);
+    return values.length > 0 ? Math.min(...values) : DEFAULT_SIZING_RISK_PERCENT;
+}
+
+// Prices are per share. 'stop' risks the distance from entry to stop, 'spread'
+// risks the width less the credit. Returns null until the inputs make sense.
+function calculatePositionSize({ balance, riskPercent, mode, entry, stop, width, credit, multiplier = 100 }) {
+    if (!Number.isFinite(balance) || !Number.isFinite(riskPercent) || riskPercent <= 0) return null;
+    
+    let perShare = null;
+    if (mode === 'spread') {
+        if (Number.isFinite(width) && Number.isFinite(credit) && width > credit) perShare = width - credit;
+    } else if (Number.isFinite(entry) && Number.isFinite(stop) && entry !== stop) {
+        perShare = Math.abs(entry - stop);
+    }
+    if (perShare === null) return null;
+    
+    const budget = roundMoney(Math.max(0, balance) * riskPercent / 100);
+    const riskPerContract = roundMoney(perShare * multiplier);
+    const contracts = Math.floor(budget / riskPerContract + 1e-9);
+    
+    return { balance, riskPercent, budget, riskPerContract, contracts, maxLoss: roundMoney(contracts * riskPerContract) };
+}
+
+// Everything a full loss of the sized trade would break: max-risk rules and
+// the loss and trade-count limits of the periods containing the trade date
+function getSizingWarnings(sizing, date) {
+    const warnings = [];
+    
+    if (sizing.balance <= 0) {
+        warnings.push('The account has no balance to risk.');
+    } else if (sizing.contracts === 0) {
+        warnings.push(`The risk budget of ${formatCurrency(sizing.budget)} does not cover one contract at ${formatCurrency(sizing.riskPerContract)}.`);
+    }
+    
+    getTradingRules().filter(rule => rule.type === 'maxRiskPercent').forEach(rule => {
+        if (sizing.balance > 0 && sizing.maxLoss > sizing.balance * rule.value / 100) {
+            warnings.push(`Max loss is ${(sizing.maxLoss / sizing.balance * 100).toFixed(1)}% of the account, over the rule: ${describeRule(rule)}.`);
+        }
+    });
+    
+    calculateLimitStatus(allTrades, date).forEach(status => {
+        if (status.kind === 'maxLoss' && status.used + sizing.maxLoss > status.limit) {
+            warnings.push(`A full loss would take the ${status.label.toLowerCase()} to ${formatLimitValue(status.kind, status.used + sizing.maxLoss)} of ${formatLimitValue(status.kind, status.limit)}.`);
+        } else if (status.kind === 'maxTrades' && status.used + 1 > status.limit) {
+            warnings.push(`This would be trade ${status.used + 1} against the ${status.label.toLowerCase()} of ${status.limit}.`);
+        }
+    });
+    
+    return warnings;
+}
+
+function readPositionSizing() {
+    const number = id => parseOptionalNumber(document.getElementById(id).value);
+    const mode = document.getElementById('sizingMode').value;
+    
+    return calculatePositionSize({
+        balance: calculateAccountBalance(document.getElementById('tradeAccount').value || getDefaultAccountId()),
+        riskPercent: number('sizingRiskPercent'),
+        mode,
+        entry: number('sizingEntry'),
+        stop: number('sizingStop'),
+        width: number('sizingWidth'),
+        credit: number('sizingCredit'),
+        multiplier: mode === 'spread' ? 100 : getPositionMultiplier(readLegsEditor('addTradeLegs'))
+    });
+}
+
+function renderPositionSizing() {
+    const mode = document.getElementById('sizingMode').value;
+    document.querySelectorAll('[data-sizing-mode]').forEach(row => {
+        row.classList.toggle('hidden', row.dataset.sizingMode !== mode);
+    });
+    
+    const sizing = readPositionSizing();
+    const warnings = sizing ? getSizingWarnings(sizing, document.getElementById('tradeDate').value || getTodayKey()) : [];
+    const item = (label, value, className = '') => `
+        <div class="detail-item">
+            <div class="detail-label">${label}</div>
+            <div class="detail-value ${className}">${value}</div>
+        </div>
+    `;
+    
+    document.getElementById('applySizingBtn').disabled = !sizing || sizing.contracts < 1;
+    document.getElementById('sizingResult').innerHTML = !sizing
+        ? `<p class="metric-note">${mode === 'spread' ? 'Enter a spread width larger than the credit' : 'Enter an entry and a stop'} and a risk percentage to size the trade.</p>`
+        : `
+            <div class="detail-grid">
+                ${item('Account Balance', formatCurrency(sizing.balance))}
+                ${item(`Risk Budget (${sizing.riskPercent}%)`, formatCurrency(sizing.budget))}
+                ${item('Risk per Contract', formatCurrency(sizing.riskPerContract))}
+                ${item('Contracts', sizing.contracts)}
+                ${item('Max Loss', formatCurrency(-sizing.maxLoss), sizing.maxLoss > 0 ? 'pl-negative' : '')}
+            </div>
+        `;
+    
+    const list = document.getElementById('sizingWarnings');
+    list.classList.toggle('hidden', warnings.length === 0);
+    list.innerHTML = warnings.map(warning => `<li>⚠️ ${escapeHtml(warning)}</li>`).join('');
+}
+
+// Fills in the quantity and scales every leg by the same factor, keeping
+// the ratio between legs (e.g. a 1x2 ratio spread stays 1x2)
+function applyPositionSizing() {
+    const sizing = readPositionSizing();
+    if (!sizing || sizing.contracts < 1) return;
+    
+    const inputs = Array.from(document.querySelectorAll('#addTradeLegs [data-field="quantity"]'));
+    const units = Math.min(...inputs.map(input => parseInt(input.value) || 1));
+    inputs.forEach(input => {
+        input.value = Math.max(1, Math.round((parseInt(input.value) || 1) / units * sizing.contracts));
+    });
+    document.getElementById('quantity').value = sizing.contracts;
+    showMessage(`Quantity set to ${sizing.contracts}, risking up to ${formatCurrency(sizing.maxLoss)}.`, 'success');
+}
+
+function resetPositionSizing() {
+    document.getElementById('sizingRiskPercent').value = getDefaultSizingRiskPercent();
+    renderPositionSizing();
+}
+
+// Filters
+function getFilteredTrades() {
+    const tickerFilter = document.getElementById('tickerFilter').value;
+    const strategyFilter = document.getElementById('strategyFilter').value;
+    const fromDate = document.getElementById('fromDate').value;
+    const toDate = document.getElementById('toDate').value;
+    const labelFilters = TRADE_LABEL_KINDS
+        .map(kind => ({ key: kind.key, value: document.getElementById(kind.filterId).value }))
+        .filter(filter => filter.value);
+    
+    return getDashboardTrades().filter(trade => {
+        if (tickerFilter && trade.ticker !== tickerFilter) return false;
+        if (strategyFilter && trade.strategy !== strategyFilter) return false;
+        if (fromDate && trade.date < fromDate) return false;
+        if (toDate && trade.date > toDate) return false;
+        if (labelFilters.some(filter => !getTradeLabels(trade, filter.key).includes(filter.value))) return false;
+        if (historyDayFilter && !tradeTouchesDays(trade, historyDayFilter)) return false;
+        return true;
+    });
+}
+
+function applyFilters() {
+    displayTrades();
+}
+
+function clearFilters() {
+    document.getElementById('tickerFilter').value = '';
+    document.getElementById('strategyFilter').value = '';
+    document.getElementById('fromDate').value = '';
+    document.getElementById('toDate').value = '';
+    TRADE_LABEL_KINDS.forEach(kind => {
+        document.getElementById(kind.filterId).value = '';
+    });
+    historyDayFilter = null;
+    renderDayFilterStatus();
+    displayTrades();
+}
+
+function updateFilters() {
+    renderContextOptions();
+    
+    // Update ticker filter
+    const tickers = [...new Set(getScopedTrades().map(t => t.ticker))].sort();
+    const tickerFilter = document.getElementById('tickerFilter');
+    const currentTicker = tickerFilter.value;
+    
+    tickerFilter.innerHTML = '<option value="">All Tickers</option>';
+    tickers.forEach(ticker => {
+        const option = document.createElement('option');
+        option.value = ticker;
+        option.textContent = ticker;
+        if (ticker === currentTicker) option.selected = true;
+        tickerFilter.appendChild(option);
+    });
+    
+    // Update strategy filter
+    const strategies = [...new Set(getScopedTrades().map(t => t.strategy))].sort();
+    const strategyFilter = document.getElementById('strategyFilter');
+    const currentStrategy = strategyFilter.value;
+    
+    strategyFilter.innerHTML = '<option value="">All Strategies</option>';
+    strategies.forEach(strategy => {
+        const option = document.createElement('option');
+        option.value = strategy;
+        option.textContent = strategy;
+        if (strategy === currentStrategy) option.selected = true;
+        strategyFilter.appendChild(option);
+    });
+    
+    // Update label filters
+    TRADE_LABEL_KINDS.forEach(kind => {
+        const filter = document.getElementById(kind.filterId);
+        const current = filter.value;
+        
+        filter.innerHTML = `<option value="">All ${kind.label}</option>`;
+        getLabelChoices(kind.key).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            if (name === current) option.selected = true;
+            filter.appendChild(option);
+        });
+    });
+}
+
+// Global Context
+// A date range, ticker and strategy shared by the trade history, every
+// dashboard card and every chart. Trades fall in a range by their entry date;
+// the equity curve for a range starts from the account balance the day before.
+const CONTEXT_PRESETS = {
+    all: { label: 'All Time' },
+    ytd: { label: 'Year to Date' },
+    mtd: { label: 'Month to Date' },
+    last30: { label: 'Last 30 Days', days: 30 },
+    last90: { label: 'Last 90 Days', days: 90 },
+    last365: { label: 'Last 12 Months', days: 365 },
+    custom: { label: 'Custom Range' }
+};
+
+const DEFAULT_CONTEXT = { preset: 'all', from: '', to: '', ticker: '', strategy: '', compare: false };
+
+function getGlobalContext() {
+    return { ...DEFAULT_CONTEXT, ...getAppSetting('globalContext', {}) };
+}
+
+function shiftDateKey(dateKey, days) {
+    const date = new Date(dateKey);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+// { from, to } with either bound possibly null, or null for all time
+function getContextRange(context = getGlobalContext()) {
+    const today = getTodayKey();
+    
+    switch (context.preset) {
+        case 'ytd':
+            return { from: `${today.slice(0, 4)}-01-01`, to: today };
+        case 'mtd':
+            return { from: `${today.slice(0, 7)}-01`, to: today };
+        case 'custom':
+            return context.from || context.to ? { from: context.from || null, to: context.to || null } : null;
+        default: {
+            const days = CONTEXT_PRESETS[context.preset]?.days;
+            return days ? { from: shiftDateKey(today, 1 - days), to: today } : null;
+        }
+    }
+}
+
+// The period of the same length ending the day before the range starts
+function getPreviousRange(range) {
+    if (!range || !range.from) return null;
+    
+    const length = daysBetween(range.from, range.to || getTodayKey()) + 1;
+    const to = shiftDateKey(range.from, -1);
+    return { from: shiftDateKey(to, 1 - length), to };
+}
+
+function isInRange(date, range) {
+    if (!range) return true;
+    const key = toDateKey(date);
+    return (!range.from || key >= range.from) && (!range.to || key <= range.to);
+}
+
+function matchesContext(trade, context, range) {
+    if (context.ticker && trade.ticker !== context.ticker) return false;
+    if (context.strategy && trade.strategy !== context.strategy) return false;
+    return isInRange(trade.date, range);
+}
+
+function getDashboardLedgerEntries(range = getContextRange()) {
+    return getScopedLedgerEntries().filter(entry => isInRange(entry.date, range));
+}
+
+function getDashboardStartingCapital(range = getContextRange()) {
+    if (!range || !range.from) return getScopedStartingCapital();
+    
+    const before = { from: null, to: shiftDateKey(range.from, -1) };
+    return calculateBalance(
+        getScopedTrades().filter(trade => isInRange(trade.date, before)),
+        getScopedLedgerEntries().filter(entry => isInRange(entry.date, before))
+    );
+}
+
+function formatRangeLabel(range) {
+    if (!range) return 'all time';
+    return `${range.from ? formatDate(range.from) : 'start'} – ${range.to ? formatDate(range.to) : 'today'}`;
+}
+
+function renderContextBar() {
+    const context = getGlobalContext();
+    const range = getContextRange(context);
+    const previous = context.compare ? getPreviousRange(range) : null;
+    
+    document.getElementById('contextPreset').value = context.preset;
+    document.getElementById('contextFrom').value = context.from;
+    document.getElementById('contextTo').value = context.to;
+    document.getElementById('contextCompare').checked = context.compare;
+    document.querySelectorAll('.context-custom').forEach(input => {
+        input.classList.toggle('hidden', context.preset !== 'custom');
+    });
+    document.getElementById('contextRangeLabel').textContent = previous
+        ? `${formatRangeLabel(range)} vs ${formatRangeLabel(previous)}`
+        : formatRangeLabel(range);
+}
+
+function renderContextOptions() {
+    const context = getGlobalContext();
+    const trades = getScopedTrades();
+    const fill = (id, allLabel, values, selected) => {
+        document.getElementById(id).innerHTML = `<option value="">${allLabel}</option>` + values.map(value =>
+            `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(value)}</option>`
+        ).join('');
+    };
+    
+    fill('contextTicker', 'All Tickers', [...new Set(trades.map(trade => trade.ticker))].sort(), context.ticker);
+    fill('contextStrategy', 'All Strategies', [...new Set(trades.map(trade => trade.strategy))].sort(), context.strategy);
+}
+
+async function handleContextChange() {
+    await saveAppSetting('globalContext', {
+        preset: document.getElementById('contextPreset').value,
+        from: document.getElementById('contextFrom').value,
+        to: document.getElementById('contextTo').value,
+        ticker: document.getElementById('contextTicker').value,
+        strategy: document.getElementById('contextStrategy').value,
+        compare: document.getElementById('contextCompare').checked
+    });
+    
+    renderContextBar();
+    refreshFilteredViews();
+}
+
+// Everything that reads getDashboardTrades
+function refreshFilteredViews() {
+    displayTrades();
+    updateDashboard();
+    if (document.getElementById('analytics').classList.contains('active')) {
+        updateAnalyticsCharts();
+    }
+}
+
+// Previous-period values shown under the dashboard cards
+const COMPARED_METRICS = [
+    { id: 'totalPL', value: metrics => metrics.totalPL, format: formatCurrency, delta: value => `${value >= 0 ? '+' : '-'}${formatCurrency(Math.abs(value))}` },
+    { id: 'winRate', value: metrics => metrics.winRate, format: value => `${value.toFixed(1)}%`, delta: value => `${value >= 0 ? '+' : ''}${value.toFixed(1)} pts` },
+    { id: 'totalTrades', value: metrics => metrics.totalTrades, format: String, delta: value => `${value >= 0 ? '+' : ''}${value}` },
+    { id: 'avgWin', value: metrics => metrics.avgWin, format: formatCurrency, delta: value => `${value >= 0 ? '+' : '-'}${formatCurrency(Math.abs(value))}` },
+    { id: 'avgLoss', value: metrics => metrics.avgLoss, format: formatCurrency, delta: value => `${value >= 0 ? '+' : '-'}${formatCurrency(Math.abs(value))}`, lowerIsBetter: true },
+    { id: 'profitFactor', value: metrics => metrics.profitFactor, format: value => value.toFixed(2), delta: value => `${value >= 0 ? '+' : ''}${value.toFixed(2)}` },
+    { id: 'expectancyR', value: metrics => metrics.expectancy, format: formatR, delta: value => formatR(value) }
+];
+
+function renderPeriodComparison(current) {
+    const context = getGlobalContext();
+    const previousRange = context.compare ? getPreviousRange(getContextRange(context)) : null;
+    const previousTrades = previousRange ? getDashboardTrades(previousRange) : null;
+    const previous = previousTrades ? { ...calculateMetrics(previousTrades), ...calculateRMetrics(previousTrades) } : null;
+    
+    COMPARED_METRICS.forEach(metric => {
+        const element = document.querySelector(`[data-compare="${metric.id}"]`);
+        const now = metric.value(current);
+        const before = previous ? metric.value(previous) : null;
+        
+        if (before === null || before === undefined) {
+            element.textContent = previous ? 'Previous period: —' : '';
+            element.className = 'metric-note metric-compare';
+            return;
+        }
+        
+        const change = now === null ? null : now - before;
+        const improved = change !== null && (metric.lowerIsBetter ? change < 0 : change > 0);
+        element.textContent = `Previous: ${metric.format(before)}${change === null ? '' : ` (${metric.delta(change)})`}`;
+        element.className = `metric-note metric-compare ${change === null || change === 0 ? '' : improved ? 'positive' : 'negative'}`;
+    });
+}
+
+// Advanced Filters
+// A query is groups of conditions: conditions inside a group and the groups
+// themselves are each combined with 'all' (AND) or 'any' (OR). Conditions left
+// empty are ignored, so an empty query matches every trade. The applied query
+// narrows trade history, the dashboard metrics and every performance chart;
+// balances, open-position Greeks and exports always cover the whole account.
+const QUERY_FIELDS = {
+    ticker: { label: 'Ticker', type: 'set', choices: () => [...new Set(getScopedTrades().map(trade => trade.ticker))].sort() },
+    strategy: { label: 'Strategy', type: 'set', choices: () => [...new Set(getScopedTrades().map(trade => trade.strategy))].sort() },
+    outcome: { label: 'Outcome', type: 'set', choices: () => ['Win', 'Loss', 'Open'] },
+    option_type: { label: 'Option Type', type: 'set', choices: () => ['CALL', 'PUT', 'STOCK', 'SPREAD'] },
+    ...Object.fromEntries(TRADE_LABEL_KINDS.map(kind => [kind.key, { label: kind.label, type: 'set', choices: () => getLabelChoices(kind.key) }])),
+    net_pl: { label: 'Net P&L', type: 'range' },
+    premium: { label: 'Premium', type: 'range' },
+    quantity: { label: 'Quantity', type: 'range' },
+    dte: { label: 'DTE at Entry', type: 'range' },
+    date: { label: 'Date', type: 'dates' },
+    notes: { label: 'Notes', type: 'text' },
+    rules: { label: 'Rules', type: 'set', choices: () => ['Followed', 'Broken', 'Not checked'] }
+};
+
+const EMPTY_QUERY = { match: 'all', groups: [] };
+
+function createQueryCondition(field = 'ticker') {
+    switch (QUERY_FIELDS[field].type) {
+        case 'set':
+            return { field, operator: 'any', values: [] };
+        case 'range':
+            return { field, min: null, max: null };
+        case 'dates':
+            return { field, from: '', to: '' };
+        default:
+            return { field, text: '' };
+    }
+}
+
+function getQueryValue(trade, field) {
+    switch (field) {
+        case 'dte':
+            return trade.expiration ? daysBetween(trade.date, trade.expiration) : null;
+        case 'notes':
+            return `${trade.trade_notes || ''}\n${trade.post_trade_analysis || ''}`;
+        case 'rules':
+            return getRuleStatus(trade);
+        case 'net_pl':
+        case 'premium':
+        case 'quantity':
+            return parseOptionalNumber(trade[field]);
+        default:
+            return trade[field];
+    }
+}
+
+function isConditionActive(condition) {
+    switch (QUERY_FIELDS[condition.field]?.type) {
+        case 'set':
+            return condition.values.length > 0;
+        case 'range':
+            return condition.min !== null || condition.max !== null;
+        case 'dates':
+            return Boolean(condition.from || condition.to);
+        case 'text':
+            return condition.text.trim() !== '';
+        default:
+            return false;
+    }
+}
+
+function matchesCondition(trade, condition) {
+    const value = getQueryValue(trade, condition.field);
+    
+    switch (QUERY_FIELDS[condition.field].type) {
+        case 'set': {
+            const tradeValues = Array.isArray(value) ? value : [value];
+            const hit = tradeValues.some(item => condition.values.includes(item));
+            return condition.operator === 'none' ? !hit : hit;
+        }
+        case 'range':
+            if (value === null) return false;
+            return (condition.min === null || value >= condition.min) && (condition.max === null || value <= condition.max);
+        case 'dates':
+            return (!condition.from || value >= condition.from) && (!condition.to || value <= condition.to);
+        default:
+            return value.toLowerCase().includes(condition.text.trim().toLowerCase());
+    }
+}
+
+function getActiveQueryGroups(query) {
+    return (query.groups || [])
+        .map(group => ({ ...group, conditions: group.conditions.filter(isConditionActive) }))
+        .filter(group => group.conditions.length > 0);
+}
+
+function matchesTradeQuery(trade, query) {
+    const groups = getActiveQueryGroups(query);
+    if (groups.length === 0) return true;
+    
+    const matchesGroup = group => group.match === 'any'
+        ? group.conditions.some(condition => matchesCondition(trade, condition))
+        : group.conditions.every(condition => matchesCondition(trade, condition));
+    return query.match === 'any' ? groups.some(matchesGroup) : groups.every(matchesGroup);
+}
+
+function describeCondition(condition) {
+    const field = QUERY_FIELDS[condition.field];
+    
+    switch (field.type) {
+        case 'set':
+            return `${field.label} ${condition.operator === 'none' ? 'is none of' : 'is'} ${condition.values.join(', ')}`;
+        case 'range':
+            if (condition.min !== null && condition.max !== null) return `${field.label} ${condition.min} to ${condition.max}`;
+            return condition.min !== null ? `${field.label} ≥ ${condition.min}` : `${field.label} ≤ ${condition.max}`;
+        case 'dates':
+            return `${field.label} ${condition.from || '…'} to ${condition.to || '…'}`;
+        default:
+            return `${field.label} contain "${condition.text.trim()}"`;
+    }
+}
+
+function describeQuery(query) {
+    const groups = getActiveQueryGroups(query);
+    const described = groups.map(group => {
+        const text = group.conditions.map(describeCondition).join(group.match === 'any' ? ' OR ' : ' AND ');
+        return groups.length > 1 && group.conditions.length > 1 ? `(${text})` : text;
+    });
+    return described.join(query.match === 'any' ? ' OR ' : ' AND ');
+}
+
+function getActiveFilter() {
+    return getAppSetting('activeFilter', { name: null, query: EMPTY_QUERY });
+}
+
+function isFilterActive() {
+    return getActiveQueryGroups(getActiveFilter().query).length > 0;
+}
+
+// Trades of the current account scope inside the global context that pass
+// the applied query
+function getDashboardTrades(range = getContextRange()) {
+    const context = getGlobalContext();
+    const { query } = getActiveFilter();
+    return getScopedTrades().filter(trade => matchesContext(trade, context, range) && matchesTradeQuery(trade, query));
+}
+
+// Query Builder UI
+function renderConditionEditor(condition) {
+    const field = QUERY_FIELDS[condition.field];
+    
+    switch (field.type) {
+        case 'set': {
+            const choices = [...new Set([...field.choices(), ...condition.values])];
+            return `
+                <select data-role="operator" class="form-control">
+                    <option value="any"${condition.operator === 'any' ? ' selected' : ''}>is any of</option>
+                    <option value="none"${condition.operator === 'none' ? ' selected' : ''}>is none of</option>
+                </select>
+                <select data-role="values" class="form-control query-values" multiple size="4">
+                    ${choices.map(choice => `<option value="${escapeHtml(choice)}"${condition.values.includes(choice) ? ' selected' : ''}>${escapeHtml(choice)}</option>`).join('')}
+                </select>
+            `;
+        }
+        case 'range':
+            return `
+                <input type="number" data-role="min" class="form-control" step="any" placeholder="Min" value="${condition.min ?? ''}">
+                <input type="number" data-role="max" class="form-control" step="any" placeholder="Max" value="${condition.max ?? ''}">
+            `;
+        case 'dates':
+            return `
+                <input type="date" data-role="from" class="form-control" value="${condition.from}">
+                <input type="date" data-role="to" class="form-control" value="${condition.to}">
+            `;
+        default:
+            return `<input type="text" data-role="text" class="form-control" placeholder="Search trade notes and analysis" value="${escapeHtml(condition.text)}">`;
+    }
+}
+
+function renderMatchSelect(role, match) {
+    return `
+        <select data-role="${role}" class="form-control query-match">
+            <option value="all"${match === 'all' ? ' selected' : ''}>all (AND)</option>
+            <option value="any"${match === 'any' ? ' selected' : ''}>any (OR)</option>
+        </select>
+    `;
+}
+
+function renderQueryBuilder(query) {
+    document.getElementById('queryRootMatch').value = query.match;
+    document.getElementById('queryGroups').innerHTML = query.groups.map((group, groupIndex) => `
+        <div class="query-group" data-group="${groupIndex}">
+            <div class="query-group-header">
+                <span>Match</span>
+                ${renderMatchSelect('group-match', group.match)}
+                <span>of these conditions</span>
+                <button type="button" class="btn btn--sm btn--danger" data-action="remove-group" title="Remove group">&times;</button>
+            </div>
+            ${group.conditions.map((condition, conditionIndex) => `
+                <div class="query-condition" data-condition="${conditionIndex}">
+                    <select data-role="field" class="form-control">
+                        ${Object.entries(QUERY_FIELDS).map(([key, field]) => `<option value="${key}"${key === condition.field ? ' selected' : ''}>${escapeHtml(field.label)}</option>`).join('')}
+                    </select>
+                    ${renderConditionEditor(condition)}
+                    <button type="button" class="btn btn--sm btn--danger" data-action="remove-condition" title="Remove condition">&times;</button>
+                </div>
+            `).join('')}
+            <button type="button" class="btn btn--sm btn--secondary" data-action="add-condition">+ Condition</button>
+        </div>
+    `).join('');
+}
+
+function readQueryBuilder() {
+    const groups = Array.from(document.querySelectorAll('#queryGroups .query-group')).map(groupElement => ({
+        match: groupElement.querySelector('[data-role="group-match"]').value,
+        conditions: Array.from(groupElement.querySelectorAll('.query-condition')).map(row => {
+            const input = (role) => row.querySelector(`[data-role="${role}"]`);
+            const condition = createQueryCondition(input('field').value);
+            
+            switch (QUERY_FIELDS[condition.field].type) {
+                case 'set':
+                    condition.operator = input('operator').value;
+                    condition.values = Array.from(input('values').selectedOptions).map(option => option.value);
+                    break;
+                case 'range':
+                    condition.min = parseOptionalNumber(input('min').value);
+                    condition.max = parseOptionalNumber(input('max').value);
+                    break;
+                case 'dates':
+                    condition.from = input('from').value;
+                    condition.to = input('to').value;
+                    break;
+                default:
+                    condition.text = input('text').value;
+            }
+            return condition;
+        })
+    }));
+    
+    return { match: document.getElementById('queryRootMatch').value, groups };
+}
+
+function handleQueryBuilderClick(e) {
+    const action = e.target.dataset.action;
+    if (!action) return;
+    
+    const query = readQueryBuilder();
+    const groupIndex = parseInt(e.target.closest('.query-group')?.dataset.group);
+    const conditionIndex = parseInt(e.target.closest('.query-condition')?.dataset.condition);
+    
+    if (action === 'add-group') {
+        query.groups.push({ match: 'all', conditions: [createQueryCondition()] });
+    } else if (action === 'remove-group') {
+        query.groups.splice(groupIndex, 1);
+    } else if (action === 'add-condition') {
+        query.groups[groupIndex].conditions.push(createQueryCondition());
+    } else if (action === 'remove-condition') {
+        query.groups[groupIndex].conditions.splice(conditionIndex, 1);
+        if (query.groups[groupIndex].conditions.length === 0) query.groups.splice(groupIndex, 1);
+    }
+    renderQueryBuilder(query);
+}
+
+// A new field starts from an empty condition of its own type
+function handleQueryBuilderChange(e) {
+    if (e.target.dataset.role !== 'field') return;
+    
+    const query = readQueryBuilder();
+    const groupIndex = parseInt(e.target.closest('.query-group').dataset.group);
+    const conditionIndex = parseInt(e.target.closest('.query-condition').dataset.condition);
+    query.groups[groupIndex].conditions[conditionIndex] = createQueryCondition(e.target.value);
+    renderQueryBuilder(query);
+}
+
+async function setActiveFilter(name, query) {
+    await saveAppSetting('activeFilter', { name, query });
+    renderActiveFilterStatus();
+    refreshFilteredViews();
+}
+
+async function applyQueryBuilder() {
+    const selectedName = document.getElementById('savedFilterSelect').value;
+    await setActiveFilter(selectedName || null, readQueryBuilder());
+}
+
+async function clearQueryBuilder() {
+    document.getElementById('savedFilterSelect').value = '';
+    renderQueryBuilder(EMPTY_QUERY);
+    await setActiveFilter(null, EMPTY_QUERY);
+}
+
+function renderSavedFilters(selectedName = '') {
+    const select = document.getElementById('savedFilterSelect');
+    select.innerHTML = '<option value="">Unsaved filter</option>' + getAppSetting('savedFilters', []).map(filter =>
+        `<option value="${escapeHtml(filter.name)}"${filter.name === selectedName ? ' selected' : ''}>${escapeHtml(filter.name)}</option>`
+    ).join('');
+}
+
+async function saveFilterSet() {
+    const name = document.getElementById('filterSetName').value.trim();
+    if (!name) {
+        showMessage('Name the filter set before saving it.', 'error');
+        return;
+    }
+    
+    const query = readQueryBuilder();
+    const savedFilters = getAppSetting('savedFilters', []).filter(filter => filter.name !== name);
+    await saveAppSetting('savedFilters', [...savedFilters, { name, query }].sort((a, b) => a.name.localeCompare(b.name)));
+    
+    document.getElementById('filterSetName').value = '';
+    renderSavedFilters(name);
+    await setActiveFilter(name, query);
+    showMessage(`Filter set "${name}" saved and applied.`, 'success');
+}
+
+async function loadFilterSet() {
+    const name = document.getElementById('savedFilterSelect').value;
+    const filter = getAppSetting('savedFilters', []).find(saved => saved.name === name);
+    if (!filter) return;
+    
+    renderQueryBuilder(filter.query);
+    await setActiveFilter(filter.name, filter.query);
+}
+
+async function deleteFilterSet() {
+    const name = document.getElementById('savedFilterSelect').value;
+    if (!name || !confirm(`Delete the filter set "${name}"?`)) return;
+    
+    await saveAppSetting('savedFilters', getAppSetting('savedFilters', []).filter(filter => filter.name !== name));
+    renderSavedFilters();
+    if (getActiveFilter().name === name) {
+        await setActiveFilter(null, getActiveFilter().query);
+    }
+}
+
+function renderActiveFilterStatus() {
+    const active = getActiveFilter();
+    const banner = document.getElementById('activeFilterBanner');
+    
+    if (!isFilterActive()) {
+        banner.classList.add('hidden');
+        document.getElementById('queryBuilderStatus').textContent = '';
+        return;
+    }
+    
+    const counts = `${getDashboardTrades().length} of ${getScopedTrades().length} trades`;
+    document.getElementById('queryBuilderStatus').textContent = `(active: ${counts})`;
+    document.getElementById('activeFilterDescription').textContent =
+        `Filtered to ${counts}. ${active.name ? `${active.name}: ` : ''}${describeQuery(active.query)}`;
+    banner.classList.remove('hidden');
+}
+
+function initQueryBuilder() {
+    const active = getActiveFilter();
+    renderSavedFilters(active.name || '');
+    renderQueryBuilder(active.query);
+    renderActiveFilterStatus();
+}
+
+// Dashboard and Metrics
+function updateDashboard() {
+    const metrics = calculateMetrics();
+    const riskMetrics = calculateRiskMetrics();
+    const rMetrics = calculateRMetrics();
+    
+    // Update metric cards
+    document.getElementById('totalPL').textContent = formatCurrency(metrics.totalPL);
+    document.getElementById('totalPL').className = `metric-value ${metrics.totalPL >= 0 ? 'positive' : 'negative'}`;
+    
+    document.getElementById('winRate').textContent = `${metrics.winRate.toFixed(1)}%`;
+    document.getElementById('totalTrades').textContent = metrics.totalTrades;
     document.getElementById('avgWin').textContent = formatCurrency(metrics.avgWin);
     document.getElementById('avgLoss').textContent = formatCurrency(metrics.avgLoss);
     document.getElementById('profitFactor').textContent = metrics.profitFactor.toFixed(2);
-    document.getElementById('portfolioBalance').textContent = formatCurrency(portfolioSettings.currentBalance);
     
-    // Risk metrics
-    document.getElementById('maxDrawdown').textContent = `${riskMetrics.maxDrawdown.toFixed(2)}%`;
-    document.getElementById('sharpeRatio').textContent = riskMetrics.sharpeRatio.toFixed(2);
-    document.getElementById('currentStreak').textContent = riskMetrics.currentStreak;
-    document.getElementById('currentStreak').className = `metric-value ${riskMetrics.currentStreak >= 0 ? 'positive' : 'negative'}`;
-    document.getElementById('maxWins').textContent = riskMetrics.maxConsecutiveWins;
-    document.getElementById('maxLosses').textContent = riskMetrics.maxConsecutiveLosses;
+    // R-multiples
+    document.getElementById('expectancyR').textContent = formatR(rMetrics.expectancy);
+    document.getElementById('expectancyR').className = `metric-value ${rMetrics.expectancy === null ? '' : rMetrics.expectancy >= 0 ? 'positive' : 'negative'}`;
+    document.getElementById('rCoverage').textContent = `${rMetrics.tradesWithRisk} of ${rMetrics.closedTrades} closed trades have a risk plan`;
+    document.getElementById('avgWinR').textContent = formatR(rMetrics.avgWinR);
+    document.getElementById('avgLossR').textContent = formatR(rMetrics.avgLossR);
+    document.getElementById('portfolioBalance').textContent = formatCurrency(calculateBalance());
+    
+    // Risk metrics
+    document.getElementById('maxDrawdown').textContent = `${riskMetrics.maxDrawdown.toFixed(2)}%`;
+    document.getElementById('timeWeightedReturn').textContent = formatPercent(riskMetrics.timeWeightedReturn);
+    document.getElementById('timeWeightedReturn').className = `metric-value ${riskMetrics.timeWeightedReturn >= 0 ? 'positive' : 'negative'}`;
+    document.getElementById('moneyWeightedReturn').textContent = formatPercent(riskMetrics.moneyWeightedReturn.rate);
+    document.getElementById('moneyWeightedReturn').className = `metric-value ${riskMetrics.moneyWeightedReturn.rate >= 0 ? 'positive' : 'negative'}`;
+    document.getElementById('moneyWeightedBasis').textContent = riskMetrics.moneyWeightedReturn.annualized ? 'annualized' : 'cumulative';
+    document.getElementById('sharpeRatio').textContent = formatRatio(riskMetrics.sharpeRatio);
+    document.getElementById('sortinoRatio').textContent = formatRatio(riskMetrics.sortinoRatio);
+    document.getElementById('calmarRatio').textContent = formatRatio(riskMetrics.calmarRatio);
+    document.getElementById('volatility').textContent = riskMetrics.volatility === null ? '—' : formatPercent(riskMetrics.volatility);
+    document.getElementById('maxDrawdownDuration').textContent = `${riskMetrics.maxDrawdownDuration} days`;
+    document.getElementById('recoveryTime').textContent = riskMetrics.recoveryTime === null
+        ? (riskMetrics.maxDrawdown > 0 ? 'Not recovered' : '—')
+        : `${riskMetrics.recoveryTime} days`;
+    document.getElementById('currentStreak').textContent = riskMetrics.currentStreak;
+    document.getElementById('currentStreak').className = `metric-value ${riskMetrics.currentStreak >= 0 ? 'positive' : 'negative'}`;
+    document.getElementById('maxWins').textContent = riskMetrics.maxConsecutiveWins;
+    document.getElementById('maxLosses').textContent = riskMetrics.maxConsecutiveLosses;
+    
+    renderPeriodComparison({ ...metrics, ...rMetrics });
+    renderPortfolioGreeks();
+    renderJournalInsights();
+    refreshLimitStatus();
+    renderActiveFilterStatus();
+    renderContextBar();
+    
+    // Update charts
+    updateCharts();
+}
+
+// Only realized results count: win/loss statistics use fully closed positions,
+// total P&L also includes partial closes and fees on positions still open
+function calculateMetrics(trades = getDashboardTrades()) {
+    if (trades.length === 0) {
+        return {
+            totalPL: 0,
+            winRate: 0,
+            totalTrades: 0,
+            avgWin: 0,
+            avgLoss: 0,
+            profitFactor: 0
+        };
+    }
+    
+    const closedTrades = trades.filter(isTradeClosed);
+    const totalPL = trades.reduce((sum, trade) => sum + (parseFloat(trade.net_pl) || 0), 0);
+    const wins = closedTrades.filter(t => t.outcome === 'Win');
+    const losses = closedTrades.filter(t => t.outcome === 'Loss');
+    
+    const winRate = closedTrades.length > 0 ? (wins.length / closedTrades.length) * 100 : 0;
+    const avgWin = wins.length > 0 ? wins.reduce((sum, t) => sum + (parseFloat(t.net_pl) || 0), 0) / wins.length : 0;
+    const avgLoss = losses.length > 0 ? Math.abs(losses.reduce((sum, t) => sum + (parseFloat(t.net_pl) || 0), 0) / losses.length) : 0;
+    
+    const grossWins = wins.reduce((sum, t) => sum + (parseFloat(t.net_pl) || 0), 0);
+    const grossLosses = Math.abs(losses.reduce((sum, t) => sum + (parseFloat(t.net_pl) || 0), 0));
+    const profitFactor = grossLosses > 0 ? grossWins / grossLosses : grossWins > 0 ? 999 : 0;
+    
+    return {
+        totalPL,
+        winRate,
+        totalTrades: closedTrades.length,
+        avgWin,
+        avgLoss,
+        profitFactor
+    };
+}
+
+// Realized P&L as dated events: one per fill for positions managed through
+// fills, one per trade for round trips entered with their final P&L
+function getRealizedPLEvents(trades = getDashboardTrades()) {
+    const events = [];
+    
+    trades.forEach(trade => {
+        if (trade.fills && trade.fills.length > 0) {
+            trade.fills.forEach(fill => {
+                if (fill.realized_pl) {
+                    events.push({ date: fill.date, pl: fill.realized_pl, trade });
+                }
+            });
+        } else {
+            events.push({ date: trade.date, pl: parseFloat(trade.net_pl) || 0, trade });
+        }
+    });
+    
+    return events.sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+// Equity Curve & Returns
+// Deposits, withdrawals and adjustments are external cash flows: they move the
+// balance but are not performance. Dividends and interest are income and count
+// as returns like trade P&L.
+function toDateKey(date) {
+    const match = String(date).match(/^\d{4}-\d{2}-\d{2}/);
+    return match ? match[0] : new Date(date).toISOString().split('T')[0];
+}
+
+// Today on the user's own clock. Date keys are calendar dates, so today can't
+// come from toISOString(), which is already tomorrow in the evening west of UTC.
+function getTodayKey() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+function isExternalCashFlow(entry) {
+    return Boolean(LEDGER_ENTRY_TYPES[entry.type]?.external);
+}
+
+// One point per day with activity. Flows are assumed to arrive at the start of
+// the day, so each day's return is pl / (previous equity + flow).
+function buildEquityCurve(trades = getDashboardTrades(), entries = getDashboardLedgerEntries(), startingCapital = getDashboardStartingCapital()) {
+    const days = new Map();
+    const getDay = (date) => {
+        const key = toDateKey(date);
+        if (!days.has(key)) days.set(key, { date: key, pl: 0, flow: 0, entries: [] });
+        return days.get(key);
+    };
+    
+    getRealizedPLEvents(trades).forEach(event => {
+        getDay(event.date).pl += event.pl;
+    });
+    entries.forEach(entry => {
+        const day = getDay(entry.date);
+        const amount = getLedgerAmount(entry);
+        if (isExternalCashFlow(entry)) {
+            day.flow += amount;
+        } else {
+            day.pl += amount;
+        }
+        day.entries.push(entry);
+    });
+    
+    let equity = parseFloat(startingCapital) || 0;
+    let contributions = equity;
+    let index = 1;
+    
+    return Array.from(days.values())
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(day => {
+            const base = equity + day.flow;
+            const dailyReturn = base > 0 ? day.pl / base : 0;
+            
+            index *= 1 + dailyReturn;
+            equity = base + day.pl;
+            contributions += day.flow;
+            
+            return { ...day, equity, contributions, dailyReturn, index };
+        });
+}
+
+// Time-weighted return: chained daily returns, unaffected by the size or timing of flows
+function calculateTimeWeightedReturn(curve) {
+    return curve.length > 0 ? curve[curve.length - 1].index - 1 : 0;
+}
+
+// Money-weighted return: the internal rate of return of starting capital, every
+// external flow and the ending balance. Annualized once the history spans a year.
+function calculateMoneyWeightedReturn(curve, startingCapital = getDashboardStartingCapital()) {
+    if (curve.length === 0) return { rate: 0, annualized: false };
+    
+    const start = new Date(curve[0].date);
+    const end = new Date(curve[curve.length - 1].date);
+    const years = (end - start) / (365 * 24 * 60 * 60 * 1000);
+    if (years <= 0) {
+        return { rate: calculateTimeWeightedReturn(curve), annualized: false };
+    }
+    
+    const cashFlows = [{ years: 0, amount: -(parseFloat(startingCapital) || 0) }];
+    curve.forEach(day => {
+        if (day.flow !== 0) {
+            cashFlows.push({ years: (new Date(day.date) - start) / (365 * 24 * 60 * 60 * 1000), amount: -day.flow });
+        }
+    });
+    cashFlows.push({ years, amount: curve[curve.length - 1].equity });
+    
+    const npv = (rate) => cashFlows.reduce((sum, cashFlow) => sum + cashFlow.amount / Math.pow(1 + rate, cashFlow.years), 0);
+    
+    // Bisection: NPV falls as the rate rises for an investor who pays in first
+    let low = -0.9999;
+    let high = 1;
+    while (npv(high) > 0 && high < 1e6) high *= 2;
+    if (npv(low) * npv(high) > 0) return { rate: 0, annualized: false };
+    
+    for (let i = 0; i < 200 && high - low > 1e-10; i++) {
+        const mid = (low + high) / 2;
+        if (npv(mid) > 0) low = mid;
+        else high = mid;
+    }
+    const annualRate = (low + high) / 2;
+    
+    return years >= 1
+        ? { rate: annualRate, annualized: true }
+        : { rate: Math.pow(1 + annualRate, years) - 1, annualized: false };
+}
+
+// Drawdown is measured on the time-weighted index so a withdrawal never looks
+// like a loss and a deposit never hides one
+function calculateMaxDrawdown(curve) {
+    let peak = 1;
+    let maxDrawdown = 0;
+    
+    curve.forEach(day => {
+        peak = Math.max(peak, day.index);
+        maxDrawdown = Math.max(maxDrawdown, ((peak - day.index) / peak) * 100);
+    });
+    
+    return maxDrawdown;
+}
+
+// R-Multiples
+// 1R is the amount the trader planned to lose: the initial risk entered on the
+// trade, or failing that the distance from the entry price to the planned stop.
+// Stops and targets are net prices per unit, like entry_price.
+const R_BUCKETS = [
+    { label: '< -3R', max: -3 },
+    { label: '-3R to -2R', max: -2 },
+    { label: '-2R to -1R', max: -1 },
+    { label: '-1R to 0R', max: 0 },
+    { label: '0R to 1R', max: 1 },
+    { label: '1R to 2R', max: 2 },
+    { label: '2R to 3R', max: 3 },
+    { label: '≥ 3R', max: Infinity }
+];
+
+function getInitialRisk(trade) {
+    const initialRisk = parseOptionalNumber(trade.initial_risk);
+    if (initialRisk !== null && initialRisk > 0) return initialRisk;
+    
+    const entry = parseOptionalNumber(trade.avg_entry_price ?? trade.entry_price);
+    const stop = parseOptionalNumber(trade.planned_stop);
+    if (entry === null || stop === null) return null;
+    
+    const risk = Math.abs(entry - stop) * (trade.quantity || 1) * (trade.multiplier || 100);
+    return risk > 0 ? roundMoney(risk) : null;
+}
+
+// Planned reward-to-risk, from the stop and target distances to the entry
+function getPlannedRewardRisk(trade) {
+    const entry = parseOptionalNumber(trade.avg_entry_price ?? trade.entry_price);
+    const stop = parseOptionalNumber(trade.planned_stop);
+    const target = parseOptionalNumber(trade.planned_target);
+    if (entry === null || stop === null || target === null || entry === stop) return null;
+    
+    return Math.abs(target - entry) / Math.abs(entry - stop);
+}
+
+function calculateRMultiple(trade) {
+    const risk = getInitialRisk(trade);
+    if (!isTradeClosed(trade) || risk === null) return null;
+    return (parseFloat(trade.net_pl) || 0) / risk;
+}
+
+function calculateRMetrics(trades = getDashboardTrades()) {
+    const closedTrades = trades.filter(isTradeClosed);
+    const rMultiples = closedTrades.map(calculateRMultiple).filter(r => r !== null);
+    const wins = rMultiples.filter(r => r > 0);
+    const losses = rMultiples.filter(r => r < 0);
+    const average = (values) => values.length > 0 ? values.reduce((sum, r) => sum + r, 0) / values.length : null;
+    
+    return {
+        tradesWithRisk: rMultiples.length,
+        closedTrades: closedTrades.length,
+        expectancy: average(rMultiples),
+        avgWinR: average(wins),
+        avgLossR: average(losses),
+        distribution: R_BUCKETS.map((bucket, index) => ({
+            label: bucket.label,
+            count: rMultiples.filter(r => r < bucket.max && (index === 0 || r >= R_BUCKETS[index - 1].max)).length
+        }))
+    };
+}
+
+function formatR(value) {
+    return value === null ? '—' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}R`;
+}
+
+function updateRDistributionChart() {
+    const { distribution } = calculateRMetrics();
+    const ctx = document.getElementById('rDistributionChart').getContext('2d');
+    
+    if (chartInstances.rDistributionChart) {
+        chartInstances.rDistributionChart.destroy();
+    }
+    
+    chartInstances.rDistributionChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: distribution.map(bucket => bucket.label),
+            datasets: [{
+                label: 'Trades',
+                data: distribution.map(bucket => bucket.count),
+                backgroundColor: R_BUCKETS.map(bucket => bucket.max <= 0 ? '#ff4444' : '#00ff88'),
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            scales: {
+                x: {
+                    ticks: {
+                        color: '#a0a0a0'
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        color: '#a0a0a0',
+                        precision: 0
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    labels: {
+                        color: '#ffffff'
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Return-Based Risk Metrics
+// Built on daily returns of the time-weighted equity index: every weekday from
+// the first to the last activity counts, with a 0% return when nothing was
+// realized, so a busy day and a quiet week are weighted by time, not trade count.
+const TRADING_DAYS_PER_YEAR = 252;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getRiskFreeRate() {
+    return getAppSetting('riskFreeRate', 0);
+}
+
+function buildDailyReturns(curve = buildEquityCurve()) {
+    if (curve.length === 0) return [];
+    
+    const activity = new Map(curve.map(day => [day.date, day]));
+    const lastDate = curve[curve.length - 1].date;
+    const days = [];
+    let previous = { index: 1, equity: curve[0].equity - curve[0].pl };
+    
+    for (const date = new Date(`${curve[0].date}T00:00:00Z`); ; date.setUTCDate(date.getUTCDate() + 1)) {
+        const key = date.toISOString().split('T')[0];
+        if (key > lastDate) break;
+        
+        const day = activity.get(key);
+        const isWeekend = date.getUTCDay() === 0 || date.getUTCDay() === 6;
+        if (!day && isWeekend) continue;
+        
+        previous = day
+            ? { date: key, dailyReturn: day.dailyReturn, index: day.index, equity: day.equity }
+            : { date: key, dailyReturn: 0, index: previous.index, equity: previous.equity };
+        days.push(previous);
+    }
+    
+    return days;
+}
+
+function daysBetween(fromDate, toDate) {
+    return Math.round((new Date(toDate) - new Date(fromDate)) / DAY_MS);
+}
+
+// Each episode runs from a peak of the index to the day it is regained; the
+// last one stays open (recoveryDate null) if the index is still below its peak
+function getDrawdownEpisodes(days) {
+    const episodes = [];
+    let peak = { date: days[0]?.date, index: 1 };
+    let episode = null;
+    
+    days.forEach(day => {
+        if (day.index >= peak.index) {
+            if (episode) {
+                episode.recoveryDate = day.date;
+                episode.length = daysBetween(episode.peakDate, day.date);
+                episode.recoveryDays = daysBetween(episode.troughDate, day.date);
+                episodes.push(episode);
+                episode = null;
+                peak = { date: day.date, index: day.index };
+            } else if (day.index > peak.index) {
+                peak = { date: day.date, index: day.index };
+            }
+            return;
+        }
+        
+        const depth = (peak.index - day.index) / peak.index;
+        if (!episode) {
+            episode = { peakDate: peak.date, peakIndex: peak.index, troughDate: day.date, depth, recoveryDate: null };
+        } else if (depth > episode.depth) {
+            episode.troughDate = day.date;
+            episode.depth = depth;
+        }
+    });
+    
+    if (episode) {
+        const lastDate = days[days.length - 1].date;
+        episode.length = daysBetween(episode.peakDate, lastDate);
+        episode.recoveryDays = null;
+        episodes.push(episode);
+    }
+    
+    return episodes;
+}
+
+function calculateReturnMetrics(days = buildDailyReturns(), riskFreeRate = getRiskFreeRate()) {
+    const metrics = {
+        volatility: null,
+        sharpeRatio: null,
+        sortinoRatio: null,
+        calmarRatio: null,
+        annualizedReturn: null,
+        maxDrawdownDuration: 0,
+        recoveryTime: null
+    };
+    const returns = days.map(day => day.dailyReturn);
+    const episodes = getDrawdownEpisodes(days);
+    
+    if (episodes.length > 0) {
+        const deepest = episodes.reduce((worst, episode) => episode.depth > worst.depth ? episode : worst);
+        metrics.maxDrawdownDuration = Math.max(...episodes.map(episode => episode.length));
+        metrics.recoveryTime = deepest.recoveryDays;
+    }
+    if (returns.length < 2) return metrics;
+    
+    const dailyRiskFree = riskFreeRate / TRADING_DAYS_PER_YEAR;
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const stdDev = Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length - 1));
+    const downsideDev = Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(Math.min(0, r - dailyRiskFree), 2), 0) / returns.length);
+    const maxDrawdown = episodes.length > 0 ? Math.max(...episodes.map(episode => episode.depth)) : 0;
+    
+    metrics.volatility = stdDev * Math.sqrt(TRADING_DAYS_PER_YEAR);
+    metrics.annualizedReturn = Math.pow(days[days.length - 1].index, TRADING_DAYS_PER_YEAR / returns.length) - 1;
+    metrics.sharpeRatio = stdDev > 0 ? ((mean - dailyRiskFree) / stdDev) * Math.sqrt(TRADING_DAYS_PER_YEAR) : null;
+    metrics.sortinoRatio = downsideDev > 0 ? ((mean - dailyRiskFree) / downsideDev) * Math.sqrt(TRADING_DAYS_PER_YEAR) : null;
+    metrics.calmarRatio = maxDrawdown > 0 ? metrics.annualizedReturn / maxDrawdown : null;
+    
+    return metrics;
+}
+
+async function handleRiskFreeRateChange(e) {
+    const rate = parseFloat(e.target.value);
+    await saveAppSetting('riskFreeRate', Number.isFinite(rate) ? rate / 100 : 0);
+    updateDashboard();
+}
+
+function calculateRiskMetrics() {
+    const trades = getDashboardTrades();
+    if (trades.length === 0 && getDashboardLedgerEntries().length === 0) {
+        return {
+            maxDrawdown: 0,
+            timeWeightedReturn: 0,
+            moneyWeightedReturn: { rate: 0, annualized: false },
+            ...calculateReturnMetrics([]),
+            currentStreak: 0,
+            maxConsecutiveWins: 0,
+            maxConsecutiveLosses: 0
+        };
+    }
+    
+    // Sort trades by date for chronological analysis
+    const chronologicalTrades = trades.filter(isTradeClosed).sort((a, b) => new Date(a.date) - new Date(b.date));
+    
+    // Calculate drawdown and cash-flow-adjusted returns
+    const equityCurve = buildEquityCurve();
+    const maxDrawdown = calculateMaxDrawdown(equityCurve);
+    const timeWeightedReturn = calculateTimeWeightedReturn(equityCurve);
+    const moneyWeightedReturn = calculateMoneyWeightedReturn(equityCurve);
+    
+    // Sharpe, Sortino, Calmar, volatility and drawdown durations from daily returns
+    const returnMetrics = calculateReturnMetrics(buildDailyReturns(equityCurve));
+    
+    // Calculate streaks
+    let currentStreak = 0;
+    let maxConsecutiveWins = 0;
+    let maxConsecutiveLosses = 0;
+    let tempWinStreak = 0;
+    let tempLossStreak = 0;
+    
+    chronologicalTrades.forEach(trade => {
+        if (trade.outcome === 'Win') {
+            tempWinStreak++;
+            tempLossStreak = 0;
+            maxConsecutiveWins = Math.max(maxConsecutiveWins, tempWinStreak);
+        } else if (trade.outcome === 'Loss') {
+            tempLossStreak++;
+            tempWinStreak = 0;
+            maxConsecutiveLosses = Math.max(maxConsecutiveLosses, tempLossStreak);
+        }
+    });
+    
+    // Current streak (most recent trades)
+    if (chronologicalTrades.length > 0) {
+        const lastTrade = chronologicalTrades[chronologicalTrades.length - 1];
+        if (lastTrade.outcome === 'Win') {
+            currentStreak = tempWinStreak;
+        } else if (lastTrade.outcome === 'Loss') {
+            currentStreak = -tempLossStreak;
+        }
+    }
+    
+    return {
+        maxDrawdown,
+        timeWeightedReturn,
+        moneyWeightedReturn,
+        ...returnMetrics,
+        currentStreak,
+        maxConsecutiveWins,
+        maxConsecutiveLosses
+    };
+}
+
+// Days of the week come from the entry date; hours from the entry time on the
+// clock of the trade's own zone, so trades without one are left out of the hours
+function calculateTimeBasedMetrics() {
+    const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const hourData = Array(24).fill(null).map(() => ({ wins: 0, total: 0 }));
+    const dayData = Array(7).fill(null).map(() => ({ wins: 0, total: 0, pl: 0 }));
+    const closedTrades = getDashboardTrades().filter(isTradeClosed);
+    let timedTrades = 0;
+    
+    closedTrades.forEach(trade => {
+        const hour = getEntryHour(trade);
+        const dayOfWeek = new Date(`${trade.date}T00:00:00Z`).getUTCDay();
+        const pl = parseFloat(trade.net_pl) || 0;
+        
+        // Hour data
+        if (hour !== null) {
+            timedTrades++;
+            hourData[hour].total++;
+            if (trade.outcome === 'Win') hourData[hour].wins++;
+        }
+        
+        // Day data
+        if (isNaN(dayOfWeek)) return;
+        dayData[dayOfWeek].total++;
+        dayData[dayOfWeek].pl += pl;
+        if (trade.outcome === 'Win') dayData[dayOfWeek].wins++;
+    });
+    
+    return { hourData, dayData, dayNames, timedTrades, closedTrades: closedTrades.length };
+}
+
+// Holding Period
+// Time from entry to exit of closed trades that have both timestamps
+const HOUR_MS = 60 * 60 * 1000;
+const HOLDING_BUCKETS = [
+    { label: '< 1 hour', max: HOUR_MS },
+    { label: '1–4 hours', max: 4 * HOUR_MS },
+    { label: '4 hours – 1 day', max: DAY_MS },
+    { label: '1–3 days', max: 3 * DAY_MS },
+    { label: '3–7 days', max: 7 * DAY_MS },
+    { label: '1–4 weeks', max: 28 * DAY_MS },
+    { label: '4+ weeks', max: Infinity }
+];
+
+function calculateHoldingMetrics(trades = getDashboardTrades()) {
+    const closedTrades = trades.filter(isTradeClosed);
+    const held = closedTrades
+        .map(trade => ({ trade, duration: getHoldingPeriod(trade), pl: parseFloat(trade.net_pl) || 0 }))
+        .filter(item => item.duration !== null);
+    const durations = held.map(item => item.duration).sort((a, b) => a - b);
+    const average = values => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    const middle = Math.floor(durations.length / 2);
+    
+    const buckets = HOLDING_BUCKETS.map(bucket => ({ label: bucket.label, count: 0, wins: 0, pl: 0 }));
+    held.forEach(item => {
+        const bucket = buckets[HOLDING_BUCKETS.findIndex(b => item.duration < b.max)];
+        bucket.count++;
+        bucket.pl += item.pl;
+        if (item.trade.outcome === 'Win') bucket.wins++;
+    });
+    
+    return {
+        count: held.length,
+        untimed: closedTrades.length - held.length,
+        average: average(durations),
+        median: durations.length === 0 ? null
+            : durations.length % 2 ? durations[middle] : (durations[middle - 1] + durations[middle]) / 2,
+        shortest: durations.length > 0 ? durations[0] : null,
+        longest: durations.length > 0 ? durations[durations.length - 1] : null,
+        winnersAverage: average(held.filter(item => item.trade.outcome === 'Win').map(item => item.duration)),
+        losersAverage: average(held.filter(item => item.trade.outcome === 'Loss').map(item => item.duration)),
+        buckets
+    };
+}
+
+function updateHoldingPeriodAnalysis() {
+    const metrics = calculateHoldingMetrics();
+    const stats = [
+        ['Average', metrics.average],
+        ['Median', metrics.median],
+        ['Shortest', metrics.shortest],
+        ['Longest', metrics.longest],
+        ['Average Winner', metrics.winnersAverage],
+        ['Average Loser', metrics.losersAverage]
+    ];
+    
+    document.getElementById('holdingPeriodStats').innerHTML = stats.map(([label, value]) => `
+        <div class="detail-item">
+            <div class="detail-label">${label}</div>
+            <div class="detail-value">${formatDuration(value)}</div>
+        </div>
+    `).join('');
+    document.getElementById('holdingPeriodNote').textContent = metrics.untimed > 0
+        ? `${metrics.untimed} closed trade${metrics.untimed === 1 ? '' : 's'} without entry and exit times left out.`
+        : '';
+    
+    const ctx = document.getElementById('holdingPeriodChart').getContext('2d');
+    
+    if (chartInstances.holdingPeriodChart) {
+        chartInstances.holdingPeriodChart.destroy();
+    }
+    
+    const plData = metrics.buckets.map(bucket => roundMoney(bucket.pl));
+    
+    chartInstances.holdingPeriodChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: metrics.buckets.map(bucket => bucket.label),
+            datasets: [{
+                label: 'P&L by Holding Period',
+                data: plData,
+                backgroundColor: plData.map(value => value >= 0 ? '#00ff88' : '#ff4444'),
+                borderColor: plData.map(value => value >= 0 ? '#00ff88' : '#ff4444'),
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            scales: {
+                x: {
+                    ticks: {
+                        color: '#a0a0a0'
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        color: '#a0a0a0',
+                        callback: function(value) {
+                            return '$' + value.toFixed(2);
+                        }
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    labels: {
+                        color: '#ffffff'
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        afterLabel: function(context) {
+                            const bucket = metrics.buckets[context.dataIndex];
+                            return bucket.count > 0
+                                ? `${bucket.count} trade${bucket.count === 1 ? '' : 's'}, ${((bucket.wins / bucket.count) * 100).toFixed(1)}% win rate`
+                                : 'No trades';
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Chart Management
+function updateCharts() {
+    updatePLChart();
+    updatePortfolioChart();
+    updateStrategyChart();
+    updateTickerChart();
+    updateMonthlyChart();
+    updateRDistributionChart();
+    renderPLCalendar();
+}
+
+function updatePLChart() {
+    const ctx = document.getElementById('plChart').getContext('2d');
+    
+    if (chartInstances.plChart) {
+        chartInstances.plChart.destroy();
+    }
+    
+    let cumulativePL = 0;
+    
+    const data = getRealizedPLEvents().map(event => {
+        cumulativePL += event.pl;
+        return {
+            x: event.date,
+            y: cumulativePL
+        };
+    });
+    
+    chartInstances.plChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            datasets: [{
+                label: 'Cumulative P&L',
+                data: data,
+                borderColor: '#4dabf7',
+                backgroundColor: 'rgba(77, 171, 247, 0.1)',
+                fill: true,
+                tension: 0.4
+            }]
+        },
+        options: {
+            responsive: true,
+            scales: {
+                x: {
+                    type: 'time',
+                    time: {
+                        unit: 'day'
+                    },
+                    ticks: {
+                        color: '#a0a0a0'
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        color: '#a0a0a0',
+                        callback: function(value) {
+                            return '$' + value.toFixed(2);
+                        }
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    labels: {
+                        color: '#ffffff'
+                    }
+                }
+            }
+        }
+    });
+}
+
+function updatePortfolioChart() {
+    const ctx = document.getElementById('portfolioChart').getContext('2d');
+    
+    if (chartInstances.portfolioChart) {
+        chartInstances.portfolioChart.destroy();
+    }
+    
+    // The balance is the account's real one whatever filter is applied, shown
+    // over the context's date range
+    const range = getContextRange();
+    const fullCurve = buildEquityCurve(getScopedTrades(), getScopedLedgerEntries(), getScopedStartingCapital());
+    const curve = fullCurve.filter(day => isInRange(day.date, range));
+    const opening = range?.from ? fullCurve.filter(day => day.date < range.from).pop() : null;
+    const startingCapital = opening ? opening.equity : getScopedStartingCapital();
+    const startingContributions = opening ? opening.contributions : getScopedStartingCapital();
+    const firstDate = range?.from || curve[0]?.date || getTodayKey();
+    
+    const portfolioData = [{ x: firstDate, y: startingCapital }, ...curve.map(day => ({ x: day.date, y: day.equity }))];
+    const contributionData = [{ x: firstDate, y: startingContributions }, ...curve.map(day => ({ x: day.date, y: day.contributions }))];
+    
+    // Deposits, withdrawals and income are marked on the balance line
+    const cashFlowData = curve.filter(day => day.entries.length > 0).map(day => ({
+        x: day.date,
+        y: day.equity,
+        entries: day.entries
+    }));
+    
+    chartInstances.portfolioChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            datasets: [
+                {
+                    label: 'Net Contributions',
+                    data: contributionData,
+                    borderColor: '#ff4444',
+                    backgroundColor: 'rgba(255, 68, 68, 0.1)',
+                    fill: false,
+                    stepped: true,
+                    borderDash: [5, 5]
+                },
+                {
+                    label: 'Portfolio Balance',
+                    data: portfolioData,
+                    borderColor: '#00ff88',
+                    backgroundColor: 'rgba(0, 255, 136, 0.1)',
+                    fill: true,
+                    tension: 0.4
+                },
+                {
+                    type: 'scatter',
+                    label: 'Cash Flows',
+                    data: cashFlowData,
+                    borderColor: '#ffc107',
+                    backgroundColor: '#ffc107',
+                    pointStyle: 'triangle',
+                    pointRadius: 7,
+                    pointHoverRadius: 9
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            scales: {
+                x: {
+                    type: 'time',
+                    time: {
+                        unit: 'day'
+                    },
+                    ticks: {
+                        color: '#a0a0a0'
+                    }
+                },
+                y: {
+                    ticks: {
+                        color: '#a0a0a0',
+                        callback: function(value) {
+                            return '$' + value.toFixed(2);
+                        }
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    labels: {
+                        color: '#ffffff'
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            if (!context.raw.entries) {
+                                return `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`;
+                            }
+                            return context.raw.entries.map(entry =>
+                                `${LEDGER_ENTRY_TYPES[entry.type]?.label || entry.type}: ${formatCurrency(getLedgerAmount(entry))}`
+                            );
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+function updateStrategyChart() {
+    const ctx = document.getElementById('strategyChart').getContext('2d');
+    
+    if (chartInstances.strategyChart) {
+        chartInstances.strategyChart.destroy();
+    }
+    
+    const strategyData = {};
+    getDashboardTrades().forEach(trade => {
+        if (!strategyData[trade.strategy]) {
+            strategyData[trade.strategy] = 0;
+        }
+        strategyData[trade.strategy] += parseFloat(trade.net_pl) || 0;
+    });
+    
+    const labels = Object.keys(strategyData);
+    const data = Object.values(strategyData);
+    const colors = ['#1FB8CD', '#FFC185', '#B4413C', '#ECEBD5', '#5D878F', '#DB4545', '#D2BA4C', '#964325', '#944454', '#13343B'];
+    
+    chartInstances.strategyChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: labels,
+            datasets: [{
+                label: 'P&L by Strategy',
+                data: data,
+                backgroundColor: colors.slice(0, labels.length),
+                borderColor: colors.slice(0, labels.length),
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            scales: {
+                x: {
+                    ticks: {
+                        color: '#a0a0a0'
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        color: '#a0a0a0',
+                        callback: function(value) {
+                            return '$' + value.toFixed(2);
+                        }
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    labels: {
+                        color: '#ffffff'
+                    }
+                }
+            }
+        }
+    });
+}
+
+function updateTickerChart() {
+    const ctx = document.getElementById('tickerChart').getContext('2d');
+    
+    if (chartInstances.tickerChart) {
+        chartInstances.tickerChart.destroy();
+    }
+    
+    const tickerData = {};
+    getDashboardTrades().forEach(trade => {
+        if (!tickerData[trade.ticker]) {
+            tickerData[trade.ticker] = 0;
+        }
+        tickerData[trade.ticker] += parseFloat(trade.net_pl) || 0;
+    });
+    
+    // Get top 10 tickers by absolute P&L
+    const sortedTickers = Object.entries(tickerData)
+        .sort(([,a], [,b]) => Math.abs(b) - Math.abs(a))
+        .slice(0, 10);
+    
+    const labels = sortedTickers.map(([ticker]) => ticker);
+    const data = sortedTickers.map(([,pl]) => pl);
+    const colors = ['#1FB8CD', '#FFC185', '#B4413C', '#ECEBD5', '#5D878F', '#DB4545', '#D2BA4C', '#964325', '#944454', '#13343B'];
+    
+    chartInstances.tickerChart = new Chart(ctx, {
+        type: 'pie',
+        data: {
+            labels: labels,
+            datasets: [{
+                label: 'P&L by Ticker',
+                data: data.map(Math.abs), // Use absolute values for pie chart
+                backgroundColor: colors.slice(0, labels.length),
+                borderColor: '#1a1a2e',
+                borderWidth: 2
+            }]
+        },
+        options: {
+            responsive: true,
+            plugins: {
+                legend: {
+                    labels: {
+                        color: '#ffffff'
+                    }
+                }
+            }
+        }
+    });
+}
+
+function updateMonthlyChart() {
+    const ctx = document.getElementById('monthlyChart').getContext('2d');
+    
+    if (chartInstances.monthlyChart) {
+        chartInstances.monthlyChart.destroy();
+    }
+    
+    const monthlyData = {};
+    getRealizedPLEvents().forEach(event => {
+        const date = new Date(event.date);
+        const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+        if (!monthlyData[monthKey]) {
+            monthlyData[monthKey] = 0;
+        }
+        monthlyData[monthKey] += event.pl;
+    });
+    
+    const sortedMonths = Object.keys(monthlyData).sort();
+    const labels = sortedMonths.map(month => {
+        const [year, monthNum] = month.split('-');
+        const date = new Date(year, monthNum - 1);
+        return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    });
+    const data = sortedMonths.map(month => monthlyData[month]);
+    
+    chartInstances.monthlyChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: labels,
+            datasets: [{
+                label: 'Monthly P&L',
+                data: data,
+                backgroundColor: data.map(value => value >= 0 ? '#00ff88' : '#ff4444'),
+                borderColor: data.map(value => value >= 0 ? '#00ff88' : '#ff4444'),
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            scales: {
+                x: {
+                    ticks: {
+                        color: '#a0a0a0'
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        color: '#a0a0a0',
+                        callback: function(value) {
+                            return '$' + value.toFixed(2);
+                        }
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    labels: {
+                        color: '#ffffff'
+                    }
+                }
+            }
+        }
+    });
+}
+
+// P&L Calendar
+// One cell per weekday, coloured by the realized P&L of that day. Weekend
+// activity is folded into the Friday before it, so each cell covers a date span.
+const CALENDAR_WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'];
+let historyDayFilter = null;
+
+function buildCalendarDays(events = getRealizedPLEvents()) {
+    const days = new Map();
     
-    // Update charts
-    updateCharts();
+    events.forEach(event => {
+        const key = toDateKey(event.date);
+        if (!days.has(key)) days.set(key, { pl: 0, trades: new Set() });
+        days.get(key).pl += event.pl;
+        days.get(key).trades.add(event.trade);
+    });
+    return days;
 }
 
-function calculateMetrics() {
-    if (allTrades.length === 0) {
-        return {
-            totalPL: 0,
-            winRate: 0,
-            totalTrades: 0,
-            avgWin: 0,
-            avgLoss: 0,
-            profitFactor: 0
-        };
-    }
+// The last 52 weeks unless the context sets a range
+function getCalendarRange() {
+    const range = getContextRange();
+    const to = range?.to || getTodayKey();
+    return { from: range?.from || shiftDateKey(to, -364), to };
+}
+
+function buildCalendarWeeks(days, range) {
+    const start = getWeekStart(range.from);
+    const weeks = [];
     
-    const totalPL = allTrades.reduce((sum, trade) => sum + (parseFloat(trade.net_pl) || 0), 0);
-    const wins = allTrades.filter(t => t.outcome === 'Win');
-    const losses = allTrades.filter(t => t.outcome === 'Loss');
+    for (let monday = start; monday <= range.to; monday = shiftDateKey(monday, 7)) {
+        weeks.push(CALENDAR_WEEKDAYS.map((name, index) => {
+            const from = shiftDateKey(monday, index);
+            const to = index === CALENDAR_WEEKDAYS.length - 1 ? shiftDateKey(monday, 6) : from;
+            const cell = { from, to, pl: 0, trades: new Set(), inRange: from >= range.from && from <= range.to };
+            
+            for (let date = from; date <= to; date = shiftDateKey(date, 1)) {
+                const day = days.get(date);
+                if (!day) continue;
+                cell.pl += day.pl;
+                day.trades.forEach(trade => cell.trades.add(trade));
+            }
+            return cell;
+        }));
+    }
+    return weeks;
+}
+
+function getCalendarCellColor(pl, maxAbs) {
+    if (maxAbs === 0 || pl === 0) return 'rgba(160, 160, 160, 0.35)';
+    const alpha = 0.25 + 0.75 * Math.min(Math.abs(pl) / maxAbs, 1);
+    return pl > 0 ? `rgba(0, 255, 136, ${alpha.toFixed(2)})` : `rgba(255, 68, 68, ${alpha.toFixed(2)})`;
+}
+
+function describeCalendarCell(cell) {
+    const dates = cell.from === cell.to ? formatDate(cell.from) : `${formatDate(cell.from)} – ${formatDate(cell.to)}`;
+    if (cell.trades.size === 0) return `${dates}: no realized trades`;
+    return `${dates}: ${cell.trades.size} trade${cell.trades.size === 1 ? '' : 's'}, ${formatCurrency(cell.pl)}`;
+}
+
+function renderPLCalendar() {
+    const range = getCalendarRange();
+    const weeks = buildCalendarWeeks(buildCalendarDays(), range);
+    const activeCells = weeks.flat().filter(cell => cell.inRange && cell.trades.size > 0);
+    const maxAbs = Math.max(0, ...activeCells.map(cell => Math.abs(cell.pl)));
     
-    const winRate = allTrades.length > 0 ? (wins.length / allTrades.length) * 100 : 0;
-    const avgWin = wins.length > 0 ? wins.reduce((sum, t) => sum + (parseFloat(t.net_pl) || 0), 0) / wins.length : 0;
-    const avgLoss = losses.length > 0 ? Math.abs(losses.reduce((sum, t) => sum + (parseFloat(t.net_pl) || 0), 0) / losses.length) : 0;
+    const monthLabels = weeks.map((week, index) => {
+        const month = week[0].from.slice(0, 7);
+        const previous = index > 0 ? weeks[index - 1][0].from.slice(0, 7) : null;
+        return month !== previous ? new Date(`${month}-15`).toLocaleDateString('en-US', { month: 'short' }) : '';
+    });
     
-    const grossWins = wins.reduce((sum, t) => sum + (parseFloat(t.net_pl) || 0), 0);
-    const grossLosses = Math.abs(losses.reduce((sum, t) => sum + (parseFloat(t.net_pl) || 0), 0));
-    const profitFactor = grossLosses > 0 ? grossWins / grossLosses : grossWins > 0 ? 999 : 0;
+    document.getElementById('plCalendar').innerHTML = `
+        <div class="calendar-labels">
+            <span></span>
+            ${CALENDAR_WEEKDAYS.map(name => `<span>${name}</span>`).join('')}
+        </div>
+        ${weeks.map((week, index) => `
+            <div class="calendar-week">
+                <span class="calendar-month">${monthLabels[index]}</span>
+                ${week.map(cell => cell.inRange ? `
+                    <button type="button" class="calendar-cell${cell.trades.size > 0 ? ' calendar-cell--active' : ''}"
+                            data-from="${cell.from}" data-to="${cell.to}" title="${escapeHtml(describeCalendarCell(cell))}"
+                            ${cell.trades.size > 0 ? `style="background: ${getCalendarCellColor(cell.pl, maxAbs)}"` : ''}></button>
+                ` : '<span class="calendar-cell calendar-cell--outside"></span>').join('')}
+            </div>
+        `).join('')}
+    `;
     
-    return {
-        totalPL,
-        winRate,
-        totalTrades: allTrades.length,
-        avgWin,
-        avgLoss,
-        profitFactor
+    const total = activeCells.reduce((sum, cell) => sum + cell.pl, 0);
+    const greenDays = activeCells.filter(cell => cell.pl > 0).length;
+    document.getElementById('plCalendarInfo').textContent = activeCells.length === 0
+        ? 'No realized P&L in this period.'
+        : `${activeCells.length} trading days, ${greenDays} green, total ${formatCurrency(total)}. Hover a day for details, click to see its trades.`;
+}
+
+function handleCalendarHover(e) {
+    const cell = e.target.closest('.calendar-cell[data-from]');
+    if (!cell) return;
+    document.getElementById('plCalendarInfo').textContent = cell.title;
+}
+
+function handleCalendarClick(e) {
+    const cell = e.target.closest('.calendar-cell[data-from]');
+    if (!cell) return;
+    showTradesForDays(cell.dataset.from, cell.dataset.to);
+}
+
+// A trade belongs to a day when it was entered then or realized P&L then
+function tradeTouchesDays(trade, days) {
+    const inDays = (date) => {
+        const key = toDateKey(date);
+        return key >= days.from && key <= days.to;
     };
+    return inDays(trade.date) || (trade.fills || []).some(fill => fill.realized_pl && inDays(fill.date));
 }
 
-function calculateRiskMetrics() {
-    if (allTrades.length === 0) {
-        return {
-            maxDrawdown: 0,
-            sharpeRatio: 0,
-            currentStreak: 0,
-            maxConsecutiveWins: 0,
-            maxConsecutiveLosses: 0
-        };
+function showTradesForDays(from, to) {
+    historyDayFilter = { from, to };
+    switchTab('trade-history');
+    switchHistoryView('all');
+    renderDayFilterStatus();
+    displayTrades();
+}
+
+function clearDayFilter() {
+    historyDayFilter = null;
+    renderDayFilterStatus();
+    displayTrades();
+}
+
+function renderDayFilterStatus() {
+    const banner = document.getElementById('dayFilterBanner');
+    banner.classList.toggle('hidden', !historyDayFilter);
+    if (historyDayFilter) {
+        document.getElementById('dayFilterDescription').textContent = historyDayFilter.from === historyDayFilter.to
+            ? `Showing trades for ${formatDate(historyDayFilter.from)}`
+            : `Showing trades for ${formatDate(historyDayFilter.from)} – ${formatDate(historyDayFilter.to)}`;
+    }
+}
+
+// Daily Journal
+// One entry per calendar day, kept apart from the trades: the plan before the
+// open, how the market behaved, 1-5 ratings of mood, sleep and focus, whether
+// the rules were followed and a recap after the close. A day's trades are the
+// ones entered or realized on it, so entries never store trade ids and stay
+// linked when trades are edited, imported or deleted.
+const JOURNAL_RATINGS = [
+    { key: 'mood', label: 'Mood' },
+    { key: 'sleep', label: 'Sleep' },
+    { key: 'focus', label: 'Focus' }
+];
+const JOURNAL_RULES_OPTIONS = { yes: 'Yes', partly: 'Partly', no: 'No' };
+// Ratings below this count as low days in the insights
+const JOURNAL_LOW_RATING = 3;
+const JOURNAL_RECENT_ENTRIES = 30;
+
+let journalEntries = [];
+
+async function loadJournal() {
+    try {
+        journalEntries = await db.getAll('journal');
+    } catch (error) {
+        console.error('Failed to load journal:', error);
+        journalEntries = [];
     }
+}
+
+function getJournalEntry(date) {
+    return journalEntries.find(entry => entry.date === date) || null;
+}
+
+async function saveJournalEntry(entry) {
+    const existing = getJournalEntry(entry.date);
+    const now = new Date().toISOString();
+    const record = { ...entry, created_at: existing?.created_at || now, updated_at: now };
     
-    // Sort trades by date for chronological analysis
-    const chronologicalTrades = [...allTrades].sort((a, b) => new Date(a.date) - new Date(b.date));
+    await db.put('journal', record);
+    journalEntries = [...journalEntries.filter(e => e.date !== entry.date), record];
+    return record;
+}
+
+async function deleteJournalEntry(date) {
+    await db.delete('journal', date);
+    journalEntries = journalEntries.filter(entry => entry.date !== date);
+}
+
+// Realized P&L per day, plus the days trades were entered on with nothing realized
+function buildDailyResults(trades = getDashboardTrades()) {
+    const days = buildCalendarDays(getRealizedPLEvents(trades));
+    trades.forEach(trade => {
+        if (!trade.date) return;
+        if (!days.has(trade.date)) days.set(trade.date, { pl: 0, trades: new Set() });
+        days.get(trade.date).trades.add(trade);
+    });
+    return days;
+}
+
+// Splits the journaled trading days in range by each input and compares their
+// daily P&L. Days with an entry but no trade taken or realized are left out.
+function calculateJournalInsights(trades = getDashboardTrades(), range = getContextRange()) {
+    const days = buildDailyResults(trades);
+    const journaled = journalEntries
+        .filter(entry => isInRange(entry.date, range) && days.has(entry.date))
+        .map(entry => ({ entry, pl: days.get(entry.date).pl }));
     
-    // Calculate drawdown
-    let runningBalance = portfolioSettings.startingCapital;
-    let peak = runningBalance;
-    let maxDrawdown = 0;
+    const summarize = (label, items) => {
+        const totalPL = items.reduce((sum, item) => sum + item.pl, 0);
+        return {
+            label,
+            days: items.length,
+            totalPL: roundMoney(totalPL),
+            averagePL: items.length > 0 ? roundMoney(totalPL / items.length) : null,
+            winRate: items.length > 0 ? (items.filter(item => item.pl > 0).length / items.length) * 100 : null
+        };
+    };
     
-    chronologicalTrades.forEach(trade => {
-        runningBalance += parseFloat(trade.net_pl) || 0;
-        if (runningBalance > peak) {
-            peak = runningBalance;
-        }
-        const drawdown = ((peak - runningBalance) / peak) * 100;
-        maxDrawdown = Math.max(maxDrawdown, drawdown);
+    const rows = [summarize('All journaled days', journaled)];
+    JOURNAL_RATINGS.forEach(rating => {
+        const rated = journaled.filter(item => Number.isFinite(item.entry[rating.key]));
+        rows.push(summarize(`${rating.label} below ${JOURNAL_LOW_RATING}`, rated.filter(item => item.entry[rating.key] < JOURNAL_LOW_RATING)));
+        rows.push(summarize(`${rating.label} ${JOURNAL_LOW_RATING} or higher`, rated.filter(item => item.entry[rating.key] >= JOURNAL_LOW_RATING)));
     });
+    rows.push(summarize('Rules followed', journaled.filter(item => item.entry.rules_followed === 'yes')));
+    rows.push(summarize('Rules partly or not followed', journaled.filter(item => ['partly', 'no'].includes(item.entry.rules_followed))));
     
-    // Calculate Sharpe Ratio (simplified)
-    const returns = chronologicalTrades.map(t => parseFloat(t.net_pl) || 0);
-    const avgReturn = returns.reduce((sum, r) => sum + r, 0) / returns.length;
-    const stdDev = Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(r - avgReturn, 2), 0) / returns.length);
-    const sharpeRatio = stdDev > 0 ? (avgReturn / stdDev) * Math.sqrt(252) : 0; // Annualized
+    return { rows, journaledDays: journaled.length };
+}
+
+function renderJournalInsights() {
+    const insights = calculateJournalInsights();
     
-    // Calculate streaks
-    let currentStreak = 0;
-    let maxConsecutiveWins = 0;
-    let maxConsecutiveLosses = 0;
-    let tempWinStreak = 0;
-    let tempLossStreak = 0;
+    document.getElementById('journalInsightsNote').textContent = insights.journaledDays === 0
+        ? 'No journal entries on trading days in this range yet. Write daily entries in the Journal tab to see how your mood, sleep, focus and rules line up with P&L.'
+        : `${insights.journaledDays} journaled trading day${insights.journaledDays === 1 ? '' : 's'} in range.`;
+    document.getElementById('journalInsightsBody').innerHTML = insights.journaledDays === 0 ? '' : insights.rows.map(row => `
+        <tr>
+            <td>${row.label}</td>
+            <td>${row.days}</td>
+            <td class="${row.totalPL >= 0 ? 'pl-positive' : 'pl-negative'}">${formatCurrency(row.totalPL)}</td>
+            <td class="${row.averagePL === null ? '' : row.averagePL >= 0 ? 'pl-positive' : 'pl-negative'}">${row.averagePL === null ? '—' : formatCurrency(row.averagePL)}</td>
+            <td>${row.winRate === null ? '—' : `${row.winRate.toFixed(1)}%`}</td>
+        </tr>
+    `).join('');
+}
+
+// Journal Tab
+function getJournalDate() {
+    return document.getElementById('journalDate').value || getTodayKey();
+}
+
+function renderJournal() {
+    loadJournalDay(getJournalDate());
+    renderJournalEntries();
+}
+
+function loadJournalDay(date) {
+    const entry = getJournalEntry(date) || {};
     
-    chronologicalTrades.forEach(trade => {
-        if (trade.outcome === 'Win') {
-            tempWinStreak++;
-            tempLossStreak = 0;
-            maxConsecutiveWins = Math.max(maxConsecutiveWins, tempWinStreak);
-        } else if (trade.outcome === 'Loss') {
-            tempLossStreak++;
-            tempWinStreak = 0;
-            maxConsecutiveLosses = Math.max(maxConsecutiveLosses, tempLossStreak);
-        }
+    document.getElementById('journalDate').value = date;
+    document.getElementById('journalPlan').value = entry.pre_market_plan || '';
+    document.getElementById('journalConditions').value = entry.market_conditions || '';
+    JOURNAL_RATINGS.forEach(rating => {
+        document.getElementById(`journal-${rating.key}`).value = entry[rating.key] ?? '';
+    });
+    document.getElementById('journalRules').value = entry.rules_followed || '';
+    document.getElementById('journalRecap').value = entry.eod_recap || '';
+    document.getElementById('deleteJournalBtn').disabled = !getJournalEntry(date);
+    document.querySelectorAll('#journalForm .markdown-preview').forEach(preview => preview.classList.add('hidden'));
+    document.querySelectorAll('#journalForm [data-markdown-preview]').forEach(button => {
+        button.textContent = 'Preview';
     });
     
-    // Current streak (most recent trades)
-    if (chronologicalTrades.length > 0) {
-        const lastTrade = chronologicalTrades[chronologicalTrades.length - 1];
-        if (lastTrade.outcome === 'Win') {
-            currentStreak = tempWinStreak;
-        } else if (lastTrade.outcome === 'Loss') {
-            currentStreak = -tempLossStreak;
-        }
-    }
+    renderJournalDayTrades(date);
+}
+
+// Trades of the active account entered or realized on the day
+function renderJournalDayTrades(date) {
+    const trades = getScopedTrades().filter(trade => tradeTouchesDays(trade, { from: date, to: date }));
+    const day = buildDailyResults(getScopedTrades()).get(date);
     
-    return {
-        maxDrawdown,
-        sharpeRatio,
-        currentStreak,
-        maxConsecutiveWins,
-        maxConsecutiveLosses
-    };
+    document.getElementById('journalDayTitle').textContent = `Trades on ${formatDate(date)}`;
+    document.getElementById('journalDaySummary').textContent = trades.length === 0
+        ? 'No trades taken or closed on this day.'
+        : `${trades.length} trade${trades.length === 1 ? '' : 's'}, realized P&L ${formatCurrency(day ? day.pl : 0)}`;
+    document.getElementById('journalShowTradesBtn').disabled = trades.length === 0;
+    document.getElementById('journalTradesBody').innerHTML = trades.map(trade => `
+        <tr>
+            <td>${escapeHtml(trade.ticker)}</td>
+            <td>${escapeHtml(trade.strategy)}</td>
+            <td>${isTradeClosed(trade) ? 'Closed' : 'Open'}</td>
+            <td class="${trade.net_pl >= 0 ? 'pl-positive' : 'pl-negative'}">${formatCurrency(trade.net_pl)}</td>
+            <td><button type="button" class="btn btn--sm btn--secondary" onclick="openViewModal(${trade.id})">View</button></td>
+        </tr>
+    `).join('');
 }
 
-function calculateTimeBasedMetrics() {
-    const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    const hourData = Array(24).fill(null).map(() => ({ wins: 0, total: 0 }));
-    const dayData = Array(7).fill(null).map(() => ({ wins: 0, total: 0, pl: 0 }));
+function renderJournalEntries() {
+    const days = buildDailyResults(getScopedTrades());
+    const entries = [...journalEntries].sort((a, b) => b.date.localeCompare(a.date)).slice(0, JOURNAL_RECENT_ENTRIES);
     
-    allTrades.forEach(trade => {
-        const date = new Date(trade.date);
-        const hour = date.getHours();
-        const dayOfWeek = date.getDay();
-        const pl = parseFloat(trade.net_pl) || 0;
-        
-        // Hour data
-        hourData[hour].total++;
-        if (trade.outcome === 'Win') hourData[hour].wins++;
+    document.getElementById('journalEntriesBody').innerHTML = entries.length === 0
+        ? '<tr><td colspan="7" class="text-center">No journal entries yet</td></tr>'
+        : entries.map(entry => {
+            const pl = days.has(entry.date) ? days.get(entry.date).pl : null;
+            return `
+                <tr>
+                    <td>${formatDate(entry.date)}</td>
+                    ${JOURNAL_RATINGS.map(rating => `<td>${entry[rating.key] ?? '—'}</td>`).join('')}
+                    <td>${JOURNAL_RULES_OPTIONS[entry.rules_followed] || '—'}</td>
+                    <td class="${pl === null ? '' : pl >= 0 ? 'pl-positive' : 'pl-negative'}">${pl === null ? '—' : formatCurrency(pl)}</td>
+                    <td><button type="button" class="btn btn--sm btn--secondary" data-journal-date="${entry.date}">Open</button></td>
+                </tr>
+            `;
+        }).join('');
+}
+
+function openJournalDay(date) {
+    closeViewModal();
+    switchTab('journal');
+    loadJournalDay(date);
+}
+
+async function handleJournalSubmit(e) {
+    e.preventDefault();
+    
+    try {
+        const readRating = key => parseOptionalNumber(document.getElementById(`journal-${key}`).value);
+        const entry = {
+            date: getJournalDate(),
+            pre_market_plan: document.getElementById('journalPlan').value,
+            market_conditions: document.getElementById('journalConditions').value,
+            ...Object.fromEntries(JOURNAL_RATINGS.map(rating => [rating.key, readRating(rating.key)])),
+            rules_followed: document.getElementById('journalRules').value || null,
+            eod_recap: document.getElementById('journalRecap').value
+        };
         
-        // Day data
-        dayData[dayOfWeek].total++;
-        dayData[dayOfWeek].pl += pl;
-        if (trade.outcome === 'Win') dayData[dayOfWeek].wins++;
-    });
+        await saveJournalEntry(entry);
+        document.getElementById('deleteJournalBtn').disabled = false;
+        renderJournalEntries();
+        renderJournalInsights();
+        showMessage(`Journal entry for ${formatDate(entry.date)} saved.`, 'success');
+    } catch (error) {
+        console.error('Failed to save journal entry:', error);
+        showMessage('Failed to save journal entry: ' + error.message, 'error');
+    }
+}
+
+async function handleJournalDelete() {
+    const date = getJournalDate();
+    if (!getJournalEntry(date) || !confirm(`Delete the journal entry for ${formatDate(date)}?`)) return;
     
-    return { hourData, dayData, dayNames };
+    try {
+        await deleteJournalEntry(date);
+        loadJournalDay(date);
+        renderJournalEntries();
+        renderJournalInsights();
+        showMessage('Journal entry deleted.', 'success');
+    } catch (error) {
+        console.error('Failed to delete journal entry:', error);
+        showMessage('Failed to delete journal entry: ' + error.message, 'error');
+    }
 }
 
-// Chart Management
-function updateCharts() {
-    updatePLChart();
-    updatePortfolioChart();
-    updateStrategyChart();
-    updateTickerChart();
-    updateMonthlyChart();
+function updateAnalyticsCharts() {
+    const { hourData, dayData, dayNames, timedTrades, closedTrades } = calculateTimeBasedMetrics();
+    
+    updateWinRateDayChart(dayData, dayNames);
+    updateWinRateHourChart(hourData);
+    document.getElementById('hourChartNote').textContent = timedTrades < closedTrades
+        ? `Based on ${timedTrades} of ${closedTrades} closed trades; the rest have no entry time.`
+        : '';
+    updatePLDayChart(dayData, dayNames);
+    updateHoldingPeriodAnalysis();
+    updateLabelPerformanceChart();
+    updateRuleComplianceAnalysis();
+    updateDrawdownAnalysis();
 }
 
-function updatePLChart() {
-    const ctx = document.getElementById('plChart').getContext('2d');
+function updateWinRateDayChart(dayData, dayNames) {
+    const ctx = document.getElementById('winRateDayChart').getContext('2d');
     
-    if (chartInstances.plChart) {
-        chartInstances.plChart.destroy();
+    if (chartInstances.winRateDayChart) {
+        chartInstances.winRateDayChart.destroy();
     }
     
-    const chronologicalTrades = [...allTrades].sort((a, b) => new Date(a.date) - new Date(b.date));
-    let cumulativePL = 0;
-    
-    const data = chronologicalTrades.map(trade => {
-        cumulativePL += parseFloat(trade.net_pl) || 0;
-        return {
-            x: trade.date,
-            y: cumulativePL
-        };
-    });
+    const winRates = dayData.map(day => day.total > 0 ? (day.wins / day.total) * 100 : 0);
     
-    chartInstances.plChart = new Chart(ctx, {
-        type: 'line',
+    chartInstances.winRateDayChart = new Chart(ctx, {
+        type: 'bar',
         data: {
+            labels: dayNames,
             datasets: [{
-                label: 'Cumulative P&L',
-                data: data,
+                label: 'Win Rate (%)',
+                data: winRates,
+                backgroundColor: '#4dabf7',
                 borderColor: '#4dabf7',
-                backgroundColor: 'rgba(77, 171, 247, 0.1)',
-                fill: true,
-                tension: 0.4
+                borderWidth: 1
             }]
         },
         options: {
             responsive: true,
             scales: {
                 x: {
-                    type: 'time',
-                    time: {
-                        unit: 'day'
-                    },
                     ticks: {
                         color: '#a0a0a0'
                     }
                 },
                 y: {
                     beginAtZero: true,
+                    max: 100,
                     ticks: {
                         color: '#a0a0a0',
                         callback: function(value) {
-                            return '$' + value.toFixed(2);
+                            return value + '%';
                         }
                     }
                 }
@@ -1105,66 +5956,44 @@ function updatePLChart() {
     });
 }
 
-function updatePortfolioChart() {
-    const ctx = document.getElementById('portfolioChart').getContext('2d');
+function updateWinRateHourChart(hourData) {
+    const ctx = document.getElementById('winRateHourChart').getContext('2d');
     
-    if (chartInstances.portfolioChart) {
-        chartInstances.portfolioChart.destroy();
+    if (chartInstances.winRateHourChart) {
+        chartInstances.winRateHourChart.destroy();
     }
     
-    const chronologicalTrades = [...allTrades].sort((a, b) => new Date(a.date) - new Date(b.date));
-    let balance = portfolioSettings.startingCapital;
-    
-    const portfolioData = [{ x: chronologicalTrades[0]?.date || new Date().toISOString(), y: balance }];
-    
-    chronologicalTrades.forEach(trade => {
-        balance += parseFloat(trade.net_pl) || 0;
-        portfolioData.push({
-            x: trade.date,
-            y: balance
-        });
-    });
+    const hours = Array.from({ length: 24 }, (_, i) => i);
+    const winRates = hourData.map(hour => hour.total > 0 ? (hour.wins / hour.total) * 100 : 0);
     
-    chartInstances.portfolioChart = new Chart(ctx, {
+    chartInstances.winRateHourChart = new Chart(ctx, {
         type: 'line',
         data: {
-            datasets: [
-                {
-                    label: 'Starting Capital',
-                    data: [{ x: portfolioData[0].x, y: portfolioSettings.startingCapital }, 
-                           { x: portfolioData[portfolioData.length - 1].x, y: portfolioSettings.startingCapital }],
-                    borderColor: '#ff4444',
-                    backgroundColor: 'rgba(255, 68, 68, 0.1)',
-                    fill: false,
-                    borderDash: [5, 5]
-                },
-                {
-                    label: 'Portfolio Balance',
-                    data: portfolioData,
-                    borderColor: '#00ff88',
-                    backgroundColor: 'rgba(0, 255, 136, 0.1)',
-                    fill: true,
-                    tension: 0.4
-                }
-            ]
+            labels: hours.map(h => `${h}:00`),
+            datasets: [{
+                label: 'Win Rate (%)',
+                data: winRates,
+                borderColor: '#00ff88',
+                backgroundColor: 'rgba(0, 255, 136, 0.1)',
+                fill: true,
+                tension: 0.4
+            }]
         },
         options: {
             responsive: true,
             scales: {
                 x: {
-                    type: 'time',
-                    time: {
-                        unit: 'day'
-                    },
                     ticks: {
                         color: '#a0a0a0'
                     }
                 },
                 y: {
+                    beginAtZero: true,
+                    max: 100,
                     ticks: {
                         color: '#a0a0a0',
                         callback: function(value) {
-                            return '$' + value.toFixed(2);
+                            return value + '%';
                         }
                     }
                 }
@@ -1180,34 +6009,24 @@ function updatePortfolioChart() {
     });
 }
 
-function updateStrategyChart() {
-    const ctx = document.getElementById('strategyChart').getContext('2d');
+function updatePLDayChart(dayData, dayNames) {
+    const ctx = document.getElementById('plDayChart').getContext('2d');
     
-    if (chartInstances.strategyChart) {
-        chartInstances.strategyChart.destroy();
+    if (chartInstances.plDayChart) {
+        chartInstances.plDayChart.destroy();
     }
     
-    const strategyData = {};
-    allTrades.forEach(trade => {
-        if (!strategyData[trade.strategy]) {
-            strategyData[trade.strategy] = 0;
-        }
-        strategyData[trade.strategy] += parseFloat(trade.net_pl) || 0;
-    });
-    
-    const labels = Object.keys(strategyData);
-    const data = Object.values(strategyData);
-    const colors = ['#1FB8CD', '#FFC185', '#B4413C', '#ECEBD5', '#5D878F', '#DB4545', '#D2BA4C', '#964325', '#944454', '#13343B'];
+    const plData = dayData.map(day => day.pl);
     
-    chartInstances.strategyChart = new Chart(ctx, {
+    chartInstances.plDayChart = new Chart(ctx, {
         type: 'bar',
         data: {
-            labels: labels,
+            labels: dayNames,
             datasets: [{
-                label: 'P&L by Strategy',
-                data: data,
-                backgroundColor: colors.slice(0, labels.length),
-                borderColor: colors.slice(0, labels.length),
+                label: 'P&L by Day',
+                data: plData,
+                backgroundColor: plData.map(value => value >= 0 ? '#00ff88' : '#ff4444'),
+                borderColor: plData.map(value => value >= 0 ? '#00ff88' : '#ff4444'),
                 borderWidth: 1
             }]
         },
@@ -1240,93 +6059,41 @@ function updateStrategyChart() {
     });
 }
 
-function updateTickerChart() {
-    const ctx = document.getElementById('tickerChart').getContext('2d');
-    
-    if (chartInstances.tickerChart) {
-        chartInstances.tickerChart.destroy();
-    }
-    
-    const tickerData = {};
-    allTrades.forEach(trade => {
-        if (!tickerData[trade.ticker]) {
-            tickerData[trade.ticker] = 0;
-        }
-        tickerData[trade.ticker] += parseFloat(trade.net_pl) || 0;
-    });
-    
-    // Get top 10 tickers by absolute P&L
-    const sortedTickers = Object.entries(tickerData)
-        .sort(([,a], [,b]) => Math.abs(b) - Math.abs(a))
-        .slice(0, 10);
-    
-    const labels = sortedTickers.map(([ticker]) => ticker);
-    const data = sortedTickers.map(([,pl]) => pl);
-    const colors = ['#1FB8CD', '#FFC185', '#B4413C', '#ECEBD5', '#5D878F', '#DB4545', '#D2BA4C', '#964325', '#944454', '#13343B'];
-    
-    chartInstances.tickerChart = new Chart(ctx, {
-        type: 'pie',
-        data: {
-            labels: labels,
-            datasets: [{
-                label: 'P&L by Ticker',
-                data: data.map(Math.abs), // Use absolute values for pie chart
-                backgroundColor: colors.slice(0, labels.length),
-                borderColor: '#1a1a2e',
-                borderWidth: 2
-            }]
-        },
-        options: {
-            responsive: true,
-            plugins: {
-                legend: {
-                    labels: {
-                        color: '#ffffff'
-                    }
-                }
-            }
-        }
-    });
-}
+const LABEL_RANKINGS = {
+    totalPL: { label: 'Total P&L', format: formatCurrency },
+    winRate: { label: 'Win Rate', format: value => `${value.toFixed(1)}%` },
+    expectancy: { label: 'Expectancy per Trade', format: formatCurrency }
+};
 
-function updateMonthlyChart() {
-    const ctx = document.getElementById('monthlyChart').getContext('2d');
+function updateLabelPerformanceChart() {
+    const ctx = document.getElementById('labelPerformanceChart').getContext('2d');
+    const kindKey = document.getElementById('labelPerformanceKind').value;
+    const rankBy = document.getElementById('labelPerformanceRank').value;
+    const ranking = LABEL_RANKINGS[rankBy];
     
-    if (chartInstances.monthlyChart) {
-        chartInstances.monthlyChart.destroy();
+    if (chartInstances.labelPerformanceChart) {
+        chartInstances.labelPerformanceChart.destroy();
     }
     
-    const monthlyData = {};
-    allTrades.forEach(trade => {
-        const date = new Date(trade.date);
-        const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-        if (!monthlyData[monthKey]) {
-            monthlyData[monthKey] = 0;
-        }
-        monthlyData[monthKey] += parseFloat(trade.net_pl) || 0;
-    });
-    
-    const sortedMonths = Object.keys(monthlyData).sort();
-    const labels = sortedMonths.map(month => {
-        const [year, monthNum] = month.split('-');
-        const date = new Date(year, monthNum - 1);
-        return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
-    });
-    const data = sortedMonths.map(month => monthlyData[month]);
+    // Labels without a closed trade have no win rate or expectancy to rank by
+    const performance = calculateLabelPerformance(kindKey)
+        .filter(entry => entry[rankBy] !== null)
+        .sort((a, b) => b[rankBy] - a[rankBy]);
+    const kind = TRADE_LABEL_KINDS.find(k => k.key === kindKey);
     
-    chartInstances.monthlyChart = new Chart(ctx, {
+    chartInstances.labelPerformanceChart = new Chart(ctx, {
         type: 'bar',
         data: {
-            labels: labels,
+            labels: performance.map(entry => entry.name),
             datasets: [{
-                label: 'Monthly P&L',
-                data: data,
-                backgroundColor: data.map(value => value >= 0 ? '#00ff88' : '#ff4444'),
-                borderColor: data.map(value => value >= 0 ? '#00ff88' : '#ff4444'),
+                label: `${kind.label} by ${ranking.label}`,
+                data: performance.map(entry => entry[rankBy]),
+                backgroundColor: performance.map(entry => (rankBy === 'winRate' ? entry.winRate >= 50 : entry[rankBy] >= 0) ? '#00ff88' : '#ff4444'),
                 borderWidth: 1
             }]
         },
         options: {
+            indexAxis: 'y',
             responsive: true,
             scales: {
                 x: {
@@ -1335,12 +6102,8 @@ function updateMonthlyChart() {
                     }
                 },
                 y: {
-                    beginAtZero: true,
                     ticks: {
-                        color: '#a0a0a0',
-                        callback: function(value) {
-                            return '$' + value.toFixed(2);
-                        }
+                        color: '#a0a0a0'
                     }
                 }
             },
@@ -1349,56 +6112,89 @@ function updateMonthlyChart() {
                     labels: {
                         color: '#ffffff'
                     }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const entry = performance[context.dataIndex];
+                            return [
+                                `Trades: ${entry.trades} (${entry.closedTrades} closed)`,
+                                `Total P&L: ${formatCurrency(entry.totalPL)}`,
+                                `Win Rate: ${entry.winRate === null ? '—' : LABEL_RANKINGS.winRate.format(entry.winRate)}`,
+                                `Expectancy: ${entry.expectancy === null ? '—' : formatCurrency(entry.expectancy)}`
+                            ];
+                        }
+                    }
                 }
             }
         }
     });
 }
 
-function updateAnalyticsCharts() {
-    const { hourData, dayData, dayNames } = calculateTimeBasedMetrics();
-    
-    updateWinRateDayChart(dayData, dayNames);
-    updateWinRateHourChart(hourData);
-    updatePLDayChart(dayData, dayNames);
+// Drawdown Analysis
+function buildUnderwaterSeries(days) {
+    let peak = 1;
+    return days.map(day => {
+        peak = Math.max(peak, day.index);
+        return { x: day.date, y: ((day.index - peak) / peak) * 100 };
+    });
 }
 
-function updateWinRateDayChart(dayData, dayNames) {
-    const ctx = document.getElementById('winRateDayChart').getContext('2d');
+// Trades realized between an episode's peak and its trough, worst first
+function getDrawdownTrades(episode) {
+    const closedBy = episode.troughDate;
+    return getRealizedPLEvents()
+        .filter(event => {
+            const date = toDateKey(event.date);
+            return date > episode.peakDate && date <= closedBy;
+        })
+        .sort((a, b) => a.pl - b.pl);
+}
+
+function updateDrawdownAnalysis() {
+    const days = buildDailyReturns();
+    updateUnderwaterChart(days);
+    displayDrawdownEpisodes(getDrawdownEpisodes(days));
+}
+
+function updateUnderwaterChart(days) {
+    const ctx = document.getElementById('underwaterChart').getContext('2d');
     
-    if (chartInstances.winRateDayChart) {
-        chartInstances.winRateDayChart.destroy();
+    if (chartInstances.underwaterChart) {
+        chartInstances.underwaterChart.destroy();
     }
     
-    const winRates = dayData.map(day => day.total > 0 ? (day.wins / day.total) * 100 : 0);
-    
-    chartInstances.winRateDayChart = new Chart(ctx, {
-        type: 'bar',
+    chartInstances.underwaterChart = new Chart(ctx, {
+        type: 'line',
         data: {
-            labels: dayNames,
             datasets: [{
-                label: 'Win Rate (%)',
-                data: winRates,
-                backgroundColor: '#4dabf7',
-                borderColor: '#4dabf7',
-                borderWidth: 1
+                label: 'Drawdown from Peak',
+                data: buildUnderwaterSeries(days),
+                borderColor: '#ff4444',
+                backgroundColor: 'rgba(255, 68, 68, 0.2)',
+                fill: true,
+                stepped: true,
+                pointRadius: 0
             }]
         },
         options: {
             responsive: true,
             scales: {
                 x: {
+                    type: 'time',
+                    time: {
+                        unit: 'day'
+                    },
                     ticks: {
                         color: '#a0a0a0'
                     }
                 },
                 y: {
-                    beginAtZero: true,
-                    max: 100,
+                    max: 0,
                     ticks: {
                         color: '#a0a0a0',
                         callback: function(value) {
-                            return value + '%';
+                            return value.toFixed(1) + '%';
                         }
                     }
                 }
@@ -1408,159 +6204,654 @@ function updateWinRateDayChart(dayData, dayNames) {
                     labels: {
                         color: '#ffffff'
                     }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            return `Drawdown: ${context.parsed.y.toFixed(2)}%`;
+                        }
+                    }
                 }
             }
         }
     });
 }
 
-function updateWinRateHourChart(hourData) {
-    const ctx = document.getElementById('winRateHourChart').getContext('2d');
+function displayDrawdownEpisodes(episodes) {
+    const tbody = document.getElementById('drawdownTableBody');
+    
+    if (episodes.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="text-center">No drawdowns</td></tr>';
+        return;
+    }
+    
+    // Worst first, the way they get reviewed
+    tbody.innerHTML = [...episodes].sort((a, b) => b.depth - a.depth).map(episode => {
+        const trades = getDrawdownTrades(episode);
+        const worst = trades[0];
+        return `
+            <tr>
+                <td>${formatDate(episode.peakDate)}</td>
+                <td>${formatDate(episode.troughDate)}</td>
+                <td class="pl-negative">-${(episode.depth * 100).toFixed(2)}%</td>
+                <td>${episode.length} days</td>
+                <td>${episode.recoveryDate ? formatDate(episode.recoveryDate) : 'Not recovered'}</td>
+                <td>${trades.length}</td>
+                <td>
+                    ${worst ? `
+                        <button class="btn btn--sm btn--secondary" onclick="openViewModal(${worst.trade.id})">
+                            ${escapeHtml(worst.trade.ticker)} ${escapeHtml(worst.trade.strategy)} ${formatCurrency(worst.pl)}
+                        </button>
+                    ` : '—'}
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// CSV Import/Export
+// Parsing and the broker importer profiles live in importers.js
+
+// Column Mapping
+// A mapping pairs every journal field with a source column or a constant and
+// records how the file writes dates, decimals and P&L. Saved mappings act as
+// importer profiles and are picked automatically for files with the same headers.
+const IMPORT_FIELDS = [
+    { key: 'date', label: 'Date', type: 'date', required: true, aliases: ['trade date', 'open date', 'opened'] },
+    { key: 'entry_time', label: 'Entry Time', type: 'datetime', aliases: ['open time', 'entry date/time', 'opened at'] },
+    { key: 'exit_time', label: 'Exit Time', type: 'datetime', aliases: ['close time', 'exit date/time', 'closed at'] },
+    { key: 'timezone', label: 'Time Zone', type: 'text', aliases: ['tz', 'time zone'] },
+    { key: 'ticker', label: 'Ticker', type: 'upper', required: true, aliases: ['symbol', 'underlying', 'underlying symbol'] },
+    { key: 'strategy', label: 'Strategy', type: 'text', required: true, aliases: ['setup', 'spread'] },
+    { key: 'option_type', label: 'Option Type', type: 'upper', aliases: ['optiontype', 'type', 'call or put', 'put/call'] },
+    { key: 'strike', label: 'Strike', type: 'number', aliases: ['strike price'] },
+    { key: 'expiration', label: 'Expiration', type: 'date', aliases: ['exp', 'expiry', 'expiration date'] },
+    { key: 'quantity', label: 'Quantity', type: 'integer', aliases: ['qty', 'contracts', 'size'] },
+    { key: 'entry_price', label: 'Entry Price', type: 'number', aliases: ['entryprice', 'entry', 'open price'] },
+    { key: 'exit_price', label: 'Exit Price', type: 'number', aliases: ['exitprice', 'exit', 'close price'] },
+    { key: 'premium', label: 'Premium', type: 'number', aliases: ['credit', 'debit'] },
+    { key: 'fees', label: 'Fees', type: 'number', aliases: ['commission', 'commissions'] },
+    { key: 'net_pl', label: 'Net P&L', type: 'number', aliases: ['netpl', 'pl', 'p&l', 'pnl', 'profit', 'realized p/l'] },
+    { key: 'outcome', label: 'Outcome', type: 'text', aliases: ['result'] },
+    { key: 'planned_stop', label: 'Planned Stop', type: 'number', aliases: ['stop', 'stop loss', 'stop price'] },
+    { key: 'planned_target', label: 'Planned Target', type: 'number', aliases: ['target', 'profit target', 'target price'] },
+    { key: 'initial_risk', label: 'Initial Risk', type: 'number', aliases: ['risk', 'risk amount', '1r'] },
+    { key: 'tags', label: 'Tags', type: 'list', aliases: ['tag', 'labels'] },
+    { key: 'setups', label: 'Setups', type: 'list', aliases: ['setup name', 'playbook'] },
+    { key: 'mistakes', label: 'Mistakes', type: 'list', aliases: ['mistake', 'errors'] },
+    { key: 'emotions', label: 'Emotions', type: 'list', aliases: ['emotion', 'mood'] },
+    { key: 'delta', label: 'Delta', type: 'number', aliases: [] },
+    { key: 'gamma', label: 'Gamma', type: 'number', aliases: [] },
+    { key: 'theta', label: 'Theta', type: 'number', aliases: [] },
+    { key: 'vega', label: 'Vega', type: 'number', aliases: [] },
+    { key: 'trade_notes', label: 'Trade Notes', type: 'text', aliases: ['tradenotes', 'notes', 'comment', 'comments'] },
+    { key: 'post_trade_analysis', label: 'Post-Trade Analysis', type: 'text', aliases: ['posttradeanalysis', 'analysis', 'review'] }
+];
+
+const MAPPING_DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY', 'YYYYMMDD'];
+
+let importMappings = [];
+
+async function loadImportMappings() {
+    try {
+        importMappings = await db.getAll('importMappings');
+    } catch (error) {
+        console.error('Failed to load import mappings:', error);
+        importMappings = [];
+    }
+}
+
+function getImporterProfiles() {
+    return [...importMappings.map(createMappingProfile), ...IMPORTER_PROFILES];
+}
+
+function createMappingProfile(mapping) {
+    return {
+        id: `mapping:${mapping.name}`,
+        name: `Saved mapping "${mapping.name}"`,
+        detect: (headers) => mapping.headers.length > 0 && hasHeaders(headers, mapping.headers),
+        toTrades: (rows) => ({ trades: rows.map((row, index) => ({ ...mapRowWithMapping(row, mapping), import_rows: [index + 1] })), warnings: [] })
+    };
+}
+
+function normalizeHeaderName(name) {
+    return (name || '').toLowerCase().replace(/[^a-z0-9&\/]/g, '');
+}
+
+// Pairs each journal field with the header that matches its key, label or a known alias
+function suggestColumnMapping(headers) {
+    const fields = {};
+    
+    IMPORT_FIELDS.forEach(field => {
+        const candidates = [field.key, field.label, ...field.aliases].map(normalizeHeaderName);
+        const header = headers.find(h => candidates.includes(normalizeHeaderName(h)));
+        fields[field.key] = header ? { column: header } : {};
+    });
+    
+    return {
+        name: '',
+        headers: headers.filter(Boolean),
+        fields,
+        dateFormat: 'YYYY-MM-DD',
+        decimalSeparator: '.',
+        plSign: 'as-is'
+    };
+}
+
+function parseMappedNumber(value, decimalSeparator) {
+    if (value === null || value === undefined || value === '') return null;
+    let text = String(value).trim();
+    text = decimalSeparator === ','
+        ? text.replace(/[.\s']/g, '').replace(',', '.')
+        : text.replace(/[,\s']/g, '');
+    return parseImportNumber(text);
+}
+
+function parseMappedDate(value, dateFormat) {
+    const text = (value || '').trim();
+    if (!text) return null;
+    
+    const parts = text.match(/\d+/g) || [];
+    let year, month, day;
+    
+    switch (dateFormat) {
+        case 'MM/DD/YYYY':
+            [month, day, year] = parts;
+            break;
+        case 'DD/MM/YYYY':
+        case 'DD.MM.YYYY':
+            [day, month, year] = parts;
+            break;
+        case 'YYYYMMDD':
+            [year, month, day] = [text.slice(0, 4), text.slice(4, 6), text.slice(6, 8)];
+            break;
+        default:
+            [year, month, day] = parts;
+    }
+    
+    if (!year || !month || !day) return null;
+    if (year.length === 2) year = `20${year}`;
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+// A date in the mapping's date format followed by a time ('14:30', '14:30:05'
+// or '2:30 PM') and optionally a UTC offset. Returns the wall-clock
+// 'YYYY-MM-DDTHH:mm:ss' and the offset, or null when either part is unreadable.
+function parseMappedDateTime(value, dateFormat) {
+    const match = value.trim().match(/^(.+?)[T\s,;]+(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?\s*(AM|PM)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+    if (!match) return null;
+    
+    const date = parseMappedDate(match[1], dateFormat);
+    let hour = parseInt(match[2]);
+    const meridiem = (match[5] || '').toUpperCase();
+    if (meridiem && (hour < 1 || hour > 12)) return null;
+    if (meridiem) hour = hour % 12 + (meridiem === 'PM' ? 12 : 0);
+    
+    const timestamp = `${date}T${String(hour).padStart(2, '0')}:${match[3]}:${match[4] || '00'}`;
+    // Date.parse rolls impossible days over (31/02 to 2 March), so round-trip it
+    const parsed = new Date(`${timestamp}Z`);
+    if (!date || isNaN(parsed) || parsed.toISOString().slice(0, 19) !== timestamp) return null;
+    
+    const offset = !match[6] ? null : match[6].toUpperCase() === 'Z' ? 'Z' : match[6].replace(/^([+-]\d{2}):?(\d{2})$/, '$1:$2');
+    return { timestamp, offset };
+}
+
+function mapRowWithMapping(row, mapping) {
+    const trade = {};
+    const warnings = [];
+    
+    IMPORT_FIELDS.forEach(field => {
+        const source = mapping.fields[field.key] || {};
+        const raw = source.column ? row[source.column] : source.constant;
+        
+        if (raw === undefined || raw === null || String(raw).trim() === '') {
+            trade[field.key] = null;
+            return;
+        }
+        
+        switch (field.type) {
+            case 'date':
+                trade[field.key] = parseMappedDate(String(raw), mapping.dateFormat);
+                break;
+            case 'number':
+                trade[field.key] = parseMappedNumber(raw, mapping.decimalSeparator);
+                break;
+            case 'integer':
+                trade[field.key] = Math.round(Math.abs(parseMappedNumber(raw, mapping.decimalSeparator) || 0)) || null;
+                break;
+            case 'upper':
+                trade[field.key] = String(raw).trim().toUpperCase();
+                break;
+            case 'list':
+                trade[field.key] = parseLabelList(raw);
+                break;
+            case 'datetime':
+                trade[field.key] = parseMappedDateTime(String(raw), mapping.dateFormat);
+                if (!trade[field.key]) warnings.push(`Unreadable ${field.label.toLowerCase()} "${String(raw).trim()}", left empty`);
+                break;
+            default:
+                trade[field.key] = String(raw).trim();
+        }
+    });
+    
+    trade.quantity = trade.quantity || 1;
+    trade.premium = trade.premium || 0;
+    trade.fees = trade.fees || 0;
+    trade.trade_notes = trade.trade_notes || '';
+    trade.post_trade_analysis = trade.post_trade_analysis || '';
+    TRADE_LABEL_KINDS.forEach(kind => {
+        trade[kind.key] = trade[kind.key] || [];
+    });
+    
+    // Times are read on the clock of the mapped zone, else the journal's
+    // default, unless they carry their own UTC offset
+    if (trade.entry_time || trade.exit_time) {
+        trade.timezone = isValidTimeZone(trade.timezone) ? trade.timezone : getDefaultTimeZone();
+        const toInstant = time => time && (time.offset
+            ? new Date(`${time.timestamp}${time.offset}`).toISOString()
+            : zonedTimeToUtc(time.timestamp, trade.timezone));
+        trade.entry_time = toInstant(trade.entry_time);
+        trade.exit_time = toInstant(trade.exit_time);
+    } else {
+        trade.timezone = null;
+    }
+    
+    // Without a P&L column, work it out from entry/exit or premium like the add form does
+    if (trade.net_pl === null) {
+        const legs = ensureTradeLegs(trade).legs;
+        trade.net_pl = buildTradeFromLegs(legs, trade).net_pl;
+    } else if (mapping.plSign === 'inverted') {
+        trade.net_pl = -trade.net_pl;
+    }
+    
+    // Only trust an outcome the journal understands, otherwise derive it
+    if (!['Win', 'Loss', 'Breakeven'].includes(trade.outcome)) {
+        trade.outcome = trade.net_pl > 0 ? 'Win' : trade.net_pl < 0 ? 'Loss' : 'Breakeven';
+    }
+    
+    if (warnings.length > 0) trade.import_warnings = warnings;
+    return trade;
+}
+
+// Mapping Wizard UI
+function renderImportFormatSelect(selectedId) {
+    const select = document.getElementById('importFormatSelect');
+    select.innerHTML = getImporterProfiles().map(profile =>
+        `<option value="${escapeHtml(profile.id)}"${profile.id === selectedId ? ' selected' : ''}>${escapeHtml(profile.name)}</option>`
+    ).join('') + `<option value="custom"${selectedId === 'custom' ? ' selected' : ''}>Custom column mapping…</option>`;
+}
+
+function renderSavedMappingsSelect() {
+    const select = document.getElementById('savedMappingSelect');
+    select.innerHTML = '<option value="">Saved mappings…</option>' + importMappings.map(mapping =>
+        `<option value="${escapeHtml(mapping.name)}">${escapeHtml(mapping.name)}</option>`
+    ).join('');
+}
+
+function renderColumnMapping(mapping) {
+    const headers = window.csvImportHeaders || [];
+    const columnOptions = (selected) => headers.filter(Boolean).map(header =>
+        `<option value="column:${escapeHtml(header)}"${selected === header ? ' selected' : ''}>${escapeHtml(header)}</option>`
+    ).join('');
+    
+    document.getElementById('mappingDateFormat').value = mapping.dateFormat;
+    document.getElementById('mappingDecimalSeparator').value = mapping.decimalSeparator;
+    document.getElementById('mappingPLSign').value = mapping.plSign;
+    document.getElementById('mappingName').value = mapping.name || '';
+    
+    document.getElementById('columnMappingBody').innerHTML = IMPORT_FIELDS.map(field => {
+        const source = mapping.fields[field.key] || {};
+        const isConstant = source.constant !== undefined && !source.column;
+        return `
+            <tr data-field="${field.key}">
+                <td>${field.label}${field.required ? ' *' : ''}</td>
+                <td>
+                    <select class="form-control mapping-source">
+                        <option value="">— Not mapped —</option>
+                        <option value="constant"${isConstant ? ' selected' : ''}>Constant value</option>
+                        ${columnOptions(source.column)}
+                    </select>
+                </td>
+                <td>
+                    <input type="text" class="form-control mapping-constant" value="${isConstant ? escapeHtml(source.constant) : ''}"
+                           ${isConstant ? '' : 'disabled'}>
+                </td>
+                <td class="mapping-sample"></td>
+            </tr>
+        `;
+    }).join('');
+    
+    updateMappingSamples();
+}
+
+function readColumnMapping() {
+    const fields = {};
+    
+    document.querySelectorAll('#columnMappingBody tr').forEach(row => {
+        const source = row.querySelector('.mapping-source').value;
+        
+        if (source === 'constant') {
+            fields[row.dataset.field] = { constant: row.querySelector('.mapping-constant').value };
+        } else if (source.startsWith('column:')) {
+            fields[row.dataset.field] = { column: source.slice('column:'.length) };
+        } else {
+            fields[row.dataset.field] = {};
+        }
+    });
+    
+    return {
+        name: document.getElementById('mappingName').value.trim(),
+        headers: (window.csvImportHeaders || []).filter(Boolean),
+        fields,
+        dateFormat: document.getElementById('mappingDateFormat').value,
+        decimalSeparator: document.getElementById('mappingDecimalSeparator').value,
+        plSign: document.getElementById('mappingPLSign').value
+    };
+}
+
+// Shows what the first data row becomes under the current mapping
+function updateMappingSamples() {
+    const firstRow = (window.csvImportData || [])[0];
+    if (!firstRow) return;
+    
+    const sample = mapRowWithMapping(firstRow, readColumnMapping());
+    document.querySelectorAll('#columnMappingBody tr').forEach(row => {
+        row.querySelector('.mapping-constant').disabled = row.querySelector('.mapping-source').value !== 'constant';
+        const value = sample[row.dataset.field];
+        row.querySelector('.mapping-sample').textContent = value === null || value === undefined ? '' : value;
+    });
+}
+
+function handleImportFormatChange() {
+    const selectedId = document.getElementById('importFormatSelect').value;
+    const panel = document.getElementById('columnMappingPanel');
+    
+    if (selectedId === 'custom') {
+        window.csvImportProfile = null;
+        renderColumnMapping(suggestColumnMapping(window.csvImportHeaders || []));
+        panel.style.display = 'block';
+    } else {
+        window.csvImportProfile = getImporterProfiles().find(profile => profile.id === selectedId) || null;
+        panel.style.display = 'none';
+    }
+}
+
+function loadSavedMapping() {
+    const name = document.getElementById('savedMappingSelect').value;
+    const mapping = importMappings.find(m => m.name === name);
+    if (!mapping) return;
+    
+    document.getElementById('importFormatSelect').value = 'custom';
+    document.getElementById('columnMappingPanel').style.display = 'block';
+    window.csvImportProfile = null;
+    renderColumnMapping(mapping);
+}
+
+async function saveColumnMapping() {
+    const mapping = readColumnMapping();
+    if (!mapping.name) {
+        showMessage('Enter a name for the mapping first.', 'error');
+        return;
+    }
+    
+    try {
+        await db.put('importMappings', mapping);
+        await loadImportMappings();
+        renderSavedMappingsSelect();
+        showMessage(`Mapping "${mapping.name}" saved.`, 'success');
+    } catch (error) {
+        console.error('Failed to save mapping:', error);
+        showMessage('Failed to save mapping. Please try again.', 'error');
+    }
+}
+
+async function deleteSavedMapping() {
+    const name = document.getElementById('savedMappingSelect').value;
+    if (!name || !confirm(`Delete the saved mapping "${name}"?`)) return;
+    
+    try {
+        await db.delete('importMappings', name);
+        await loadImportMappings();
+        renderSavedMappingsSelect();
+        showMessage(`Mapping "${name}" deleted.`, 'success');
+    } catch (error) {
+        console.error('Failed to delete mapping:', error);
+        showMessage('Failed to delete mapping. Please try again.', 'error');
+    }
+}
+
+// The profile chosen in the format dropdown, or the mapping being edited
+function getSelectedImportProfile() {
+    if (window.csvImportProfile) return window.csvImportProfile;
     
-    if (chartInstances.winRateHourChart) {
-        chartInstances.winRateHourChart.destroy();
+    const mapping = readColumnMapping();
+    return {
+        id: 'custom',
+        name: mapping.name ? `mapping "${mapping.name}"` : 'custom column mapping',
+        toTrades: (rows) => ({ trades: rows.map((row, index) => ({ ...mapRowWithMapping(row, mapping), import_rows: [index + 1] })), warnings: [] })
+    };
+}
+
+// Import Validation
+// Every candidate trade is labelled before anything is written: 'error' rows
+// cannot be imported, 'warning' rows import after review and 'duplicate' rows
+// match a trade already in the journal (or earlier in the same file) on the
+// configured duplicate key.
+const DUPLICATE_KEY_FIELDS = [
+    { key: 'date', label: 'Date' },
+    { key: 'ticker', label: 'Ticker' },
+    { key: 'strategy', label: 'Strategy' },
+    { key: 'strike', label: 'Strike' },
+    { key: 'expiration', label: 'Expiration' },
+    { key: 'quantity', label: 'Quantity' },
+    { key: 'net_pl', label: 'Net P&L' }
+];
+const DEFAULT_DUPLICATE_KEY = ['date', 'ticker', 'strike', 'quantity'];
+
+function getDuplicateKey(trade, fields) {
+    return fields.map(field => {
+        const value = trade[field];
+        if (value === null || value === undefined || value === '') return '';
+        if (typeof value === 'number' || !isNaN(Number(value))) return Number(value).toFixed(2);
+        return String(value).trim().toUpperCase();
+    }).join('|');
+}
+
+function validateImportTrade(trade, knownStrategies) {
+    const errors = [];
+    const warnings = [];
+    const today = getTodayKey();
+    
+    if (!trade.date) errors.push('Missing or unreadable date');
+    else if (isNaN(new Date(trade.date))) errors.push(`Invalid date "${trade.date}"`);
+    else if (trade.date > today) warnings.push('Trade date is in the future');
+    
+    if (!trade.ticker) errors.push('Missing ticker');
+    if (!trade.strategy) errors.push('Missing strategy');
+    else if (knownStrategies.length > 0 && !knownStrategies.includes(trade.strategy)) {
+        warnings.push(`Strategy "${trade.strategy}" is not in the strategy list`);
     }
     
-    const hours = Array.from({ length: 24 }, (_, i) => i);
-    const winRates = hourData.map(hour => hour.total > 0 ? (hour.wins / hour.total) * 100 : 0);
+    if (trade.net_pl === null || trade.net_pl === undefined || isNaN(parseFloat(trade.net_pl))) {
+        errors.push('Net P&L is not a number');
+    } else if (trade.status !== 'open' && parseFloat(trade.net_pl) === 0 && !trade.premium) {
+        warnings.push('Net P&L is zero');
+    }
     
-    chartInstances.winRateHourChart = new Chart(ctx, {
-        type: 'line',
-        data: {
-            labels: hours.map(h => `${h}:00`),
-            datasets: [{
-                label: 'Win Rate (%)',
-                data: winRates,
-                borderColor: '#00ff88',
-                backgroundColor: 'rgba(0, 255, 136, 0.1)',
-                fill: true,
-                tension: 0.4
-            }]
-        },
-        options: {
-            responsive: true,
-            scales: {
-                x: {
-                    ticks: {
-                        color: '#a0a0a0'
-                    }
-                },
-                y: {
-                    beginAtZero: true,
-                    max: 100,
-                    ticks: {
-                        color: '#a0a0a0',
-                        callback: function(value) {
-                            return value + '%';
-                        }
-                    }
-                }
-            },
-            plugins: {
-                legend: {
-                    labels: {
-                        color: '#ffffff'
-                    }
-                }
-            }
+    if ((trade.outcome === 'Win' && trade.net_pl < 0) || (trade.outcome === 'Loss' && trade.net_pl > 0)) {
+        warnings.push(`Outcome "${trade.outcome}" does not match the P&L sign`);
+    }
+    
+    if (trade.expiration && trade.date && trade.expiration < trade.date) {
+        warnings.push('Expiration is before the trade date');
+    }
+    
+    warnings.push(...(trade.import_warnings || []));
+    return { errors, warnings };
+}
+
+function buildImportReport(trades, parseWarnings, existingTrades, keyFields, knownStrategies) {
+    const seenKeys = new Map(existingTrades.map(trade => [getDuplicateKey(trade, keyFields), 'an existing trade']));
+    
+    const items = trades.map(trade => {
+        const { errors, warnings } = validateImportTrade(trade, knownStrategies);
+        const key = getDuplicateKey(trade, keyFields);
+        const rowLabel = `row ${(trade.import_rows || []).join(', ')}`;
+        let status = errors.length > 0 ? 'error' : warnings.length > 0 ? 'warning' : 'valid';
+        const reasons = [...errors, ...warnings];
+        
+        if (status !== 'error' && seenKeys.has(key)) {
+            status = 'duplicate';
+            reasons.unshift(`Matches ${seenKeys.get(key)} on ${keyFields.join(', ')}`);
+        } else if (status !== 'error') {
+            seenKeys.set(key, rowLabel);
         }
+        
+        return { trade, status, reasons, selected: status === 'valid' || status === 'warning' };
+    });
+    
+    // Fills a profile could not place in a round trip have no trade to import
+    parseWarnings.forEach(message => {
+        items.push({ trade: null, status: 'error', reasons: [message], selected: false });
     });
+    
+    return items;
 }
 
-function updatePLDayChart(dayData, dayNames) {
-    const ctx = document.getElementById('plDayChart').getContext('2d');
+function getKnownStrategies() {
+    return Array.from(document.querySelectorAll('#strategy option')).map(option => option.value).filter(Boolean);
+}
+
+function getDuplicateKeyFields() {
+    return getAppSetting('importDuplicateKey', DEFAULT_DUPLICATE_KEY);
+}
+
+function renderDuplicateKeyOptions() {
+    const selected = getDuplicateKeyFields();
+    document.getElementById('duplicateKeyOptions').innerHTML = DUPLICATE_KEY_FIELDS.map(field => `
+        <label class="checkbox-label">
+            <input type="checkbox" value="${field.key}"${selected.includes(field.key) ? ' checked' : ''}>
+            ${field.label}
+        </label>
+    `).join('');
+}
+
+async function handleDuplicateKeyChange() {
+    const fields = Array.from(document.querySelectorAll('#duplicateKeyOptions input:checked')).map(input => input.value);
+    await saveAppSetting('importDuplicateKey', fields.length > 0 ? fields : DEFAULT_DUPLICATE_KEY);
+    if (window.csvImportReport) {
+        validateCSV();
+    }
+}
+
+function invalidateImportReport() {
+    delete window.csvImportReport;
+    document.getElementById('importReport').style.display = 'none';
+    document.getElementById('importCsvBtn').disabled = true;
+}
+
+// Dry run: builds the candidate trades and labels them without writing anything
+function validateCSV() {
+    if (!window.csvImportData) {
+        showMessage('Please preview the CSV file first.', 'error');
+        return;
+    }
     
-    if (chartInstances.plDayChart) {
-        chartInstances.plDayChart.destroy();
+    try {
+        const profile = getSelectedImportProfile();
+        const { trades, warnings } = profile.toTrades(window.csvImportData, { timeZone: getDefaultTimeZone() });
+        
+        // Duplicates are looked for in the account the rows will be imported into
+        const accountId = document.getElementById('importAccountSelect').value || getDefaultAccountId();
+        window.csvImportReport = buildImportReport(trades, warnings, getAccountTrades(accountId), getDuplicateKeyFields(), getKnownStrategies());
+        window.csvImportReportProfile = profile;
+        window.csvImportReportAccount = accountId;
+        renderImportReport();
+        
+        document.getElementById('importCsvBtn').disabled = false;
+    } catch (error) {
+        console.error('Failed to validate CSV:', error);
+        showMessage('Failed to validate CSV: ' + error.message, 'error');
     }
+}
+
+function renderImportReport() {
+    const report = window.csvImportReport || [];
+    const counts = { valid: 0, warning: 0, error: 0, duplicate: 0 };
+    report.forEach(item => counts[item.status]++);
     
-    const plData = dayData.map(day => day.pl);
+    document.getElementById('importReportSummary').innerHTML = Object.entries(counts).map(([status, count]) =>
+        `<span class="import-status import-status--${status}">${count} ${status}</span>`
+    ).join(' ');
     
-    chartInstances.plDayChart = new Chart(ctx, {
-        type: 'bar',
-        data: {
-            labels: dayNames,
-            datasets: [{
-                label: 'P&L by Day',
-                data: plData,
-                backgroundColor: plData.map(value => value >= 0 ? '#00ff88' : '#ff4444'),
-                borderColor: plData.map(value => value >= 0 ? '#00ff88' : '#ff4444'),
-                borderWidth: 1
-            }]
-        },
-        options: {
-            responsive: true,
-            scales: {
-                x: {
-                    ticks: {
-                        color: '#a0a0a0'
-                    }
-                },
-                y: {
-                    beginAtZero: true,
-                    ticks: {
-                        color: '#a0a0a0',
-                        callback: function(value) {
-                            return '$' + value.toFixed(2);
-                        }
-                    }
-                }
-            },
-            plugins: {
-                legend: {
-                    labels: {
-                        color: '#ffffff'
-                    }
-                }
-            }
-        }
-    });
+    document.getElementById('importReportBody').innerHTML = report.map((item, index) => `
+        <tr class="import-row--${item.status}">
+            <td>
+                <input type="checkbox" data-report-index="${index}"${item.selected ? ' checked' : ''}${item.trade ? '' : ' disabled'}>
+            </td>
+            <td>${item.trade ? (item.trade.import_rows || []).join(', ') : ''}</td>
+            <td><span class="import-status import-status--${item.status}">${item.status}</span></td>
+            <td>${item.trade ? escapeHtml(item.trade.date || '') : ''}</td>
+            <td>${item.trade ? escapeHtml(item.trade.ticker || '') : ''}</td>
+            <td>${item.trade ? escapeHtml(item.trade.strategy || '') : ''}</td>
+            <td>${item.trade && Number.isFinite(parseFloat(item.trade.net_pl)) ? formatCurrency(item.trade.net_pl) : ''}</td>
+            <td>${item.reasons.map(escapeHtml).join('<br>')}</td>
+        </tr>
+    `).join('');
+    
+    document.getElementById('importReport').style.display = 'block';
+    updateImportSelectionCount();
 }
 
-// CSV Import/Export
-function parseCSV(csvText) {
-    const lines = csvText.trim().split('\n');
-    const headers = parseCSVLine(lines[0]);
-    const data = [];
-    
-    for (let i = 1; i < lines.length; i++) {
-        if (lines[i].trim()) {
-            const values = parseCSVLine(lines[i]);
-            const row = {};
-            headers.forEach((header, index) => {
-                row[header] = values[index] || '';
-            });
-            data.push(row);
-        }
-    }
+function handleImportReportChange(e) {
+    const index = e.target.dataset.reportIndex;
+    if (index === undefined) return;
     
-    return { headers, data };
+    window.csvImportReport[index].selected = e.target.checked;
+    updateImportSelectionCount();
+}
+
+function selectImportRows(statuses) {
+    (window.csvImportReport || []).forEach(item => {
+        item.selected = item.trade !== null && statuses.includes(item.status);
+    });
+    renderImportReport();
 }
 
-function parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
+function updateImportSelectionCount() {
+    const selected = (window.csvImportReport || []).filter(item => item.selected).length;
+    document.getElementById('importCsvBtn').textContent = `Import ${selected} Selected`;
+}
+
+// Writes every trade in one transaction, so a failure
+// part way through leaves the journal exactly as it was
+async function commitImportedTrades(tradesData, accountId) {
+    const tx = db.transaction('trades', 'readwrite');
+    const tradesStore = tx.objectStore('trades');
+    const addedTrades = [];
     
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        const nextChar = line[i + 1];
-        
-        if (char === '"' && inQuotes && nextChar === '"') {
-            current += '"';
-            i++; // Skip next quote
-        } else if (char === '"') {
-            inQuotes = !inQuotes;
-        } else if (char === ',' && !inQuotes) {
-            result.push(current);
-            current = '';
-        } else {
-            current += char;
+    try {
+        for (const tradeData of tradesData) {
+            const { import_rows, import_warnings, ...data } = tradeData;
+            const trade = prepareNewTrade({ ...data, account_id: accountId });
+            trade.id = await tradesStore.add(trade);
+            addedTrades.push(trade);
+        }
+        await tx.done;
+    } catch (error) {
+        // A failed request aborts the transaction on its own; anything else must abort it here
+        try {
+            tx.abort();
+        } catch (abortError) {
+            // Already aborted
         }
+        await tx.done.catch(() => {});
+        throw error;
     }
     
-    result.push(current);
-    return result;
+    allTrades.unshift(...addedTrades);
+    await savePortfolioHistory(accountId);
+    return addedTrades;
 }
 
 function previewCSV() {
@@ -1576,25 +6867,37 @@ function previewCSV() {
     reader.onload = function(e) {
         try {
             const csvText = e.target.result;
-            const { headers, data } = parseCSV(csvText);
+            const { headers, data, profile } = parseImportFile(csvText, getImporterProfiles());
             
             // Show preview
             const previewDiv = document.getElementById('csvPreview');
             const previewHeader = document.getElementById('previewHeader');
             const previewBody = document.getElementById('previewBody');
             
-            previewHeader.innerHTML = '<tr>' + headers.map(h => `<th>${h}</th>`).join('') + '</tr>';
+            previewHeader.innerHTML = '<tr>' + headers.map(h => `<th>${escapeHtml(h)}</th>`).join('') + '</tr>';
             
             const previewRows = data.slice(0, 10); // Show first 10 rows
             previewBody.innerHTML = previewRows.map(row => 
-                '<tr>' + headers.map(h => `<td>${row[h] || ''}</td>`).join('') + '</tr>'
+                '<tr>' + headers.map(h => `<td>${escapeHtml(row[h] || '')}</td>`).join('') + '</tr>'
             ).join('');
             
             previewDiv.style.display = 'block';
-            document.getElementById('importCsvBtn').disabled = false;
+            document.getElementById('validateCsvBtn').disabled = false;
+            invalidateImportReport();
             
             // Store parsed data for import
             window.csvImportData = data;
+            window.csvImportHeaders = headers;
+            window.csvImportProfile = profile;
+            
+            document.getElementById('csvProfileInfo').textContent = profile
+                ? `Detected format: ${profile.name}`
+                : 'Format not recognised - map the columns below before importing';
+            
+            // Unknown layouts go straight to the mapping step
+            renderImportFormatSelect(profile ? profile.id : 'custom');
+            renderSavedMappingsSelect();
+            handleImportFormatChange();
             
             showMessage(`CSV preview loaded. Found ${data.length} rows.`, 'success');
         } catch (error) {
@@ -1607,80 +6910,67 @@ function previewCSV() {
 }
 
 async function importCSV() {
-    if (!window.csvImportData) {
-        showMessage('Please preview the CSV file first.', 'error');
+    if (!window.csvImportReport) {
+        showMessage('Please validate the CSV file first.', 'error');
+        return;
+    }
+    
+    const selectedTrades = window.csvImportReport.filter(item => item.selected && item.trade).map(item => item.trade);
+    if (selectedTrades.length === 0) {
+        showMessage('No rows selected for import.', 'error');
         return;
     }
     
     try {
-        let importedCount = 0;
-        
-        for (const row of window.csvImportData) {
-            // Map CSV columns to trade object
-            const tradeData = {
-                date: row.date || row.Date,
-                ticker: (row.ticker || row.Ticker || '').toUpperCase(),
-                strategy: row.strategy || row.Strategy,
-                option_type: row.option_type || row.OptionType || 'CALL',
-                strike: parseFloat(row.strike || row.Strike) || null,
-                expiration: row.expiration || row.Expiration || null,
-                quantity: parseInt(row.quantity || row.Quantity) || 1,
-                entry_price: parseFloat(row.entry_price || row.EntryPrice) || 0,
-                exit_price: parseFloat(row.exit_price || row.ExitPrice) || null,
-                premium: parseFloat(row.premium || row.Premium) || 0,
-                fees: parseFloat(row.fees || row.Fees) || 0,
-                net_pl: parseFloat(row.net_pl || row.NetPL || row.PL) || 0,
-                outcome: row.outcome || row.Outcome || 'Win',
-                delta: parseFloat(row.delta || row.Delta) || null,
-                gamma: parseFloat(row.gamma || row.Gamma) || null,
-                theta: parseFloat(row.theta || row.Theta) || null,
-                vega: parseFloat(row.vega || row.Vega) || null,
-                trade_notes: row.trade_notes || row.TradeNotes || row.Notes || '',
-                post_trade_analysis: row.post_trade_analysis || row.PostTradeAnalysis || row.Analysis || ''
-            };
-            
-            // Validate required fields
-            if (tradeData.date && tradeData.ticker && tradeData.strategy) {
-                await addTrade(tradeData);
-                importedCount++;
-            }
-        }
+        const profile = window.csvImportReportProfile;
+        const accountId = window.csvImportReportAccount;
+        const importedTrades = await commitImportedTrades(selectedTrades, accountId);
         
         // Clean up
         delete window.csvImportData;
+        delete window.csvImportHeaders;
+        delete window.csvImportProfile;
+        delete window.csvImportReportProfile;
+        delete window.csvImportReportAccount;
+        invalidateImportReport();
         document.getElementById('csvFileInput').value = '';
         document.getElementById('csvPreview').style.display = 'none';
-        document.getElementById('importCsvBtn').disabled = true;
+        document.getElementById('validateCsvBtn').disabled = true;
         
-        displayTrades();
+        renderTradeHistory();
         updateDashboard();
-        updateFilters();
         
-        showMessage(`Successfully imported ${importedCount} trades!`, 'success');
+        showMessage(`Successfully imported ${importedTrades.length} trades from ${profile.name} into ${getAccountName(accountId)}!`, 'success');
     } catch (error) {
         console.error('Failed to import CSV:', error);
-        showMessage('Failed to import CSV. Please try again.', 'error');
+        showMessage('Import failed and was rolled back. No trades were added: ' + error.message, 'error');
     }
 }
 
 function exportToCSV() {
-    if (allTrades.length === 0) {
+    const trades = getScopedTrades();
+    if (trades.length === 0) {
         showMessage('No trades to export.', 'error');
         return;
     }
     
     try {
         const headers = [
-            'date', 'ticker', 'strategy', 'option_type', 'strike', 'expiration',
+            'date', 'entry_time', 'exit_time', 'timezone', 'ticker', 'strategy', 'option_type', 'strike', 'expiration',
             'quantity', 'entry_price', 'exit_price', 'premium', 'fees', 'net_pl',
-            'outcome', 'delta', 'gamma', 'theta', 'vega', 'trade_notes', 'post_trade_analysis'
+            'outcome', 'planned_stop', 'planned_target', 'initial_risk',
+            'tags', 'setups', 'mistakes', 'emotions',
+            'delta', 'gamma', 'theta', 'vega', 'trade_notes', 'post_trade_analysis', 'legs', 'account'
         ];
         
         let csv = headers.join(',') + '\n';
         
-        allTrades.forEach(trade => {
+        trades.forEach(trade => {
             const row = headers.map(header => {
-                let value = trade[header] || '';
+                let value = header === 'legs' ? JSON.stringify(trade.legs || [])
+                    : header === 'account' ? getAccountName(getRecordAccountId(trade))
+                    : Array.isArray(trade[header]) ? trade[header].join('; ')
+                    : trade[header] || '';
                 // Escape quotes and wrap in quotes if contains comma or quote
                 if (typeof value === 'string' && (value.includes(',') || value.includes('"') || value.includes('\n'))) {
                     value = '"' + value.replace(/"/g, '""') + '"';
@@ -1691,15 +6981,8 @@ function exportToCSV() {
         });
         
         // Download CSV
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `trading_journal_${new Date().toISOString().split('T')[0]}.csv`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        window.URL.revokeObjectURL(url);
+        const scope = isConsolidatedView() ? 'all_accounts' : getAccountName(activeAccountId).toLowerCase().replace(/[^a-z0-9]+/g, '_');
+        downloadFile(csv, `trading_journal_${scope}_${getTodayKey()}.csv`, 'text/csv');
         
         showMessage('CSV exported successfully!', 'success');
     } catch (error) {
@@ -1708,6 +6991,238 @@ function exportToCSV() {
     }
 }
 
+// Backup & Restore
+// A backup is a JSON snapshot of every object store plus the schema it was
+// taken from. Older backups are migrated up to DB_VERSION before restoring.
+const BACKUP_FORMAT = 'trading-journal-backup';
+const BACKUP_FORMAT_VERSION = 1;
+
+// Record migrations keyed by the database version that introduced them
+const BACKUP_MIGRATIONS = [
+    {
+        version: 4,
+        migrate(stores) {
+            (stores.trades?.records || []).forEach((trade, index, records) => {
+                if (!Array.isArray(trade.legs)) records[index] = ensureTradeLegs(trade);
+            });
+        }
+    },
+    {
+        version: 8,
+        migrate(stores) {
+            ['trades', 'ledger', 'portfolioHistory'].forEach(name => {
+                (stores[name]?.records || []).forEach(record => {
+                    record.account_id = record.account_id || DEFAULT_ACCOUNT_ID;
+                });
+            });
+        }
+    }
+];
+
+// Blobs (attachment images) don't survive JSON, so a backup carries each
+// top-level Blob field as { $blob: dataUrl } and restore turns it back
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+function dataUrlToBlob(dataUrl) {
+    const [header, data] = dataUrl.split(',');
+    const bytes = atob(data);
+    const array = new Uint8Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) {
+        array[i] = bytes.charCodeAt(i);
+    }
+    return new Blob([array], { type: header.slice(5).split(';')[0] });
+}
+
+async function encodeBackupRecord(record) {
+    const encoded = { ...record };
+    for (const [key, value] of Object.entries(record)) {
+        if (value instanceof Blob) encoded[key] = { $blob: await blobToDataUrl(value) };
+    }
+    return encoded;
+}
+
+function decodeBackupRecord(record) {
+    const decoded = { ...record };
+    Object.entries(record).forEach(([key, value]) => {
+        if (value && typeof value.$blob === 'string') decoded[key] = dataUrlToBlob(value.$blob);
+    });
+    return decoded;
+}
+
+async function createBackup() {
+    const storeNames = Array.from(db.objectStoreNames);
+    const tx = db.transaction(storeNames, 'readonly');
+    const stores = {};
+    
+    for (const name of storeNames) {
+        const store = tx.objectStore(name);
+        stores[name] = {
+            keyPath: store.keyPath,
+            autoIncrement: store.autoIncrement,
+            indexes: Array.from(store.indexNames).map(indexName => {
+                const index = store.index(indexName);
+                return { name: indexName, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+            }),
+            records: await store.getAll()
+        };
+    }
+    await tx.done;
+    
+    for (const store of Object.values(stores)) {
+        store.records = await Promise.all(store.records.map(encodeBackupRecord));
+    }
+    
+    return {
+        format: BACKUP_FORMAT,
+        formatVersion: BACKUP_FORMAT_VERSION,
+        database: DB_NAME,
+        schemaVersion: db.version,
+        createdAt: new Date().toISOString(),
+        stores
+    };
+}
+
+async function downloadBackup() {
+    try {
+        const backup = await createBackup();
+        const recordCount = Object.values(backup.stores).reduce((sum, store) => sum + store.records.length, 0);
+        
+        downloadFile(JSON.stringify(backup, null, 2), `trading_journal_backup_${getTodayKey()}.json`, 'application/json');
+        showMessage(`Backup saved: ${recordCount} records from ${Object.keys(backup.stores).length} stores.`, 'success');
+    } catch (error) {
+        console.error('Failed to create backup:', error);
+        showMessage('Failed to create backup. Please try again.', 'error');
+    }
+}
+
+function migrateBackup(backup) {
+    if (!backup || backup.format !== BACKUP_FORMAT || typeof backup.stores !== 'object') {
+        throw new Error('This file is not a Trading Journal backup');
+    }
+    if (backup.formatVersion > BACKUP_FORMAT_VERSION || backup.schemaVersion > DB_VERSION) {
+        throw new Error('This backup was made by a newer version of the journal');
+    }
+    
+    const stores = JSON.parse(JSON.stringify(backup.stores));
+    BACKUP_MIGRATIONS
+        .filter(migration => backup.schemaVersion < migration.version)
+        .forEach(migration => migration.migrate(stores));
+    
+    return { ...backup, schemaVersion: DB_VERSION, stores };
+}
+
+// mode 'replace' empties every store first; 'merge' keeps local records, adds
+// missing ones and takes the backup copy of a trade only when it is newer
+async function restoreBackup(backup, mode) {
+    const migrated = migrateBackup(backup);
+    const storeNames = Array.from(db.objectStoreNames);
+    const skippedStores = Object.keys(migrated.stores).filter(name => !storeNames.includes(name));
+    const summary = { added: 0, updated: 0, unchanged: 0, skippedStores };
+    const tx = db.transaction(storeNames, 'readwrite');
+    
+    // Backup trade id -> id it ended up under locally, when they differ
+    let tradeIds = new Map();
+    const mapTradeId = id => tradeIds.has(id) ? tradeIds.get(id) : id;
+    const restoreOrder = [...storeNames].sort((a, b) => (b === 'trades') - (a === 'trades'));
+    
+    try {
+        for (const name of restoreOrder) {
+            const store = tx.objectStore(name);
+            const remap = TRADE_ID_REFERENCES[name];
+            const records = (migrated.stores[name]?.records || [])
+                .map(decodeBackupRecord)
+                .map(record => remap ? remap(record, mapTradeId) : record);
+            
+            if (mode === 'replace') {
+                await store.clear();
+                for (const record of records) {
+                    await store.put(record);
+                    summary.added++;
+                }
+                continue;
+            }
+            
+            const keyChanges = await mergeStoreRecords(store, records, summary);
+            if (name === 'trades') tradeIds = keyChanges;
+        }
+        await tx.done;
+    } catch (error) {
+        try {
+            tx.abort();
+        } catch (abortError) {
+            // Already aborted
+        }
+        await tx.done.catch(() => {});
+        throw error;
+    }
+    
+    return summary;
+}
+
+function handleRestoreBackup() {
+    const fileInput = document.getElementById('backupFileInput');
+    if (!fileInput.files.length) {
+        showMessage('Please select a backup file first.', 'error');
+        return;
+    }
+    
+    const mode = document.getElementById('restoreMode').value;
+    if (mode === 'replace' && !confirm('Replace mode deletes everything currently in the journal and restores the backup in its place. Continue?')) {
+        return;
+    }
+    
+    const reader = new FileReader();
+    reader.onload = async function(e) {
+        try {
+            const backup = JSON.parse(e.target.result);
+            const summary = await restoreBackup(backup, mode);
+            
+            await loadPortfolioSettings();
+            await loadAppSettings();
+            loadActiveAccount();
+            renderAccountSelects();
+            renderTradeChecklist();
+            await loadImportMappings();
+            await loadLedger();
+            await loadJournal();
+            await loadLimitBreaches();
+            await loadTrades();
+            renderTradeHistory();
+            updateDashboard();
+            fileInput.value = '';
+            
+            let message = `Backup restored (${mode}): ${summary.added} added, ${summary.updated} updated, ${summary.unchanged} unchanged.`;
+            if (summary.skippedStores.length > 0) {
+                message += ` Skipped unknown stores: ${summary.skippedStores.join(', ')}.`;
+            }
+            showMessage(message, 'success');
+        } catch (error) {
+            console.error('Failed to restore backup:', error);
+            showMessage('Restore failed. Nothing was changed: ' + error.message, 'error');
+        }
+    };
+    reader.readAsText(fileInput.files[0]);
+}
+
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+}
+
 // Utility Functions
 function formatDate(dateString) {
     return new Date(dateString).toLocaleDateString('en-US', {
@@ -1717,6 +7232,19 @@ function formatDate(dateString) {
     });
 }
 
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatGreek(value) {
+    return value === null || value === undefined ? 'N/A' : parseFloat(value.toFixed(4));
+}
+
 function formatCurrency(amount) {
     return new Intl.NumberFormat('en-US', {
         style: 'currency',
@@ -1724,6 +7252,15 @@ function formatCurrency(amount) {
     }).format(amount);
 }
 
+function formatPercent(ratio) {
+    return `${(ratio * 100).toFixed(2)}%`;
+}
+
+// Ratios that can't be computed yet (too little history, no losses) show a dash
+function formatRatio(value) {
+    return value === null ? '—' : value.toFixed(2);
+}
+
 function showMessage(message, type = 'info') {
     // Remove any existing messages
     const existingMessage = document.querySelector('.message');
@@ -1753,3 +7290,6 @@ window.sortTradesByColumn = sortTradesByColumn;
 window.openEditModal = openEditModal;
 window.openViewModal = openViewModal;
 window.confirmDeleteTrade = confirmDeleteTrade;
+window.openFillModal = openFillModal;
+window.updatePositionMark = updatePositionMark;
+window.deleteLedgerEntry = deleteLedgerEntry;
@@ -0,0 +1,91 @@
+// Trading Journal - Backup Merge
+// How a backup's records are merged into the local stores. Like trades.js this
+// runs both as a plain browser script and as a CommonJS module for the tests.
+
+// Records created independently on two devices can share an auto-increment id,
+// so they only count as the same record when their creation stamps agree
+function isSameRecord(existing, incoming) {
+    if (existing.created_at || incoming.created_at) return existing.created_at === incoming.created_at;
+    if (existing.timestamp || incoming.timestamp) return existing.timestamp === incoming.timestamp;
+    return JSON.stringify(existing) === JSON.stringify(incoming);
+}
+
+function isNewerRecord(existing, incoming) {
+    return Boolean(incoming.updated_at) && (!existing.updated_at || incoming.updated_at > existing.updated_at);
+}
+
+// Stores whose records point at trades by id. A merge can store a backup
+// trade under a new id, so these are rewritten to follow it.
+const TRADE_ID_REFERENCES = {
+    attachments: (record, mapId) => ({ ...record, trade_id: mapId(record.trade_id) }),
+    limitBreaches: (record, mapId) => ({
+        ...record,
+        overrides: (record.overrides || []).map(override => ({ ...override, trade_id: mapId(override.trade_id) }))
+    })
+};
+
+// Merges one store's backup records into it: local records are kept, missing
+// ones are added and an auto-increment record is taken from the backup only
+// when it is newer. store needs keyPath, autoIncrement, getAll, put and add,
+// like an idb object store. Counts go into summary; returns backup key ->
+// local key for every record that is held under a different key.
+async function mergeStoreRecords(store, records, summary) {
+    const keyPath = store.keyPath;
+    const existingRecords = await store.getAll();
+    const existingByKey = new Map(existingRecords.map(record => [record[keyPath], record]));
+    const remember = record => {
+        existingRecords.push(record);
+        existingByKey.set(record[keyPath], record);
+    };
+    const keyChanges = new Map();
+    const collisions = [];
+    
+    // Records that keep their key go first, so a re-keyed record can never
+    // take a key that a later backup record needs
+    for (const record of records) {
+        const key = record[keyPath];
+        const existing = existingByKey.get(key);
+        
+        if (existing && (!store.autoIncrement || isSameRecord(existing, record))) {
+            if (store.autoIncrement && isNewerRecord(existing, record)) {
+                await store.put(record);
+                summary.updated++;
+            } else {
+                summary.unchanged++;
+            }
+            continue;
+        }
+        
+        const match = store.autoIncrement && existingRecords.find(candidate => isSameRecord(candidate, record));
+        if (match) {
+            keyChanges.set(key, match[keyPath]);
+            summary.unchanged++;
+        } else if (!existing) {
+            await store.put(record);
+            remember(record);
+            summary.added++;
+        } else {
+            collisions.push(record);
+        }
+    }
+    
+    // Same id, different record: store it under a fresh key
+    for (const record of collisions) {
+        const { [keyPath]: key, ...data } = record;
+        const localKey = await store.add(data);
+        remember({ ...data, [keyPath]: localKey });
+        keyChanges.set(key, localKey);
+        summary.added++;
+    }
+    
+    return keyChanges;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isSameRecord,
+        isNewerRecord,
+        TRADE_ID_REFERENCES,
+        mergeStoreRecords
+    };
+}
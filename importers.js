@@ -0,0 +1,578 @@
+// Trading Journal - CSV Importers
+// CSV parsing and the broker importer profiles. Like trades.js this runs both
+// as a plain browser script and as a CommonJS module for the tests.
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./trades.js'));
+}
+
+// CSV Import/Export
+function parseCSV(csvText) {
+    const lines = csvText.trim().split(/\r?\n/);
+    const headers = parseCSVLine(lines[0]);
+    const data = [];
+    
+    for (let i = 1; i < lines.length; i++) {
+        if (lines[i].trim()) {
+            const values = parseCSVLine(lines[i]);
+            const row = {};
+            headers.forEach((header, index) => {
+                row[header] = values[index] || '';
+            });
+            data.push(row);
+        }
+    }
+    
+    return { headers, data };
+}
+
+function parseCSVLine(line) {
+    const result = [];
+    let current = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        const nextChar = line[i + 1];
+        
+        if (char === '"' && inQuotes && nextChar === '"') {
+            current += '"';
+            i++; // Skip next quote
+        } else if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (char === ',' && !inQuotes) {
+            result.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    
+    result.push(current);
+    return result;
+}
+
+
+
+// Importer Profiles
+// Each profile recognises a CSV layout from its header row and turns the rows
+// into journal trades. Broker profiles only describe how to read a fill; the
+// shared pipeline groups fills into round trips and builds multi-leg trades.
+// Profiles never touch the DOM or the database so they can be run against
+// the sample files in samples/importers.
+const MONTH_ABBREVIATIONS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+const IMPORTER_PROFILES = [
+    {
+        id: 'journal',
+        name: 'Trading Journal CSV',
+        detect: (headers) => hasHeaders(headers, ['date', 'ticker', 'strategy']),
+        toTrades: (rows) => ({ trades: rows.map((row, index) => ({ ...mapJournalRow(row), import_rows: [index + 1] })), warnings: [] })
+    },
+    createFillsProfile({
+        id: 'tastytrade',
+        name: 'Tastytrade transactions',
+        requiredHeaders: ['Date', 'Action', 'Symbol', 'Instrument Type', 'Quantity', 'Average Price'],
+        parseFills: (rows) => rows.map(row => {
+            const action = (getColumn(row, 'Action') || '').toUpperCase().match(/^(BUY|SELL)_TO_(OPEN|CLOSE)$/);
+            if (!action) return null;
+            
+            const instrument = (getColumn(row, 'Instrument Type') || '').toLowerCase();
+            const multiplier = parseImportNumber(getColumn(row, 'Multiplier')) || (instrument.includes('option') ? 100 : 1);
+            const contract = instrument.includes('option')
+                ? parseOptionSymbol(getColumn(row, 'Symbol'))
+                : { ticker: getColumn(row, 'Symbol'), option_type: 'STOCK', strike: null, expiration: null };
+            const timestamp = parseImportDate(getColumn(row, 'Date'));
+            
+            return contract && timestamp && {
+                ...contract,
+                ...timestamp,
+                side: action[1],
+                effect: action[2].toLowerCase(),
+                quantity: Math.abs(parseImportNumber(getColumn(row, 'Quantity'))),
+                price: Math.abs(parseImportNumber(getColumn(row, 'Average Price')) || 0) / multiplier,
+                fees: (parseImportNumber(getColumn(row, 'Commissions')) || 0) + (parseImportNumber(getColumn(row, 'Fees')) || 0),
+                order_id: getColumn(row, 'Order #') || null
+            };
+        })
+    }),
+    createFillsProfile({
+        id: 'thinkorswim',
+        name: 'thinkorswim account trade history',
+        requiredHeaders: ['Exec Time', 'Side', 'Qty', 'Pos Effect', 'Symbol', 'Type', 'Price'],
+        // Commissions are only listed in the statement's Cash Balance section
+        tradeWarnings: ['Fees not imported: thinkorswim trade history has no fee columns, add them from the Cash Balance section'],
+        // Legs of a spread order follow the first row with a blank Exec Time
+        parseFills: (rows) => {
+            let lastExecTime = null;
+            return rows.map(row => {
+                lastExecTime = getColumn(row, 'Exec Time') || lastExecTime;
+                const type = (getColumn(row, 'Type') || '').toUpperCase();
+                const timestamp = parseImportDate(lastExecTime);
+                const side = (getColumn(row, 'Side') || '').toUpperCase();
+                if (!timestamp || !['BUY', 'SELL'].includes(side)) return null;
+                
+                return {
+                    ticker: (getColumn(row, 'Symbol') || '').toUpperCase(),
+                    option_type: type === 'CALL' || type === 'PUT' ? type : 'STOCK',
+                    strike: type === 'CALL' || type === 'PUT' ? parseImportNumber(getColumn(row, 'Strike')) : null,
+                    expiration: type === 'CALL' || type === 'PUT' ? parseExpirationDate(getColumn(row, 'Exp')) : null,
+                    ...timestamp,
+                    side: side,
+                    effect: (getColumn(row, 'Pos Effect') || '').toUpperCase().includes('CLOSE') ? 'close' : 'open',
+                    quantity: Math.abs(parseImportNumber(getColumn(row, 'Qty'))),
+                    price: Math.abs(parseImportNumber(getColumn(row, 'Price')) || 0),
+                    fees: 0,
+                    order_id: lastExecTime
+                };
+            });
+        }
+    }),
+    createFillsProfile({
+        id: 'ibkr',
+        name: 'Interactive Brokers Flex trades',
+        requiredHeaders: ['Symbol', 'TradeDate', 'Quantity', 'TradePrice', 'Open/CloseIndicator'],
+        parseFills: (rows) => rows.map(row => {
+            const quantity = parseImportNumber(getColumn(row, 'Quantity'));
+            const isOption = (getColumn(row, 'AssetClass') || 'OPT').toUpperCase() === 'OPT';
+            const contract = isOption
+                ? parseOptionSymbol(getColumn(row, 'Symbol'))
+                : { ticker: getColumn(row, 'Symbol'), option_type: 'STOCK', strike: null, expiration: null };
+            const timestamp = parseImportDate(getColumn(row, 'DateTime') || getColumn(row, 'TradeDate'));
+            if (!contract || !timestamp || !quantity) return null;
+            
+            return {
+                ...contract,
+                ...timestamp,
+                side: quantity > 0 ? 'BUY' : 'SELL',
+                effect: (getColumn(row, 'Open/CloseIndicator') || '').toUpperCase().startsWith('C') ? 'close' : 'open',
+                quantity: Math.abs(quantity),
+                price: Math.abs(parseImportNumber(getColumn(row, 'TradePrice')) || 0),
+                fees: parseImportNumber(getColumn(row, 'IBCommission')) || 0,
+                order_id: getColumn(row, 'IBOrderID') || getColumn(row, 'OrderID') || null
+            };
+        })
+    }),
+    createFillsProfile({
+        id: 'generic-fills',
+        name: 'Generic fills (Date, Symbol, Side, Quantity, Price)',
+        requiredHeaders: ['Date', 'Symbol', 'Side', 'Quantity', 'Price'],
+        parseFills: (rows) => rows.map(row => {
+            const side = (getColumn(row, 'Side') || '').toUpperCase();
+            const parsedSide = { BTO: ['BUY', 'open'], STO: ['SELL', 'open'], BTC: ['BUY', 'close'], STC: ['SELL', 'close'], BUY: ['BUY', null], SELL: ['SELL', null] }[side];
+            const symbol = getColumn(row, 'Symbol') || '';
+            const contract = parseOptionSymbol(symbol) || { ticker: symbol.trim().toUpperCase(), option_type: 'STOCK', strike: null, expiration: null };
+            const timestamp = parseImportDate([getColumn(row, 'Date'), getColumn(row, 'Time')].filter(Boolean).join(' '));
+            if (!parsedSide || !timestamp) return null;
+            
+            return {
+                ...contract,
+                ...timestamp,
+                side: parsedSide[0],
+                effect: parsedSide[1],
+                quantity: Math.abs(parseImportNumber(getColumn(row, 'Quantity'))),
+                price: Math.abs(parseImportNumber(getColumn(row, 'Price')) || 0),
+                fees: -Math.abs(parseImportNumber(getColumn(row, 'Fees')) || 0),
+                order_id: getColumn(row, 'Order ID') || null
+            };
+        })
+    })
+];
+
+// tradeWarnings are put on every trade the profile builds and shown in the
+// import report, for data the source format can't supply
+function createFillsProfile({ id, name, requiredHeaders, parseFills, tradeWarnings = [] }) {
+    return {
+        id,
+        name,
+        detect: (headers) => hasHeaders(headers, requiredHeaders),
+        // Timestamps without a UTC offset are read on timeZone's clock; ones
+        // with an offset are exact and are moved onto that clock
+        toTrades: (rows, { timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC' } = {}) => {
+            const fills = parseFills(rows)
+                .map((fill, index) => fill && { ...toZoneClock(fill, timeZone), row: index + 1 })
+                .filter(fill => fill && fill.quantity > 0);
+            const { roundTrips, warnings } = groupFillsIntoRoundTrips(fills);
+            const trades = buildTradesFromRoundTrips(roundTrips, name, timeZone);
+            return {
+                trades: tradeWarnings.length > 0 ? trades.map(trade => ({ ...trade, import_warnings: tradeWarnings })) : trades,
+                warnings
+            };
+        }
+    };
+}
+
+function detectImporterProfile(headers, profiles = IMPORTER_PROFILES) {
+    return profiles.find(profile => profile.detect(headers)) || null;
+}
+
+function hasHeaders(headers, required) {
+    const normalized = headers.map(header => header.trim().toLowerCase());
+    return required.every(header => normalized.includes(header.toLowerCase()));
+}
+
+// Case- and whitespace-insensitive column lookup
+function getColumn(row, name) {
+    const key = Object.keys(row).find(header => header.trim().toLowerCase() === name.toLowerCase());
+    const value = key !== undefined ? row[key] : undefined;
+    return typeof value === 'string' ? value.trim() : value;
+}
+
+function parseImportNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = parseFloat(String(value).replace(/[$,\s]/g, '').replace(/^\((.*)\)$/, '-$1'));
+    return isNaN(number) ? null : number;
+}
+
+// Accepts 'SPY 241220C450', 'SPY241220P450.5', '.SPY241220C450' and
+// OCC symbols such as 'SPY   241220C00450000'
+function parseOptionSymbol(symbol) {
+    const match = (symbol || '').trim().toUpperCase().match(/^\.?([A-Z][A-Z0-9.\/]*?)\s*(\d{2})(\d{2})(\d{2})([CP])(\d+(?:\.\d+)?)$/);
+    if (!match) return null;
+    
+    const [, ticker, year, month, day, type, strikeText] = match;
+    const strike = strikeText.length === 8 && !strikeText.includes('.') ? parseInt(strikeText) / 1000 : parseFloat(strikeText);
+    
+    return {
+        ticker: ticker,
+        option_type: type === 'C' ? 'CALL' : 'PUT',
+        strike: strike,
+        expiration: `20${year}-${month}-${day}`
+    };
+}
+
+// Returns the trade date and, when the source has one, a sortable local timestamp
+function parseImportDate(value) {
+    const text = (value || '').trim();
+    let match;
+    let date = null;
+    let time = null;
+    
+    let offset = null;
+    
+    if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?\s*(Z|[+-]\d{2}:?\d{2})?)?/i))) {
+        date = `${match[1]}-${match[2]}-${match[3]}`;
+        if (match[4]) time = `${match[4]}:${match[5]}:${match[6] || '00'}`;
+        if (match[7]) offset = match[7].toUpperCase() === 'Z' ? 'Z' : match[7].replace(/^([+-]\d{2}):?(\d{2})$/, '$1:$2');
+    } else if ((match = text.match(/^(\d{4})(\d{2})(\d{2})(?:[;\s,]+(\d{2}):?(\d{2}):?(\d{2}))?/))) {
+        date = `${match[1]}-${match[2]}-${match[3]}`;
+        if (match[4]) time = `${match[4]}:${match[5]}:${match[6]}`;
+    } else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})(?:[\s,]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/))) {
+        const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+        date = `${year}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+        if (match[4]) time = `${match[4].padStart(2, '0')}:${match[5]}:${match[6] || '00'}`;
+    }
+    
+    if (!date) return null;
+    return { date, timestamp: time ? `${date}T${time}` : null, offset };
+}
+
+// Re-reads a parsed date whose timestamp has a UTC offset ('Z' or '+HH:MM')
+// as the date and time on timeZone's clock
+function toZoneClock(parsed, timeZone) {
+    const { offset, ...rest } = parsed;
+    if (!offset || !parsed.timestamp) return rest;
+    
+    const parts = getZonedParts(Date.parse(`${parsed.timestamp}${offset}`), timeZone);
+    return { ...rest, date: parts.dateKey, timestamp: `${parts.dateKey}T${parts.time}:${parts.second}` };
+}
+
+function parseExpirationDate(value) {
+    const text = (value || '').trim().toUpperCase();
+    const match = text.match(/^(\d{1,2})\s+([A-Z]{3})\s+(\d{2}|\d{4})$/);
+    if (match) {
+        const month = MONTH_ABBREVIATIONS.indexOf(match[2]) + 1;
+        const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+        return month > 0 ? `${year}-${String(month).padStart(2, '0')}-${match[1].padStart(2, '0')}` : null;
+    }
+    
+    const parsed = parseImportDate(text);
+    return parsed ? parsed.date : null;
+}
+
+function getContractKey(fill) {
+    return [fill.ticker, fill.option_type, fill.strike, fill.expiration].join('|');
+}
+
+// Walks fills in time order per contract. A round trip starts when the
+// position leaves zero and ends when it returns there; a fill that flips the
+// position closes one round trip and opens the next.
+function groupFillsIntoRoundTrips(fills) {
+    const roundTrips = [];
+    const openRoundTrips = {};
+    const warnings = [];
+    
+    const orderedFills = [...fills].sort((a, b) => (a.timestamp || a.date).localeCompare(b.timestamp || b.date));
+    
+    orderedFills.forEach(fill => {
+        const key = getContractKey(fill);
+        let remaining = fill.quantity;
+        let roundTrip = openRoundTrips[key];
+        
+        if (!roundTrip && fill.effect === 'close') {
+            warnings.push(`Row ${fill.row}: skipped closing fill for ${fill.ticker} ${fill.option_type} ${fill.strike || ''} on ${fill.date} with no opening fill in the file`);
+            return;
+        }
+        
+        if (roundTrip && roundTrip.side !== fill.side) {
+            const closing = Math.min(remaining, roundTrip.position);
+            roundTrip.closeFills.push({ ...fill, quantity: closing, fees: fill.fees * closing / fill.quantity });
+            roundTrip.position -= closing;
+            remaining -= closing;
+            
+            if (roundTrip.position === 0) {
+                delete openRoundTrips[key];
+                roundTrip = null;
+            }
+        }
+        
+        if (remaining > 0) {
+            if (!roundTrip) {
+                roundTrip = { key, side: fill.side, position: 0, openFills: [], closeFills: [] };
+                openRoundTrips[key] = roundTrip;
+                roundTrips.push(roundTrip);
+            }
+            roundTrip.openFills.push({ ...fill, quantity: remaining, fees: fill.fees * remaining / fill.quantity });
+            roundTrip.position += remaining;
+        }
+    });
+    
+    return { roundTrips, warnings };
+}
+
+function averageFillPrice(fills) {
+    const quantity = fills.reduce((sum, fill) => sum + fill.quantity, 0);
+    if (quantity === 0) return null;
+    return Math.round(fills.reduce((sum, fill) => sum + fill.price * fill.quantity, 0) / quantity * 10000) / 10000;
+}
+
+// Round trips opened by the same order (or at the same second) on the same
+// underlying and closed the same way become the legs of one trade
+function buildTradesFromRoundTrips(roundTrips, sourceName, timeZone) {
+    const groups = {};
+    
+    roundTrips.forEach((roundTrip, index) => {
+        const firstFill = roundTrip.openFills[0];
+        const orderRef = firstFill.order_id || firstFill.timestamp || `trip-${index}`;
+        const closed = roundTrip.position === 0;
+        const groupKey = [firstFill.ticker, orderRef, closed].join('|');
+        (groups[groupKey] = groups[groupKey] || []).push(roundTrip);
+    });
+    
+    return Object.values(groups).map(group => {
+        const legs = group.map(roundTrip => {
+            const fill = roundTrip.openFills[0];
+            return {
+                side: roundTrip.side,
+                option_type: fill.option_type,
+                strike: fill.strike,
+                expiration: fill.expiration,
+                quantity: roundTrip.openFills.reduce((sum, f) => sum + f.quantity, 0),
+                entry_price: averageFillPrice(roundTrip.openFills),
+                exit_price: roundTrip.position === 0 ? averageFillPrice(roundTrip.closeFills) : null,
+                delta: null,
+                gamma: null,
+                theta: null,
+                vega: null
+            };
+        });
+        
+        const allFills = group.flatMap(roundTrip => [...roundTrip.openFills, ...roundTrip.closeFills]);
+        const fees = roundMoney(allFills.reduce((sum, fill) => sum + (fill.fees || 0), 0));
+        const openDate = group.map(roundTrip => roundTrip.openFills[0].date).sort()[0];
+        const closeDates = group.flatMap(roundTrip => roundTrip.closeFills.map(fill => fill.date)).sort();
+        const closed = group.every(roundTrip => roundTrip.position === 0);
+        
+        const openTimestamp = group.map(roundTrip => roundTrip.openFills[0].timestamp).filter(Boolean).sort()[0];
+        const closeTimestamps = group.flatMap(roundTrip => roundTrip.closeFills.map(fill => fill.timestamp)).filter(Boolean).sort();
+        const exitTimestamp = closed ? closeTimestamps[closeTimestamps.length - 1] : null;
+        
+        const legFields = buildTradeFromLegs(legs, { quantity: 0, premium: 0, fees });
+        let fills;
+        
+        if (group.length === 1) {
+            // A single contract keeps every scale-in and partial close
+            const sign = group[0].side === 'SELL' ? -1 : 1;
+            const toFill = (fill, action) => ({ date: fill.date, action, quantity: fill.quantity, price: fill.price * sign, fees: roundMoney(fill.fees || 0) });
+            fills = [
+                ...group[0].openFills.map((fill, index) => toFill(fill, index === 0 ? 'open' : 'add')),
+                ...group[0].closeFills.map(fill => toFill(fill, 'close'))
+            ];
+        } else {
+            fills = [{ date: openDate, action: 'open', quantity: legFields.quantity, price: legFields.entry_price, fees }];
+            if (closed) {
+                fills.push({ date: closeDates[closeDates.length - 1], action: 'close', quantity: legFields.quantity, price: legFields.exit_price, fees: 0 });
+            }
+        }
+        
+        return applyPositionState({
+            date: openDate,
+            entry_time: openTimestamp ? zonedTimeToUtc(openTimestamp, timeZone) : null,
+            exit_time: exitTimestamp ? zonedTimeToUtc(exitTimestamp, timeZone) : null,
+            timezone: openTimestamp || exitTimestamp ? timeZone : null,
+            ticker: group[0].openFills[0].ticker,
+            strategy: inferStrategy(legs),
+            ...legFields,
+            premium: roundMoney(-legFields.entry_price * legFields.quantity * legFields.multiplier),
+            fees: fees,
+            fills: fills,
+            trade_notes: `Imported from ${sourceName}`,
+            post_trade_analysis: '',
+            import_rows: [...new Set(allFills.map(fill => fill.row))].sort((a, b) => a - b)
+        });
+    });
+}
+
+// Names the structure using the strategy dropdown's vocabulary
+function inferStrategy(legs) {
+    const options = legs.filter(leg => leg.option_type !== 'STOCK');
+    const stock = legs.find(leg => leg.option_type === 'STOCK');
+    const calls = options.filter(leg => leg.option_type === 'CALL');
+    const puts = options.filter(leg => leg.option_type === 'PUT');
+    const expirations = new Set(options.map(leg => leg.expiration));
+    const strikes = new Set(options.map(leg => leg.strike));
+    
+    if (stock && options.length === 1) {
+        if (calls.length === 1 && calls[0].side === 'SELL' && stock.side === 'BUY') return 'Covered Call';
+        if (puts.length === 1 && puts[0].side === 'BUY' && stock.side === 'BUY') return 'Protective Put';
+    }
+    if (stock) return 'Custom';
+    
+    if (options.length === 1) {
+        const leg = options[0];
+        return `${leg.side === 'BUY' ? 'Long' : 'Short'} ${leg.option_type === 'CALL' ? 'Call' : 'Put'}`;
+    }
+    
+    if (options.length === 2) {
+        const [first, second] = options;
+        if (expirations.size > 1) return strikes.size === 1 ? 'Calendar Spread' : 'Diagonal Spread';
+        
+        if (calls.length === 1 && puts.length === 1 && first.side === second.side) {
+            const direction = first.side === 'BUY' ? 'Long' : 'Short';
+            return `${direction} ${strikes.size === 1 ? 'Straddle' : 'Strangle'}`;
+        }
+        
+        if (first.option_type === second.option_type && first.side !== second.side && first.quantity === second.quantity) {
+            const bought = options.find(leg => leg.side === 'BUY');
+            const sold = options.find(leg => leg.side === 'SELL');
+            if (first.option_type === 'CALL') {
+                return bought.strike < sold.strike ? 'Bull Call Spread' : 'Bear Call Spread';
+            }
+            return bought.strike > sold.strike ? 'Bear Put Spread' : 'Bull Put Spread';
+        }
+        
+        if (first.option_type === second.option_type && first.side !== second.side) return 'Ratio Spread';
+    }
+    
+    if (options.length === 3 && expirations.size === 1 && (calls.length === 3 || puts.length === 3)) {
+        return 'Butterfly Spread';
+    }
+    
+    if (options.length === 4 && calls.length === 2 && puts.length === 2 && expirations.size === 1) {
+        const shortCall = calls.find(leg => leg.side === 'SELL');
+        const shortPut = puts.find(leg => leg.side === 'SELL');
+        if (shortCall && shortPut) {
+            return shortCall.strike === shortPut.strike ? 'Iron Butterfly' : 'Iron Condor';
+        }
+    }
+    
+    if (options.length === 4 && expirations.size === 1 && (calls.length === 4 || puts.length === 4)) {
+        return 'Condor';
+    }
+    
+    return 'Custom';
+}
+
+function parseLegsColumn(value) {
+    if (!value) return undefined;
+    try {
+        const legs = JSON.parse(value);
+        return Array.isArray(legs) ? legs : undefined;
+    } catch (error) {
+        console.warn('Ignoring malformed legs column:', value);
+        return undefined;
+    }
+}
+
+// Native export format, including the alternate column names older exports used
+function mapJournalRow(row) {
+    return {
+        date: row.date || row.Date,
+        entry_time: row.entry_time || null,
+        exit_time: row.exit_time || null,
+        timezone: row.timezone || null,
+        ticker: (row.ticker || row.Ticker || '').toUpperCase(),
+        strategy: row.strategy || row.Strategy,
+        option_type: row.option_type || row.OptionType || 'CALL',
+        strike: parseFloat(row.strike || row.Strike) || null,
+        expiration: row.expiration || row.Expiration || null,
+        quantity: parseInt(row.quantity || row.Quantity) || 1,
+        entry_price: parseFloat(row.entry_price || row.EntryPrice) || 0,
+        exit_price: parseFloat(row.exit_price || row.ExitPrice) || null,
+        premium: parseFloat(row.premium || row.Premium) || 0,
+        fees: parseFloat(row.fees || row.Fees) || 0,
+        net_pl: parseFloat(row.net_pl || row.NetPL || row.PL) || 0,
+        outcome: row.outcome || row.Outcome || 'Win',
+        planned_stop: parseOptionalNumber(row.planned_stop),
+        planned_target: parseOptionalNumber(row.planned_target),
+        initial_risk: parseOptionalNumber(row.initial_risk),
+        tags: parseLabelList(row.tags),
+        setups: parseLabelList(row.setups),
+        mistakes: parseLabelList(row.mistakes),
+        emotions: parseLabelList(row.emotions),
+        delta: parseFloat(row.delta || row.Delta) || null,
+        gamma: parseFloat(row.gamma || row.Gamma) || null,
+        theta: parseFloat(row.theta || row.Theta) || null,
+        vega: parseFloat(row.vega || row.Vega) || null,
+        trade_notes: row.trade_notes || row.TradeNotes || row.Notes || '',
+        post_trade_analysis: row.post_trade_analysis || row.PostTradeAnalysis || row.Analysis || '',
+        legs: parseLegsColumn(row.legs || row.Legs)
+    };
+}
+
+// Broker statements often put the trade table below other sections; when the
+// first line is not a known header, look for the first line that is and read
+// until the section ends at a blank line. The browser passes the saved
+// column mappings ahead of the built-in profiles.
+function parseImportFile(csvText, profiles = IMPORTER_PROFILES) {
+    const parsed = parseCSV(csvText);
+    let profile = detectImporterProfile(parsed.headers, profiles);
+    if (profile) {
+        return { ...parsed, profile };
+    }
+    
+    const lines = csvText.split(/\r?\n/);
+    for (let i = 1; i < lines.length; i++) {
+        if (!lines[i].trim()) continue;
+        profile = detectImporterProfile(parseCSVLine(lines[i]), profiles);
+        if (profile) {
+            const end = lines.findIndex((line, index) => index > i && !line.trim());
+            const section = lines.slice(i, end === -1 ? lines.length : end).join('\n');
+            return { ...parseCSV(section), profile };
+        }
+    }
+    
+    return { ...parsed, profile: null };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        IMPORTER_PROFILES,
+        parseCSV,
+        parseCSVLine,
+        parseLegsColumn,
+        createFillsProfile,
+        detectImporterProfile,
+        hasHeaders,
+        getColumn,
+        parseImportNumber,
+        parseOptionSymbol,
+        parseImportDate,
+        toZoneClock,
+        parseExpirationDate,
+        groupFillsIntoRoundTrips,
+        buildTradesFromRoundTrips,
+        inferStrategy,
+        mapJournalRow,
+        parseImportFile
+    };
+}
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TRADE_ID_REFERENCES, mergeStoreRecords } = require('../backup.js');
+
+// The parts of an idb object store the merge uses, kept in memory
+function createStore(records, { keyPath = 'id', autoIncrement = true } = {}) {
+    const byKey = new Map(records.map(record => [record[keyPath], { ...record }]));
+    return {
+        keyPath,
+        autoIncrement,
+        byKey,
+        getAll: async () => [...byKey.values()],
+        put: async record => {
+            byKey.set(record[keyPath], { ...record });
+            return record[keyPath];
+        },
+        add: async record => {
+            const key = Math.max(0, ...byKey.keys()) + 1;
+            byKey.set(key, { ...record, [keyPath]: key });
+            return key;
+        }
+    };
+}
+
+const trade = (id, device) => ({ id, ticker: `${device}${id}`, created_at: `2024-12-0${id}T10:00:00.000Z-${device}` });
+
+test('a merge with overlapping ids keeps every trade and points attachments at the right one', async () => {
+    const localTrades = [1, 2, 3, 4, 5].map(id => trade(id, 'local'));
+    const backupTrades = [1, 2, 3, 4, 5, 6, 7, 8].map(id => trade(id, 'backup'));
+    const trades = createStore(localTrades);
+    const summary = { added: 0, updated: 0, unchanged: 0 };
+    
+    const tradeIds = await mergeStoreRecords(trades, backupTrades, summary);
+    
+    assert.strictEqual(trades.byKey.size, 13);
+    assert.deepStrictEqual(summary, { added: 8, updated: 0, unchanged: 0 });
+    for (const record of [...localTrades, ...backupTrades]) {
+        const localId = record.ticker.startsWith('backup') && tradeIds.has(record.id) ? tradeIds.get(record.id) : record.id;
+        assert.strictEqual(trades.byKey.get(localId).ticker, record.ticker);
+    }
+    
+    const attachments = createStore([]);
+    const mapTradeId = id => tradeIds.has(id) ? tradeIds.get(id) : id;
+    const backupAttachments = [1, 6].map(tradeId => TRADE_ID_REFERENCES.attachments({ id: tradeId, trade_id: tradeId }, mapTradeId));
+    await mergeStoreRecords(attachments, backupAttachments, summary);
+    assert.deepStrictEqual(
+        [...attachments.byKey.values()].map(attachment => trades.byKey.get(attachment.trade_id).ticker),
+        ['backup1', 'backup6']
+    );
+});
+
+test('merging the same backup twice adds nothing the second time', async () => {
+    const trades = createStore([1, 2].map(id => trade(id, 'local')));
+    const backupTrades = [1, 2, 3].map(id => trade(id, 'backup'));
+    await mergeStoreRecords(trades, backupTrades, { added: 0, updated: 0, unchanged: 0 });
+    
+    const summary = { added: 0, updated: 0, unchanged: 0 };
+    await mergeStoreRecords(trades, backupTrades, summary);
+    assert.strictEqual(trades.byKey.size, 5);
+    assert.deepStrictEqual(summary, { added: 0, updated: 0, unchanged: 3 });
+});
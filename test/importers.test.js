@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseImportFile, parseOptionSymbol } = require('../importers.js');
+
+// Broker timestamps are read on this clock, so the expected instants don't
+// depend on the machine running the tests
+const TIME_ZONE = 'America/New_York';
+
+function importSample(name, timeZone = TIME_ZONE) {
+    const text = fs.readFileSync(path.join(__dirname, '..', 'samples', 'importers', name), 'utf8');
+    const { data, profile } = parseImportFile(text);
+    assert.ok(profile, `no profile recognises ${name}`);
+    return { profile, ...profile.toTrades(data, { timeZone }) };
+}
+
+function findTrade(trades, ticker) {
+    const trade = trades.find(t => t.ticker === ticker);
+    assert.ok(trade, `no ${ticker} trade`);
+    return trade;
+}
+
+test('generic fills: a two-leg order becomes one spread', () => {
+    const { profile, trades, warnings } = importSample('generic-fills.csv');
+    assert.strictEqual(profile.id, 'generic-fills');
+    assert.deepStrictEqual(warnings, []);
+    assert.strictEqual(trades.length, 2);
+    
+    const spread = findTrade(trades, 'SPY');
+    assert.strictEqual(spread.strategy, 'Bull Call Spread');
+    assert.strictEqual(spread.status, 'closed');
+    assert.strictEqual(spread.legs.length, 2);
+    assert.strictEqual(spread.net_pl, 137.4);
+    assert.strictEqual(spread.fees, -2.6);
+    assert.strictEqual(spread.entry_time, '2024-12-02T15:15:00.000Z');
+    
+    const put = findTrade(trades, 'NVDA');
+    assert.strictEqual(put.strategy, 'Short Put');
+    assert.strictEqual(put.status, 'open');
+    assert.strictEqual(put.open_quantity, 3);
+});
+
+test('IBKR flex: a scale-in and two partial closes stay on one trade', () => {
+    const { profile, trades, warnings } = importSample('ibkr-flex.csv');
+    assert.strictEqual(profile.id, 'ibkr');
+    assert.deepStrictEqual(warnings, []);
+    assert.strictEqual(trades.length, 2);
+    
+    const call = findTrade(trades, 'IWM');
+    assert.strictEqual(call.strategy, 'Long Call');
+    assert.strictEqual(call.status, 'closed');
+    assert.deepStrictEqual(call.fills.map(fill => fill.action), ['open', 'add', 'close', 'close']);
+    assert.strictEqual(call.net_pl, -2.6);
+    assert.strictEqual(call.fees, -2.6);
+    
+    const stock = findTrade(trades, 'MSFT');
+    assert.strictEqual(stock.multiplier, 1);
+    assert.strictEqual(stock.status, 'open');
+});
+
+test('tastytrade: a four-leg order becomes an iron condor', () => {
+    const { profile, trades, warnings } = importSample('tastytrade.csv');
+    assert.strictEqual(profile.id, 'tastytrade');
+    assert.deepStrictEqual(warnings, []);
+    assert.strictEqual(trades.length, 2);
+    
+    const condor = findTrade(trades, 'SPY');
+    assert.strictEqual(condor.strategy, 'Iron Condor');
+    assert.strictEqual(condor.legs.length, 4);
+    assert.strictEqual(condor.net_pl, 129.76);
+    assert.strictEqual(condor.fees, -10.24);
+    
+    const call = findTrade(trades, 'AAPL');
+    assert.strictEqual(call.strategy, 'Long Call');
+    assert.strictEqual(call.net_pl, 113.72);
+    assert.strictEqual(call.fees, -1.28);
+});
+
+test('tastytrade: timestamps with a UTC offset keep their instant in any zone', () => {
+    const { trades } = importSample('tastytrade.csv', 'Asia/Tokyo');
+    const condor = findTrade(trades, 'SPY');
+    assert.strictEqual(condor.entry_time, '2024-12-02T15:31:22.000Z');
+    assert.strictEqual(condor.timezone, 'Asia/Tokyo');
+    assert.strictEqual(condor.date, '2024-12-03');
+});
+
+test('thinkorswim: the trade history section is found below the statement header', () => {
+    const { profile, trades, warnings } = importSample('thinkorswim.csv');
+    assert.strictEqual(profile.id, 'thinkorswim');
+    assert.deepStrictEqual(warnings, []);
+    assert.strictEqual(trades.length, 2);
+    
+    const spread = findTrade(trades, 'QQQ');
+    assert.strictEqual(spread.strategy, 'Bull Put Spread');
+    assert.strictEqual(spread.status, 'closed');
+    assert.strictEqual(spread.net_pl, 60);
+    assert.strictEqual(spread.fees, 0);
+    
+    // The history has no fee columns, so every trade says its fees are missing
+    trades.forEach(trade => assert.match(trade.import_warnings[0], /^Fees not imported/));
+    
+    const call = findTrade(trades, 'TSLA');
+    assert.strictEqual(call.strategy, 'Long Call');
+    assert.strictEqual(call.status, 'open');
+    assert.strictEqual(call.open_quantity, 2);
+});
+
+test('option symbols in compact and OCC form', () => {
+    assert.deepStrictEqual(parseOptionSymbol('SPY 241220C450'), { ticker: 'SPY', option_type: 'CALL', strike: 450, expiration: '2024-12-20' });
+    assert.deepStrictEqual(parseOptionSymbol('SPY   241220P00450500'), { ticker: 'SPY', option_type: 'PUT', strike: 450.5, expiration: '2024-12-20' });
+    assert.strictEqual(parseOptionSymbol('MSFT'), null);
+});
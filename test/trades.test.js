@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildTradeFromLegs, buildInitialFills, applyPositionState, getEditedTradeFills, hasFillHistory } = require('../trades.js');
+
+const LEGS = [
+    { side: 'SELL', option_type: 'PUT', strike: 510, expiration: '2024-12-20', quantity: 1, entry_price: 2.1, exit_price: null },
+    { side: 'BUY', option_type: 'PUT', strike: 505, expiration: '2024-12-20', quantity: 1, entry_price: 1.25, exit_price: null }
+];
+
+// The same steps handleAddTrade and handleEditTradeSubmit take with the form values
+function addFromForm(legs, status) {
+    const trade = { date: '2024-12-03', ticker: 'QQQ', ...buildTradeFromLegs(legs, { quantity: 1, premium: 0, fees: -1.3 }), fees: -1.3 };
+    return applyPositionState({ ...trade, fills: buildInitialFills(trade, status) });
+}
+
+function saveEdit(originalTrade, legs, changes) {
+    const updatedTrade = { ...originalTrade, ...buildTradeFromLegs(legs, { quantity: 1, premium: 0, fees: -1.3 }), ...changes };
+    return applyPositionState({ ...updatedTrade, fills: getEditedTradeFills(originalTrade, updatedTrade) });
+}
+
+test('a position closed through the fill modal keeps its P&L when the notes are edited', () => {
+    const opened = addFromForm(LEGS, 'open');
+    assert.strictEqual(opened.status, 'open');
+    
+    // recordPositionFill appends the close without touching the legs
+    const closed = applyPositionState({ ...opened, fills: [...opened.fills, { date: '2024-12-11', action: 'close', quantity: 1, price: -0.25, fees: -1.3 }] });
+    assert.strictEqual(closed.status, 'closed');
+    assert.strictEqual(closed.net_pl, 57.4);
+    
+    const edited = saveEdit(closed, LEGS, { trade_notes: 'Took it off early' });
+    assert.strictEqual(edited.status, 'closed');
+    assert.strictEqual(edited.net_pl, 57.4);
+    assert.deepStrictEqual(edited.fills.map(fill => fill.action), ['open', 'close']);
+});
+
+test('a round trip entered in one go is rebuilt from its edited legs', () => {
+    const closedLegs = LEGS.map((leg, index) => ({ ...leg, exit_price: [0.4, 0.15][index] }));
+    const trade = addFromForm(closedLegs, 'closed');
+    assert.strictEqual(trade.net_pl, 58.7);
+    
+    const edited = saveEdit(trade, closedLegs.map((leg, index) => ({ ...leg, exit_price: [0.5, 0.15][index] })), {});
+    assert.strictEqual(edited.net_pl, 48.7);
+});
+
+test('an open position is rebuilt from its edited legs until it has more fills', () => {
+    const opened = addFromForm(LEGS, 'open');
+    assert.strictEqual(opened.entry_price, -0.85);
+    
+    const edited = saveEdit(opened, LEGS.map((leg, index) => index === 0 ? { ...leg, entry_price: 2.5 } : leg), {});
+    assert.strictEqual(edited.status, 'open');
+    assert.strictEqual(edited.entry_price, -1.25);
+    
+    const scaledIn = applyPositionState({ ...opened, fills: [...opened.fills, { date: '2024-12-04', action: 'add', quantity: 1, price: -0.95, fees: -1.3 }] });
+    assert.ok(hasFillHistory(scaledIn));
+    const kept = saveEdit(scaledIn, LEGS.map((leg, index) => index === 0 ? { ...leg, entry_price: 2.5 } : leg), {});
+    assert.deepStrictEqual(kept.fills, scaledIn.fills);
+});
@@ -0,0 +1,339 @@
+// Trading Journal - Trade Math
+// Legs, fills and time zone conversion shared by app.js and the importers.
+// Nothing here touches the DOM or the database: the browser loads this file
+// as a plain script ahead of app.js, and Node loads it as a CommonJS module
+// so the tests can run it against the sample files.
+
+// Trade Legs
+// A trade holds any number of legs. Net prices are quoted per unit of the
+// trade (debit positive, credit negative) so (exit - entry) * quantity * multiplier
+// still gives the P&L of the whole position.
+const LEG_MULTIPLIERS = { CALL: 100, PUT: 100, STOCK: 1 };
+const LEG_GREEKS = ['delta', 'gamma', 'theta', 'vega'];
+
+function parseOptionalNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+}
+
+function getLegSign(leg) {
+    return leg.side === 'SELL' ? -1 : 1;
+}
+
+function getLegMultiplier(leg) {
+    return LEG_MULTIPLIERS[leg.option_type] || 100;
+}
+
+function calculateLegPL(leg) {
+    if (!Number.isFinite(leg.entry_price) || !Number.isFinite(leg.exit_price)) return null;
+    return (leg.exit_price - leg.entry_price) * leg.quantity * getLegMultiplier(leg) * getLegSign(leg);
+}
+
+// Returns null until every leg has been closed out
+function calculateLegsPL(legs) {
+    if (!legs || legs.length === 0) return null;
+    
+    let total = 0;
+    for (const leg of legs) {
+        const legPL = calculateLegPL(leg);
+        if (legPL === null) return null;
+        total += legPL;
+    }
+    return total;
+}
+
+function calculateLegsGreeks(legs) {
+    const totals = { delta: null, gamma: null, theta: null, vega: null };
+    
+    (legs || []).forEach(leg => {
+        LEG_GREEKS.forEach(greek => {
+            if (leg[greek] === null || leg[greek] === undefined) return;
+            totals[greek] = (totals[greek] || 0) + leg[greek] * leg.quantity * getLegSign(leg);
+        });
+    });
+    
+    LEG_GREEKS.forEach(greek => {
+        if (totals[greek] !== null) totals[greek] = Math.round(totals[greek] * 10000) / 10000;
+    });
+    return totals;
+}
+
+// Stock-only trades are quoted per share, anything with an option leg per contract
+function getPositionMultiplier(legs) {
+    return legs && legs.length > 0 && legs.every(leg => leg.option_type === 'STOCK') ? 1 : 100;
+}
+
+function calculateNetLegPrice(legs, field, units) {
+    if (legs.some(leg => !Number.isFinite(leg[field]))) return null;
+    
+    const net = legs.reduce((sum, leg) => {
+        return sum + leg[field] * leg.quantity * getLegMultiplier(leg) * getLegSign(leg);
+    }, 0);
+    return Math.round(net / (units * getPositionMultiplier(legs)) * 10000) / 10000;
+}
+
+// Flat fields kept on the trade for the history table, filters and CSV export
+function summarizeLegs(legs, units) {
+    const types = [...new Set(legs.map(leg => leg.option_type))];
+    const strikes = [...new Set(legs.filter(leg => Number.isFinite(leg.strike)).map(leg => leg.strike))].sort((a, b) => a - b);
+    const expirations = legs.map(leg => leg.expiration).filter(Boolean).sort();
+    
+    return {
+        option_type: types.length === 1 ? types[0] : 'SPREAD',
+        strike: strikes.length === 1 ? strikes[0] : strikes.length > 1 ? strikes.join('/') : null,
+        expiration: expirations[0] || null,
+        entry_price: calculateNetLegPrice(legs, 'entry_price', units),
+        exit_price: calculateNetLegPrice(legs, 'exit_price', units)
+    };
+}
+
+// Records written before v4 carry a single strike/type/expiry on the trade itself
+function ensureTradeLegs(trade) {
+    if (Array.isArray(trade.legs)) return trade;
+    
+    const legs = [];
+    if (trade.option_type === 'CALL' || trade.option_type === 'PUT') {
+        legs.push({
+            side: 'BUY',
+            option_type: trade.option_type,
+            strike: parseOptionalNumber(trade.strike),
+            expiration: trade.expiration || null,
+            quantity: parseInt(trade.quantity) || 1,
+            entry_price: parseOptionalNumber(trade.entry_price),
+            exit_price: parseOptionalNumber(trade.exit_price),
+            delta: parseOptionalNumber(trade.delta),
+            gamma: parseOptionalNumber(trade.gamma),
+            theta: parseOptionalNumber(trade.theta),
+            vega: parseOptionalNumber(trade.vega)
+        });
+    }
+    
+    return { ...trade, legs };
+}
+
+// Builds the leg-derived fields shared by the add and edit forms
+function buildTradeFromLegs(legs, { quantity, premium, fees }) {
+    const units = quantity || Math.min(...legs.map(leg => leg.quantity)) || 1;
+    const legsPL = calculateLegsPL(legs);
+    
+    // Calculate net P&L from the legs once every leg has an exit,
+    // otherwise fall back to Premium + Fees
+    const net_pl = legsPL !== null ? legsPL + fees : premium + fees;
+    
+    return {
+        ...(legs.length > 0 ? summarizeLegs(legs, units) : {}),
+        ...calculateLegsGreeks(legs),
+        legs: legs,
+        multiplier: getPositionMultiplier(legs),
+        quantity: units,
+        net_pl: Math.round(net_pl * 100) / 100
+    };
+}
+
+// Position Lifecycle
+// A position is driven by its fills: 'open' and 'add' fills build the position
+// at an average cost, 'close' fills realize P&L against that average.
+// Fees are realized on the fill that incurs them.
+function isTradeClosed(trade) {
+    return trade.status !== 'open';
+}
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function calculatePositionState(fills, multiplier = 100) {
+    let openQuantity = 0;
+    let totalOpened = 0;
+    let avgPrice = 0;
+    let realizedPL = 0;
+    let closedQuantity = 0;
+    let closedValue = 0;
+    
+    const orderedFills = [...fills].sort((a, b) => new Date(a.date) - new Date(b.date));
+    const processedFills = orderedFills.map(fill => {
+        const fees = parseFloat(fill.fees) || 0;
+        
+        if (fill.action === 'close') {
+            const quantity = Math.min(fill.quantity, openQuantity);
+            const fillPL = (fill.price - avgPrice) * quantity * multiplier + fees;
+            openQuantity -= quantity;
+            closedQuantity += quantity;
+            closedValue += fill.price * quantity;
+            realizedPL += fillPL;
+            return { ...fill, quantity, realized_pl: roundMoney(fillPL) };
+        }
+        
+        avgPrice = (avgPrice * openQuantity + fill.price * fill.quantity) / (openQuantity + fill.quantity);
+        openQuantity += fill.quantity;
+        totalOpened += fill.quantity;
+        realizedPL += fees;
+        return { ...fill, realized_pl: roundMoney(fees) };
+    });
+    
+    return {
+        fills: processedFills,
+        status: openQuantity > 0 ? 'open' : 'closed',
+        openQuantity,
+        totalOpened,
+        avgPrice: Math.round(avgPrice * 10000) / 10000,
+        avgExitPrice: closedQuantity > 0 ? Math.round(closedValue / closedQuantity * 10000) / 10000 : null,
+        realizedPL: roundMoney(realizedPL)
+    };
+}
+
+function calculateUnrealizedPL(trade) {
+    if (isTradeClosed(trade) || !Number.isFinite(trade.mark_price)) return null;
+    return roundMoney((trade.mark_price - trade.avg_entry_price) * trade.open_quantity * (trade.multiplier || 100));
+}
+
+// Fills for a trade entered in one go from the add or edit form. Trades
+// without a net entry price keep the premium-based P&L and have no fills.
+function buildInitialFills(trade, status) {
+    if (trade.entry_price === null || trade.entry_price === undefined) return [];
+    
+    const fills = [{ date: trade.date, action: 'open', quantity: trade.quantity, price: trade.entry_price, fees: trade.fees || 0 }];
+    if (status === 'closed') {
+        if (trade.exit_price === null || trade.exit_price === undefined) return [];
+        fills.push({ date: getTradeExitDate(trade), action: 'close', quantity: trade.quantity, price: trade.exit_price, fees: 0 });
+    }
+    return fills;
+}
+
+// Scale-ins and partial closes can't be expressed in the edit form, so a
+// trade that has them keeps its fills however its legs are edited
+function hasFillHistory(trade) {
+    const fills = trade.fills || [];
+    return fills.length > (isTradeClosed(trade) ? 2 : 1);
+}
+
+// Fills of a trade saved from the edit form. An open position with only its
+// opening fill is rebuilt from the edited legs. A closed round trip is rebuilt
+// when it has no fills yet, or when its legs carry exit prices; otherwise its
+// close from the fill modal is kept, so editing the notes never changes the P&L.
+function getEditedTradeFills(originalTrade, updatedTrade) {
+    const fills = originalTrade.fills || [];
+    if (hasFillHistory(originalTrade)) return fills;
+    
+    if (!isTradeClosed(originalTrade)) {
+        const rebuilt = buildInitialFills(updatedTrade, 'open');
+        return rebuilt.length > 0 ? rebuilt : fills;
+    }
+    
+    const legsClosed = updatedTrade.exit_price !== null && updatedTrade.exit_price !== undefined;
+    return fills.length === 0 || legsClosed ? buildInitialFills(updatedTrade, 'closed') : fills;
+}
+
+// Derives status, realized P&L and outcome from the fills. Trades without
+// fills are finished round trips whose net_pl was entered directly.
+function applyPositionState(trade) {
+    if (!Array.isArray(trade.fills) || trade.fills.length === 0) {
+        return { ...trade, fills: [], status: 'closed' };
+    }
+    
+    const state = calculatePositionState(trade.fills, trade.multiplier || 100);
+    const closed = state.status === 'closed';
+    
+    return {
+        ...trade,
+        fills: state.fills,
+        status: state.status,
+        quantity: state.totalOpened,
+        open_quantity: state.openQuantity,
+        avg_entry_price: state.avgPrice,
+        entry_price: state.avgPrice,
+        exit_price: closed ? state.avgExitPrice : null,
+        net_pl: state.realizedPL,
+        outcome: closed ? (state.realizedPL >= 0 ? 'Win' : 'Loss') : 'Open'
+    };
+}
+
+// Time Zones
+// See Trade Timestamps in app.js. A trade without a zone of its own falls back
+// to the journal's default, which app.js defines from the saved settings.
+// Wall-clock date and time of an instant (ms) in a zone
+function getZonedParts(instant, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(new Date(instant));
+    const get = type => parts.find(part => part.type === type).value;
+    
+    return {
+        dateKey: `${get('year')}-${get('month')}-${get('day')}`,
+        time: `${get('hour')}:${get('minute')}`,
+        hour: parseInt(get('hour')),
+        second: get('second')
+    };
+}
+
+// Milliseconds the zone's clock is ahead of UTC at the instant
+function getTimeZoneOffset(instant, timeZone) {
+    const parts = getZonedParts(instant, timeZone);
+    return Date.parse(`${parts.dateKey}T${parts.time}:${parts.second}Z`) - Math.floor(instant / 1000) * 1000;
+}
+
+// 'YYYY-MM-DDTHH:mm[:ss]' on the zone's clock to an ISO instant. The second
+// pass picks up a different offset when the first guess crossed a DST change.
+function zonedTimeToUtc(localValue, timeZone) {
+    const wallClock = Date.parse(`${localValue.length === 16 ? `${localValue}:00` : localValue}Z`);
+    if (isNaN(wallClock)) return null;
+    
+    const guess = wallClock - getTimeZoneOffset(wallClock, timeZone);
+    return new Date(wallClock - getTimeZoneOffset(guess, timeZone)).toISOString();
+}
+
+function getTradeTimeZone(trade) {
+    return trade.timezone || getDefaultTimeZone();
+}
+
+// Date the position was closed: the exit time's date, else the entry date
+function getTradeExitDate(trade) {
+    return trade.exit_time ? getZonedParts(Date.parse(trade.exit_time), getTradeTimeZone(trade)).dateKey : trade.date;
+}
+
+// Trade Labels
+// Tags, setups, mistakes and emotions are stored as lists of unique names
+function parseLabelList(value) {
+    const names = Array.isArray(value) ? value : String(value || '').split(/[;,\n]/);
+    return [...new Set(names.map(name => String(name).trim()).filter(Boolean))];
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LEG_MULTIPLIERS,
+        LEG_GREEKS,
+        parseOptionalNumber,
+        getLegSign,
+        getLegMultiplier,
+        calculateLegPL,
+        calculateLegsPL,
+        calculateLegsGreeks,
+        getPositionMultiplier,
+        calculateNetLegPrice,
+        summarizeLegs,
+        ensureTradeLegs,
+        buildTradeFromLegs,
+        isTradeClosed,
+        roundMoney,
+        calculatePositionState,
+        calculateUnrealizedPL,
+        buildInitialFills,
+        hasFillHistory,
+        getEditedTradeFills,
+        applyPositionState,
+        getZonedParts,
+        getTimeZoneOffset,
+        zonedTimeToUtc,
+        getTradeTimeZone,
+        getTradeExitDate,
+        parseLabelList
+    };
+}